@@ -235,7 +235,9 @@ class OptimisticAPI {
       node.isOptimistic = true;
     }
     
-    const result = await this.executeCommand('ADD_NODE', node);
+    // isOptimistic - только локальная пометка, сервер принимает лишь поля узла
+    const { isOptimistic, ...payload } = node;
+    const result = await this.executeCommand('ADD_NODE', payload);
     return { ...node, ...result };
   }
 
@@ -266,7 +268,8 @@ class OptimisticAPI {
       edge.isOptimistic = true;
     }
     
-    const result = await this.executeCommand('ADD_EDGE', edge);
+    const { isOptimistic, ...payload } = edge;
+    const result = await this.executeCommand('ADD_EDGE', payload);
     return { ...edge, ...result };
   }
 
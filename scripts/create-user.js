@@ -0,0 +1,51 @@
+/**
+ * Script to create an account, e.g. to claim graphs saved before authentication existed
+ *
+ * Usage: cd dao_api2 && node scripts/create-user.js --email=me@example.com --password=secret123
+ *
+ * Options:
+ *   --user-id=USER_ID   Use an existing user ID (its graphs become this account's)
+ *   --name=NAME         Display name (default: part of the email before @)
+ */
+
+import userStore from '../src/services/userStore.js';
+import redis from '../src/redis.js';
+
+// Parse options
+const options = {};
+process.argv.slice(2).forEach(arg => {
+  const match = arg.match(/^--([a-z-]+)=(.*)$/);
+  if (match) {
+    options[match[1]] = match[2];
+  }
+});
+
+async function createUser() {
+  if (!options.email || !options.password) {
+    console.log('❌ Usage: node scripts/create-user.js --email=EMAIL --password=PASSWORD [--user-id=ID] [--name=NAME]');
+    process.exit(1);
+  }
+
+  try {
+    const user = await userStore.create({
+      email: options.email,
+      password: options.password,
+      name: options.name,
+      ...(options['user-id'] && { userId: options['user-id'] })
+    });
+
+    if (!user) {
+      console.log('❌ Email or user ID already registered');
+      process.exit(1);
+    }
+
+    console.log(`✅ Created user ${user.userId} (${user.email})`);
+  } catch (error) {
+    console.error('❌ Error:', error.message);
+    process.exit(1);
+  } finally {
+    redis.disconnect();
+  }
+}
+
+createUser();
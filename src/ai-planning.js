@@ -1,5 +1,6 @@
 import OpenAI from 'openai';
 import { v4 as uuidv4 } from 'uuid';
+import { buildDependencyGraph, findAnyCycle, formatCycle } from './services/dependencyGraph.js';
 
 // Create OpenAI client configured for OpenRouter
 // Note: Uses OPENAI_API_KEY (not OPENROUTER_API_KEY) to match .env
@@ -324,6 +325,7 @@ VALIDATION CHECKLIST before returning plan:
 2. Check each node's upstream array - does the source node have this node in downstream?
 3. If ANY link is missing its reverse, the plan will be rejected - FIX IT!
 4. Is the plan granularity appropriate? (not too detailed, not too vague)
+5. Follow downstream links from any node - you must never get back to it. Loops (A → B → A) are rejected
 Next line is request
 `;
 
@@ -434,6 +436,15 @@ function validatePlan(planData) {
     }
   });
 
+  // Dependencies must not loop - the plan couldn't be scheduled
+  const cycle = findAnyCycle(buildDependencyGraph({
+    nodes: planData.nodes.map(node => ({ id: node.nodeId, linkedNodeIds: node.linkedNodeIds })),
+    edges: []
+  }));
+  if (cycle) {
+    errors.push(`Dependency cycle: ${formatCycle(cycle)}`);
+  }
+
   return errors;
 }
 
@@ -4,6 +4,8 @@
  */
 
 import Redis from 'ioredis';
+import { computeTaskStates, summarizeTaskStates, findUnlockedBy, TaskStates } from './services/taskDependencies.js';
+import { getWeightingMode, getNodeWeight, weightedAverage } from './services/progressRollup.js';
 
 class SimplifiedAnalytics {
   constructor(redisClient) {
@@ -37,6 +39,7 @@ class SimplifiedAnalytics {
         // Progress data
         previousProgress: eventData.previousProgress || 0,
         currentProgress: eventData.currentProgress || 0,
+        weight: eventData.weight ?? null,
         isDone: eventData.isDone || false,
         currentCompletions: eventData.currentCompletions || 0,
         requiredCompletions: eventData.requiredCompletions || 1
@@ -78,16 +81,25 @@ class SimplifiedAnalytics {
       // Get current category data
       const categoryData = await this.redis.hgetall(categoryKey) || {};
       
-      // Update progress tracking
+      // Update progress tracking (weight '' = none, see progressRollup.js weightedAverage)
       const nodeProgressKey = `${categoryKey}:nodes`;
+      const nodeWeightKey = `${categoryKey}:weights`;
       await this.redis.hset(nodeProgressKey, event.nodeId, event.currentProgress);
+      await this.redis.hset(nodeWeightKey, event.nodeId, event.weight ?? '');
       
-      // Calculate category progress (average of all nodes)
+      // Calculate category progress (weighted average of all nodes)
       const allNodeProgress = await this.redis.hgetall(nodeProgressKey);
+      const allNodeWeights = await this.redis.hgetall(nodeWeightKey);
       const progressValues = Object.values(allNodeProgress).map(p => parseFloat(p));
-      const avgProgress = progressValues.length > 0
-        ? progressValues.reduce((a, b) => a + b, 0) / progressValues.length
-        : 0;
+      const weightOf = (nodeId) => {
+        const stored = allNodeWeights[nodeId];
+        if (stored === undefined) return 1; // tracked before weights were stored
+        return stored === '' ? null : parseFloat(stored);
+      };
+      const avgProgress = weightedAverage(Object.entries(allNodeProgress).map(([nodeId, progress]) => ({
+        value: parseFloat(progress),
+        weight: weightOf(nodeId)
+      }))) ?? 0;
       
       // Count completed tasks
       const completedCount = progressValues.filter(p => p >= 100).length;
@@ -104,6 +116,7 @@ class SimplifiedAnalytics {
       // Set TTL
       await this.redis.expire(categoryKey, 90 * 24 * 60 * 60); // 90 days
       await this.redis.expire(nodeProgressKey, 90 * 24 * 60 * 60);
+      await this.redis.expire(nodeWeightKey, 90 * 24 * 60 * 60);
     }
 
     // Update graph-level aggregate
@@ -170,11 +183,33 @@ class SimplifiedAnalytics {
         distribution: {},
         totalNodes: relevantNodes.length,
         completedCount: 0,
-        averageProgress: 0
+        averageProgress: 0,
+        taskStates: {},
+        blockedNodes: [],
+        availableNodes: []
       };
       
+      // Dependency states from linkedNodeIds (prerequisites may be outside the context)
+      const states = computeTaskStates(graph);
+      const relevantStates = {};
+      for (const node of relevantNodes) {
+        const { state, blockedBy } = states[node.id];
+        relevantStates[node.id] = states[node.id];
+        if (state === TaskStates.BLOCKED) {
+          analytics.blockedNodes.push({ id: node.id, title: node.title || node.name, blockedBy });
+        } else if (state === TaskStates.AVAILABLE && !node.children?.length) {
+          analytics.availableNodes.push({
+            id: node.id,
+            title: node.title || node.name,
+            unlocks: findUnlockedBy(node, states)
+          });
+        }
+      }
+      analytics.taskStates = summarizeTaskStates(relevantStates);
+      
       // Process each node
-      let totalProgress = 0;
+      const weighting = getWeightingMode(graph);
+      const progressEntries = [];
       const categoriesMap = new Map();
       
       for (const node of relevantNodes) {
@@ -200,7 +235,7 @@ class SimplifiedAnalytics {
         } else if (node.nodeType === 'fundamental') {
           nodeProgress = (node.calculatedProgress || 0) * 100;
         }
-        totalProgress += nodeProgress;
+        progressEntries.push({ value: nodeProgress, weight: getNodeWeight(node, weighting) });
         
         // Track categories
         if (node.nodeType === 'fundamental' && node.nodeSubtype === 'category') {
@@ -215,10 +250,8 @@ class SimplifiedAnalytics {
         }
       }
       
-      // Calculate averages
-      analytics.averageProgress = relevantNodes.length > 0
-        ? Math.round(totalProgress / relevantNodes.length)
-        : 0;
+      // Calculate averages (weighted per settings.weighting)
+      analytics.averageProgress = Math.round(weightedAverage(progressEntries) ?? 0);
       
       // Convert categories map to array
       analytics.categoryProgress = Array.from(categoriesMap.values())
@@ -331,7 +364,10 @@ class SimplifiedAnalytics {
       distribution: {},
       totalNodes: 0,
       completedCount: 0,
-      averageProgress: 0
+      averageProgress: 0,
+      taskStates: { done: 0, available: 0, blocked: 0 },
+      blockedNodes: [],
+      availableNodes: []
     };
   }
 
@@ -0,0 +1,121 @@
+/**
+ * Broadcast Handler
+ * Delivers graph events to every subscribed client, on this and other server instances
+ *
+ * Local clients get the message directly; other instances receive it through a
+ * per-graph Redis channel (graph-events:{graphId}) and fan it out to their own clients.
+ * Each instance tags what it publishes with its instanceId and ignores its own messages.
+ */
+
+import { randomUUID } from 'crypto';
+import { logger } from '../utils/logger.js';
+
+const CHANNEL_PREFIX = 'graph-events:';
+
+/**
+ * Create broadcaster
+ * @param {Object} deps - Dependencies (redis, clients, onRemoteChange, onGraphDeleted, onAccessRevoked)
+ *   onRemoteChange(graphId, userId, version, message) - called when another instance changed a graph
+ *   (version is null for events that don't carry one, e.g. live drag positions)
+ *   onGraphDeleted(graphId, userId) - called on every instance after GRAPH_DELETED was delivered,
+ *   to drop the graph's subscriptions
+ *   onAccessRevoked(graphId, userId, revokedUserId) - called on every instance after ACCESS_REVOKED
+ *   was delivered, to drop the revoked user's subscriptions
+ */
+export function createBroadcaster(deps) {
+  const { redis, clients, onRemoteChange, onGraphDeleted, onAccessRevoked } = deps;
+  const instanceId = randomUUID();
+  let subscriber = null;
+
+  /**
+   * Send message to local clients subscribed to the graph
+   * Graph IDs are only unique per owner, so the owner must match too
+   * @returns {number} - Number of clients notified
+   */
+  function sendLocal(graphId, userId, message) {
+    const data = JSON.stringify(message);
+    let count = 0;
+    clients.forEach((client) => {
+      if (client.graphId === graphId && client.userId === userId && client.ws.readyState === 1) { // 1 = OPEN state
+        client.ws.send(data);
+        count++;
+      }
+    });
+    if (message.type === 'GRAPH_DELETED' && onGraphDeleted) {
+      onGraphDeleted(graphId, userId);
+    }
+    if (message.type === 'ACCESS_REVOKED' && onAccessRevoked) {
+      onAccessRevoked(graphId, userId, message.userId);
+    }
+    return count;
+  }
+
+  /**
+   * Broadcast message to all clients of the graph on every instance
+   * @param {string} graphId - Graph ID
+   * @param {string} userId - Graph owner
+   * @param {Object} message - Message sent as-is to clients
+   * @returns {number} - Number of local clients notified
+   */
+  function broadcast(graphId, userId, message) {
+    const count = sendLocal(graphId, userId, message);
+
+    const envelope = JSON.stringify({ instanceId, graphId, userId, message });
+    redis.publish(`${CHANNEL_PREFIX}${graphId}`, envelope).catch(error => {
+      logger.error(`Failed to publish event for graph ${graphId}:`, error);
+    });
+
+    return count;
+  }
+
+  /**
+   * Handle event published by another instance
+   */
+  function handleRemote(channel, data) {
+    let envelope;
+    try {
+      envelope = JSON.parse(data);
+    } catch (error) {
+      logger.warn(`Ignoring malformed event on ${channel}`);
+      return;
+    }
+    if (envelope.instanceId === instanceId) return;
+
+    const { graphId, userId, message } = envelope;
+
+    // Graph changed elsewhere - anything cached here is stale
+    if (onRemoteChange) {
+      onRemoteChange(graphId, userId, message.version ?? message.payload?.version ?? null, message);
+    }
+
+    // clientId belongs to the other instance, a local client could share the number
+    delete message.clientId;
+
+    const count = sendLocal(graphId, userId, message);
+    logger.debug(`📡 Remote ${message.type} for ${graphId} delivered to ${count} local clients`);
+  }
+
+  /**
+   * Subscribe to events from other instances (dedicated connection, it can't run commands)
+   */
+  async function start() {
+    subscriber = redis.duplicate();
+    subscriber.on('pmessage', (pattern, channel, data) => handleRemote(channel, data));
+    await subscriber.psubscribe(`${CHANNEL_PREFIX}*`);
+    logger.success(`Broadcaster ${instanceId} subscribed to ${CHANNEL_PREFIX}*`);
+  }
+
+  /**
+   * Close the subscriber connection
+   */
+  function stop() {
+    if (subscriber) {
+      subscriber.disconnect();
+      subscriber = null;
+    }
+  }
+
+  return { broadcast, start, stop, instanceId };
+}
+
+export default createBroadcaster;
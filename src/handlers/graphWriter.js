@@ -0,0 +1,112 @@
+/**
+ * Graph Writer
+ * Whole-graph writes outside the operation pipeline (REST save, history restore, merges)
+ *
+ * Goes through the normal save path (conditional on version, history, cache invalidation)
+ * and broadcasts GRAPH_UPDATED with the structural delta (see graphDiff.js)
+ */
+
+import { logger } from '../utils/logger.js';
+import { OperationError, ErrorCodes } from '../utils/operationErrors.js';
+import { diffGraphs } from '../services/graphDiff.js';
+import auditLog, { changesFromDiff } from '../services/auditLog.js';
+import { rollupProgress } from '../services/progressRollup.js';
+
+// Attempts for a save without baseVersion that keeps losing races
+const MAX_SAVE_ATTEMPTS = 3;
+
+/**
+ * Create graph writer
+ * @param {Object} deps - Dependencies (getGraph, saveGraph, broadcaster, positionBuffer)
+ */
+export function createGraphWriter(deps) {
+  const { getGraph, saveGraph, broadcaster, positionBuffer } = deps;
+
+  /**
+   * Replace graph content and broadcast GRAPH_UPDATED
+   * The broadcast carries only the delta from baseVersion to version
+   * @param {Object} fields - { nodes, edges, viewport, settings } - missing ones are kept
+   * @param {number|null} baseVersion - Version the caller edited, null to apply on top of the latest
+   * @param {Object} extra - Extra fields for the GRAPH_UPDATED message (source, userId of the actor, ...)
+   * @param {Object} options - { create: true } to create the graph (see saveGraph)
+   * @returns {Object} - Saved graph
+   * @throws {OperationError} - VERSION_CONFLICT, VALIDATION_FAILED for snapshots,
+   *   GRAPH_NOT_FOUND for graphs that were deleted or never created, OPERATION_FAILED if the graph can't be loaded
+   */
+  async function replaceGraph(graphId, userId, fields, baseVersion, extra, options = {}) {
+    // Save buffered drag positions first so they don't land on top of this save
+    await positionBuffer.flush(graphId, userId);
+    
+    let graph;
+    let updatedGraph;
+    let saved = false;
+    for (let attempt = 1; !saved; attempt++) {
+      graph = await getGraph(graphId, userId);
+      if (!graph) {
+        throw new OperationError(ErrorCodes.OPERATION_FAILED, `Failed to load graph ${graphId}`, { graphId });
+      }
+      if (graph.origin?.kind === 'snapshot') {
+        throw new OperationError(ErrorCodes.VALIDATION_FAILED, `Graph ${graphId} is a read-only snapshot`);
+      }
+      
+      // Merge with existing data
+      updatedGraph = {
+        ...graph,
+        nodes: fields.nodes || graph.nodes,
+        edges: fields.edges || graph.edges,
+        viewport: fields.viewport || graph.viewport,
+        settings: fields.settings || graph.settings || {} // Include settings from request
+      };
+      
+      // Nodes from the caller may carry stale or missing progress, settings may change the weighting
+      if (fields.nodes || fields.settings) {
+        // Don't write progress into the cached graph before the save went through
+        if (!fields.nodes) updatedGraph.nodes = structuredClone(graph.nodes);
+        rollupProgress(updatedGraph);
+      }
+      
+      try {
+        saved = await saveGraph(graphId, updatedGraph, userId, {
+          expectedVersion: baseVersion ?? (graph.version || 0),
+          create: options.create
+        });
+        if (!saved) throw new Error('Failed to save graph');
+      } catch (error) {
+        // Caller's copy is stale - it has to reload and merge
+        if (error.code !== ErrorCodes.VERSION_CONFLICT || baseVersion !== null || attempt >= MAX_SAVE_ATTEMPTS) {
+          throw error;
+        }
+      }
+    }
+    
+    // Broadcast what changed to all WebSocket clients (on every instance)
+    // Clients not at baseVersion apply nothing and SYNC instead
+    const delta = diffGraphs(graph, updatedGraph);
+    await auditLog.record(userId, graphId, {
+      actorId: extra.userId || userId,
+      type: 'REPLACE_GRAPH',
+      source: extra.source,
+      version: updatedGraph.version,
+      changes: changesFromDiff(delta)
+    });
+    
+    const broadcastCount = broadcaster.broadcast(graphId, userId, {
+      type: 'GRAPH_UPDATED',
+      delta,
+      baseVersion: graph.version || 0,
+      version: updatedGraph.version,
+      timestamp: Date.now(),
+      ...extra
+    });
+    
+    if (broadcastCount > 0) {
+      logger.debug(`📢 ${extra.source} update (${delta.length} changes) broadcasted to ${broadcastCount} WebSocket clients`);
+    }
+    
+    return updatedGraph;
+  }
+
+  return { replaceGraph };
+}
+
+export default createGraphWriter;
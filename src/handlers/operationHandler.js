@@ -7,53 +7,203 @@
  */
 
 import { logger } from '../utils/logger.js';
-import { routeOperation } from './operations/index.js';
+import { routeOperation, combineInverses } from './operations/index.js';
+import { validateOperation } from './operations/schemas.js';
 import { DEFAULT_USER_ID } from '../services/graphService.js';
+import { findTouched, captureTouched, compareCaptured } from '../services/auditLog.js';
+import { DependencyModes, getDependencyMode, findBlockedCompletions } from '../services/taskDependencies.js';
+import { createNodeFinder } from './operations/links.js';
+import { rollupProgress } from '../services/progressRollup.js';
+import { OperationError, ErrorCodes } from '../utils/operationErrors.js';
+
+// How many times an operation is re-applied on a fresh graph after a version conflict
+const MAX_CONFLICT_RETRIES = 3;
+
+// Operations that can't change any node's progress
+const LAYOUT_OPERATIONS = new Set(['UPDATE_NODE_POSITION', 'UPDATE_VIEWPORT']);
 
 /**
  * Create operation handler with dependencies
- * @param {Object} deps - Dependencies (getGraph, saveGraph, addOperation, analytics, getNodeIndex)
+ * @param {Object} deps - Dependencies (getGraph, saveGraph, operationLog, auditLog, analytics, getNodeIndex, undoHistory, graphCache)
  */
 export function createOperationHandler(deps) {
-  const { getGraph, saveGraph, addOperation, analytics, getNodeIndex } = deps;
+  const { getGraph, saveGraph, operationLog, auditLog, analytics, getNodeIndex, undoHistory, graphCache } = deps;
+
+  // Tail of the operation queue per `${userId}:${graphId}`
+  const queues = new Map();
 
   /**
-   * Apply operation to graph
-   * @param {string} graphId - Graph ID
-   * @param {Object} operation - Operation object with type and payload
-   * @param {string} userId - User ID
-   * @returns {Object|null} - Updated graph or null on failure
+   * Run task after every earlier task queued for the same graph
+   * Operations mutate the cached graph object, so they must not interleave
    */
-  return async function applyOperation(graphId, operation, userId = DEFAULT_USER_ID) {
-    logger.time(`operation:${operation.type}`);
-    
+  function runExclusive(key, task) {
+    const previous = queues.get(key) || Promise.resolve();
+    const run = previous.then(task, task);
+    const tail = run.catch(() => {});
+    queues.set(key, tail);
+    tail.then(() => {
+      if (queues.get(key) === tail) queues.delete(key);
+    });
+    return run;
+  }
+
+  /**
+   * Load, apply and conditionally save - one attempt
+   * @param {Object[]|null} warnings - Blocked completions are appended here in warn mode
+   * @throws {OperationError} - VERSION_CONFLICT if the graph was saved by someone else meanwhile,
+   *   NODE_BLOCKED in reject mode
+   */
+  async function applyOnce(graphId, operation, userId, history, actorId, warnings) {
     const graph = await getGraph(graphId, userId);
     if (!graph) {
       logger.error(`Graph ${graphId} not found for user ${userId}`);
-      return null;
+      throw new OperationError(ErrorCodes.OPERATION_FAILED, `Graph ${graphId} could not be loaded`);
+    }
+
+    // Snapshots are frozen copies (see graphBranches.js)
+    if (graph.origin?.kind === 'snapshot') {
+      throw new OperationError(ErrorCodes.VALIDATION_FAILED, `Graph ${graphId} is a read-only snapshot`);
     }
 
     const { type, payload } = operation;
+    const loadedVersion = graph.version || 0;
     
     // Get NodeIndex for O(1) lookups
     const nodeIndex = getNodeIndex ? getNodeIndex(graphId, userId) : null;
     
+    // Completing a node whose prerequisites are open (undo/redo restore earlier states as they were)
+    const dependencyMode = getDependencyMode(graph);
+    const blocked = history === 'record' && dependencyMode !== DependencyModes.OFF
+      ? findBlockedCompletions(operation, createNodeFinder(graph, nodeIndex))
+      : [];
+    if (blocked.length > 0 && dependencyMode === DependencyModes.REJECT) {
+      const [{ nodeId, blockedBy }] = blocked;
+      throw new OperationError(
+        ErrorCodes.NODE_BLOCKED,
+        `Node ${nodeId} is blocked by ${blockedBy.join(', ')}`,
+        { nodeId, blockedBy, blocked }
+      );
+    }
+    
+    // State of what the operation touches, for the audit log
+    const touched = auditLog ? findTouched(graph, operation, nodeIndex) : null;
+    const before = touched ? captureTouched(graph, touched, nodeIndex) : null;
+    
     // Route to appropriate handler - pass userId for daily completions tracking
-    const success = routeOperation(type, graph, payload, graphId, analytics, nodeIndex, userId);
+    // Inverses are collected for the undo/redo stacks, side effects run only if this attempt is saved
+    const inverses = [];
+    const effects = [];
+    let success = false;
+    try {
+      success = routeOperation(type, graph, payload, graphId, analytics, nodeIndex, userId, inverses, effects);
+    } finally {
+      // Handler may have changed the cached graph before failing - reload it next time
+      if (!success && graphCache) {
+        graphCache.invalidate(userId, graphId);
+      }
+    }
     
     if (!success) {
       logger.error(`Operation ${type} failed`);
-      logger.timeEnd(`operation:${operation.type}`);
-      return null;
+      throw new OperationError(ErrorCodes.OPERATION_FAILED, `Operation ${type} failed`);
+    }
+    
+    // Stored progress follows the change (ancestors, link aggregates)
+    if (!LAYOUT_OPERATIONS.has(type)) {
+      const changed = rollupProgress(graph);
+      if (changed.length > 0) {
+        logger.debug(`Progress rolled up for ${changed.length} nodes`);
+      }
     }
 
-    // Save graph and log operation
-    await saveGraph(graphId, graph, userId);
-    await addOperation(graphId, operation);
+    // Save graph (only if still at loadedVersion) and log operation under its new version
+    const saved = await saveGraph(graphId, graph, userId, { expectedVersion: loadedVersion });
+    if (!saved) {
+      throw new OperationError(ErrorCodes.OPERATION_FAILED, `Graph ${graphId} could not be saved`);
+    }
+    await operationLog.append(userId, graphId, graph.version, operation);
+    if (before) {
+      await auditLog.record(userId, graphId, {
+        actorId,
+        type,
+        source: history === 'record' ? 'operation' : history,
+        version: graph.version,
+        changes: compareCaptured(before, captureTouched(graph, touched, nodeIndex))
+      });
+    }
+    
+    // Record inverse: undo fills redo, redo and regular ops fill undo
+    const inverse = combineInverses(inverses);
+    if (undoHistory && inverse) {
+      if (history === 'undo') {
+        await undoHistory.push('redo', userId, graphId, inverse, actorId);
+      } else if (history === 'redo') {
+        await undoHistory.push('undo', userId, graphId, inverse, actorId);
+      } else {
+        await undoHistory.record(userId, graphId, inverse, actorId);
+      }
+    }
     
-    logger.timeEnd(`operation:${operation.type}`);
+    runEffects(type, effects);
+    
+    if (warnings) {
+      blocked.forEach(({ nodeId, blockedBy }) => warnings.push({ code: ErrorCodes.NODE_BLOCKED, nodeId, blockedBy }));
+    }
     
     return graph;
+  }
+
+  /**
+   * Run the side effects of a saved operation, one after another, without holding up the reply
+   */
+  function runEffects(type, effects) {
+    effects.reduce((previous, effect) => previous.then(effect), Promise.resolve()).catch((error) => {
+      logger.error(`Side effects of ${type} failed:`, error);
+    });
+  }
+
+  /**
+   * Apply operation to graph
+   * @param {string} graphId - Graph ID
+   * @param {Object} operation - Operation object with type and payload
+   * @param {string} userId - User ID (graph owner)
+   * @param {Object} options - { history: 'record' | 'undo' | 'redo', actorId, warnings }
+   *   history: which stack gets the inverse; actorId: whose stacks (defaults to the owner)
+   *   warnings: array that receives { code, nodeId, blockedBy } for blocked completions in warn mode
+   * @returns {Object} - Updated graph
+   * @throws {OperationError} - Structured reason the operation was rejected
+   */
+  return async function applyOperation(graphId, operation, userId = DEFAULT_USER_ID, options = {}) {
+    const { history = 'record', actorId = userId, warnings = null } = options;
+    
+    if (!operation || !operation.type || !operation.payload) {
+      throw new OperationError(ErrorCodes.VALIDATION_FAILED, 'Operation requires type and payload');
+    }
+    
+    // Inverses for undo/redo come from stored state and may carry legacy fields
+    if (history === 'record') {
+      validateOperation(operation.type, operation.payload);
+    }
+    
+    return runExclusive(`${userId}:${graphId}`, async () => {
+      logger.time(`operation:${operation.type}`);
+      
+      try {
+        // Another writer may save between our load and save; reload and re-apply on conflict
+        for (let attempt = 1; ; attempt++) {
+          try {
+            return await applyOnce(graphId, operation, userId, history, actorId, warnings);
+          } catch (error) {
+            if (error.code !== ErrorCodes.VERSION_CONFLICT || attempt >= MAX_CONFLICT_RETRIES) {
+              throw error;
+            }
+            logger.warn(`Version conflict applying ${operation.type} to ${graphId}, retrying (${attempt}/${MAX_CONFLICT_RETRIES})`);
+          }
+        }
+      } finally {
+        logger.timeEnd(`operation:${operation.type}`);
+      }
+    });
   };
 }
 
@@ -6,6 +6,10 @@
  */
 
 import { logger } from '../../utils/logger.js';
+import { OperationError, ErrorCodes } from '../../utils/operationErrors.js';
+import { promoteParentSubtype } from '../../services/graphService.js';
+import { createNodeFinder, forEachInSubtree, collectSubtreeIds, assertLinkTargets, assertNoCycle, mirrorLinks } from './links.js';
+import { buildDependencyGraph, addArc, linkArcs } from '../../services/dependencyGraph.js';
 
 /**
  * Handle ADD_NODE operation
@@ -13,9 +17,42 @@ import { logger } from '../../utils/logger.js';
  * @param {Object} payload - Operation payload
  * @param {Object} nodeIndex - NodeIndex for O(1) lookup (optional)
  * @returns {boolean} - Success status
+ * @throws {OperationError} - VALIDATION_FAILED if a node with the ID (or a child's ID) exists,
+ *   NODE_NOT_FOUND if the node (or a child) links to a missing node,
+ *   DEPENDENCY_CYCLE if its links close a dependency loop
  */
 export function handleAddNode(graph, payload, nodeIndex = null) {
+  // parentId/index describe placement and are not stored on the node
+  // nodeFields holds only NODE_SCHEMA fields for client operations (see schemas.js); undo of a
+  // delete re-adds the stored node unvalidated, and it must come back with everything it had
+  const { parentId, index, ...nodeFields } = payload;
+  
+  const duplicateId = findDuplicateId(graph, payload, nodeIndex);
+  if (duplicateId) {
+    logger.warn(`ADD_NODE: Node ${duplicateId} already exists`);
+    throw new OperationError(ErrorCodes.VALIDATION_FAILED, `Node ${duplicateId} already exists`, { nodeId: duplicateId });
+  }
+  
+  // Links may point at existing nodes or within the new subtree
+  const findExisting = createNodeFinder(graph, nodeIndex);
+  const subtreeIds = collectSubtreeIds(payload);
+  forEachInSubtree(payload, node => assertLinkTargets(
+    node.id,
+    node.linkedNodeIds,
+    id => subtreeIds.has(id) || findExisting(id) !== null
+  ));
+  
+  // New links must not close a dependency loop
+  const arcs = [];
+  forEachInSubtree(payload, node => arcs.push(...linkArcs(node.id, node.linkedNodeIds)));
+  if (arcs.length > 0) {
+    const successors = buildDependencyGraph(graph);
+    arcs.forEach(([from, to]) => addArc(successors, from, to));
+    assertNoCycle(successors, arcs, `Node ${payload.id}`);
+  }
+  
   const newNode = {
+    ...nodeFields,
     id: payload.id,
     title: payload.title || 'New Node',
     nodeType: payload.nodeType || 'dao',
@@ -55,37 +92,91 @@ export function handleAddNode(graph, payload, nodeIndex = null) {
     
     if (parentNode) {
       if (!parentNode.children) parentNode.children = [];
-      parentNode.children.push(newNode);
+      insertAt(parentNode.children, newNode, index);
       logger.debug(`Added child to parent ${payload.parentId}`);
       
       // Update parent's subtype if needed
-      if (parentNode.nodeType === 'dao' && parentNode.nodeSubtype === 'simple') {
-        parentNode.nodeSubtype = 'withChildren';
-        logger.debug(`Updated parent subtype to 'withChildren'`);
-      } else if (parentNode.nodeType === 'fundamental' && parentNode.nodeSubtype === 'simple') {
-        parentNode.nodeSubtype = 'category';
-        logger.debug(`Updated parent subtype to 'category'`);
+      if (promoteParentSubtype(parentNode)) {
+        logger.debug(`Updated parent subtype to '${parentNode.nodeSubtype}'`);
       }
     } else {
       logger.warn(`Parent ${payload.parentId} not found! Adding as root node`);
-      graph.nodes.push(newNode);
+      insertAt(graph.nodes, newNode, index);
     }
   } else {
     logger.debug(`Adding ${payload.id} as root node (no parentId)`);
-    graph.nodes.push(newNode);
+    insertAt(graph.nodes, newNode, index);
   }
   
   // Update NodeIndex
   if (nodeIndex) {
-    nodeIndex.addNode(newNode, payload.parentId || null);
+    nodeIndex.addNode(newNode, parentNode ? payload.parentId : null);
     logger.debug(`Updated NodeIndex, new size: ${nodeIndex.size}`);
   }
   
+  // Linked nodes get the reverse link
+  const findNode = createNodeFinder(graph, nodeIndex);
+  forEachInSubtree(newNode, node => mirrorLinks(node.id, null, node.linkedNodeIds, findNode));
+  
   logger.debug(`After ADD_NODE - Graph has ${graph.nodes.length} root nodes`);
   
   return true;
 }
 
+/**
+ * Build inverse of ADD_NODE for undo
+ * Deletes the node again and restores a parent subtype the add promoted
+ * @returns {Object[]} - Inverse operations
+ */
+export function invertAddNode(graph, payload, nodeIndex = null) {
+  const inverse = [{ type: 'DELETE_NODE', payload: { nodeId: payload.id } }];
+  
+  if (payload.parentId) {
+    const parentNode = nodeIndex && nodeIndex.hasNode(payload.parentId)
+      ? nodeIndex.getNode(payload.parentId)
+      : findNodeRecursive(graph.nodes, payload.parentId);
+    
+    if (parentNode && parentNode.nodeSubtype === 'simple') {
+      inverse.push({
+        type: 'UPDATE_NODE',
+        payload: { nodeId: parentNode.id, updates: { nodeSubtype: 'simple' } }
+      });
+    }
+  }
+  
+  return inverse;
+}
+
+/**
+ * Insert node at sibling index, or append when index is not given
+ */
+function insertAt(siblings, node, index) {
+  if (Number.isInteger(index)) {
+    siblings.splice(Math.max(0, Math.min(index, siblings.length)), 0, node);
+  } else {
+    siblings.push(node);
+  }
+}
+
+/**
+ * First ID of the new node or its children that is already taken (also within the subtree)
+ * @returns {string|null}
+ */
+function findDuplicateId(graph, node, nodeIndex) {
+  const seen = new Set();
+  const stack = [node];
+  while (stack.length > 0) {
+    const current = stack.pop();
+    const exists = nodeIndex
+      ? nodeIndex.hasNode(current.id)
+      : findNodeRecursive(graph.nodes, current.id) !== null;
+    if (exists || seen.has(current.id)) return current.id;
+    seen.add(current.id);
+    stack.push(...(current.children || []));
+  }
+  return null;
+}
+
 /**
  * Fallback recursive search (O(n))
  */
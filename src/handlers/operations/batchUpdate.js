@@ -0,0 +1,119 @@
+/**
+ * BATCH_UPDATE Operation Handler
+ * Applies a list of operations against one loaded graph as a single unit
+ *
+ * All sub-operations succeed or the graph is rolled back to its state
+ * before the batch, so the caller saves (and broadcasts) exactly once.
+ */
+
+import { logger } from '../../utils/logger.js';
+import { OperationError, ErrorCodes } from '../../utils/operationErrors.js';
+
+/**
+ * Operation types allowed inside a batch
+ * Nested batches and viewport changes are not accepted
+ */
+const BATCHABLE_OPERATIONS = new Set([
+  'ADD_NODE',
+  'UPDATE_NODE',
+  'UPDATE_NODE_POSITION',
+  'DELETE_NODE',
+  'MOVE_NODE',
+  'ADD_EDGE',
+  'DELETE_EDGE'
+]);
+
+/**
+ * Handle BATCH_UPDATE operation
+ * @param {Object} graph - The graph object
+ * @param {Object|Array} payload - { operations: [{ type, payload }] } or the operations array itself
+ * @param {Object} nodeIndex - NodeIndex to rebuild on rollback (optional)
+ * @param {Function} applySubOperation - (type, payload) => boolean, routes one sub-operation
+ * @returns {boolean} - Success status
+ * @throws {OperationError} - VALIDATION_FAILED, or the first failing sub-operation's error
+ */
+export function handleBatchUpdate(graph, payload, nodeIndex, applySubOperation) {
+  const operations = getBatchOperations(payload);
+
+  if (!operations || operations.length === 0) {
+    logger.warn('BATCH_UPDATE: No operations provided');
+    throw new OperationError(ErrorCodes.VALIDATION_FAILED, 'BATCH_UPDATE requires a non-empty operations array');
+  }
+
+  const invalid = operations.find(op => !op || !BATCHABLE_OPERATIONS.has(op.type));
+  if (invalid) {
+    logger.warn(`BATCH_UPDATE: Operation type ${invalid?.type} is not allowed in a batch`);
+    throw new OperationError(
+      ErrorCodes.VALIDATION_FAILED,
+      `Operation type ${invalid?.type} is not allowed in a batch`,
+      { type: invalid?.type }
+    );
+  }
+
+  logger.debug(`BATCH_UPDATE: Applying ${operations.length} operations`);
+
+  // Keep a deep copy of everything the sub-operations can touch
+  const backup = createBackup(graph);
+
+  for (let i = 0; i < operations.length; i++) {
+    const { type, payload: subPayload } = operations[i];
+
+    let success = false;
+    try {
+      success = applySubOperation(type, subPayload || {});
+    } catch (error) {
+      logger.warn(`BATCH_UPDATE: ${type} failed at index ${i}, rolling back`);
+      restoreBackup(graph, backup, nodeIndex);
+      
+      // Tell the client which sub-operation broke the batch
+      if (error instanceof OperationError) {
+        error.details = { ...error.details, batchIndex: i };
+      }
+      throw error;
+    }
+
+    if (!success) {
+      logger.warn(`BATCH_UPDATE: ${type} failed at index ${i}, rolling back`);
+      restoreBackup(graph, backup, nodeIndex);
+      return false;
+    }
+  }
+
+  logger.success(`BATCH_UPDATE: ${operations.length} operations applied`);
+  return true;
+}
+
+/**
+ * Normalize batch payload to an operations array
+ * Client sends either { operations: [...] } or a bare array
+ */
+export function getBatchOperations(payload) {
+  if (Array.isArray(payload)) return payload;
+  if (payload && Array.isArray(payload.operations)) return payload.operations;
+  return null;
+}
+
+/**
+ * Deep copy of the graph parts touched by operations
+ */
+function createBackup(graph) {
+  return {
+    nodes: structuredClone(graph.nodes),
+    edges: structuredClone(graph.edges)
+  };
+}
+
+/**
+ * Restore graph from backup and rebuild NodeIndex
+ * Index must point at the restored node objects, not the discarded ones
+ */
+function restoreBackup(graph, backup, nodeIndex) {
+  graph.nodes = backup.nodes;
+  graph.edges = backup.edges;
+
+  if (nodeIndex) {
+    nodeIndex.buildIndex(graph);
+  }
+}
+
+export default handleBatchUpdate;
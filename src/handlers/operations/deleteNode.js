@@ -6,13 +6,17 @@
  */
 
 import { logger } from '../../utils/logger.js';
+import { OperationError, ErrorCodes } from '../../utils/operationErrors.js';
+import { collectSubtreeIds, findNodesLinkingTo, unlinkRemoved } from './links.js';
 
 /**
  * Handle DELETE_NODE operation
+ * Cascades to the subtree: edges of every removed node and links other nodes had to them
  * @param {Object} graph - The graph object
  * @param {Object} payload - Operation payload
  * @param {Object} nodeIndex - NodeIndex for O(1) lookup (optional)
  * @returns {boolean} - Success status
+ * @throws {OperationError} - NODE_NOT_FOUND
  */
 export function handleDeleteNode(graph, payload, nodeIndex = null) {
   const nodeId = payload.nodeId;
@@ -25,14 +29,20 @@ export function handleDeleteNode(graph, payload, nodeIndex = null) {
     logger.debug(`Node ${nodeId} parent: ${parentId || 'root'} (from NodeIndex)`);
   }
   
+  // Node with its descendants, collected before the subtree is detached
+  const node = nodeIndex && nodeIndex.hasNode(nodeId)
+    ? nodeIndex.getNode(nodeId)
+    : locateNode(graph.nodes, nodeId)?.node;
+  const removedIds = node ? collectSubtreeIds(node) : new Set([nodeId]);
+  
   // Remove node from graph hierarchy
   const removed = removeNodeFromHierarchy(graph, nodeId, parentId, nodeIndex);
   
   if (removed) {
-    // Remove edges connected to this node
+    // Remove edges connected to this node or any descendant
     const edgesBefore = graph.edges.length;
     graph.edges = graph.edges.filter(e =>
-      e.source !== nodeId && e.target !== nodeId
+      !removedIds.has(e.source) && !removedIds.has(e.target)
     );
     const edgesRemoved = edgesBefore - graph.edges.length;
     
@@ -40,6 +50,12 @@ export function handleDeleteNode(graph, payload, nodeIndex = null) {
       logger.debug(`Removed ${edgesRemoved} connected edges`);
     }
     
+    // Drop links other nodes had to the removed subtree
+    const unlinked = unlinkRemoved(findNodesLinkingTo(graph, removedIds), removedIds);
+    if (unlinked > 0) {
+      logger.debug(`Removed ${unlinked} links to deleted nodes`);
+    }
+    
     // Update NodeIndex
     if (nodeIndex) {
       nodeIndex.removeNode(nodeId);
@@ -49,11 +65,62 @@ export function handleDeleteNode(graph, payload, nodeIndex = null) {
     logger.success(`Node ${nodeId} deleted successfully`);
   } else {
     logger.warn(`Node ${nodeId} not found for deletion`);
+    throw new OperationError(ErrorCodes.NODE_NOT_FOUND, `Node ${nodeId} not found`, { nodeId });
   }
   
   return removed;
 }
 
+/**
+ * Build inverse of DELETE_NODE for undo
+ * Re-adds the removed subtree at its old position and restores its edges and
+ * the links other nodes had to it
+ * @returns {Object[]} - Inverse operations
+ */
+export function invertDeleteNode(graph, payload, nodeIndex = null) {
+  const nodeId = payload.nodeId;
+  const location = locateNode(graph.nodes, nodeId);
+  if (!location) return [];
+  
+  const { node, parent, index } = location;
+  const inverse = [{
+    type: 'ADD_NODE',
+    payload: {
+      ...structuredClone(node),
+      parentId: parent ? parent.id : null,
+      index
+    }
+  }];
+  
+  const removedIds = collectSubtreeIds(node);
+  graph.edges
+    .filter(e => removedIds.has(e.source) || removedIds.has(e.target))
+    .forEach(edge => inverse.push({ type: 'ADD_EDGE', payload: { ...edge } }));
+  
+  findNodesLinkingTo(graph, removedIds).forEach(other => inverse.push({
+    type: 'UPDATE_NODE',
+    payload: { nodeId: other.id, updates: { linkedNodeIds: structuredClone(other.linkedNodeIds) } }
+  }));
+  
+  return inverse;
+}
+
+/**
+ * Find node with its parent and sibling index (O(n))
+ */
+function locateNode(nodes, nodeId, parent = null) {
+  for (let i = 0; i < nodes.length; i++) {
+    if (nodes[i].id === nodeId) {
+      return { node: nodes[i], parent, index: i };
+    }
+    if (nodes[i].children && nodes[i].children.length > 0) {
+      const found = locateNode(nodes[i].children, nodeId, nodes[i]);
+      if (found) return found;
+    }
+  }
+  return null;
+}
+
 /**
  * Remove node from hierarchy
  * Uses parentId hint if available for faster removal
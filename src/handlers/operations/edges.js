@@ -4,14 +4,20 @@
  */
 
 import { logger } from '../../utils/logger.js';
+import { OperationError, ErrorCodes } from '../../utils/operationErrors.js';
+import { createNodeFinder, assertNoCycle } from './links.js';
+import { buildDependencyGraph, addArc } from '../../services/dependencyGraph.js';
 
 /**
  * Handle ADD_EDGE operation
  * @param {Object} graph - The graph object
  * @param {Object} payload - Operation payload
+ * @param {Object} nodeIndex - NodeIndex for O(1) lookup (optional)
  * @returns {boolean} - Success status
+ * @throws {OperationError} - NODE_NOT_FOUND if source or target doesn't exist,
+ *   DEPENDENCY_CYCLE if target already leads back to source
  */
-export function handleAddEdge(graph, payload) {
+export function handleAddEdge(graph, payload, nodeIndex = null) {
   // Check if edge already exists (prevent duplicates)
   const existingEdge = graph.edges.find(e => e.id === payload.id);
   if (existingEdge) {
@@ -19,6 +25,24 @@ export function handleAddEdge(graph, payload) {
     return true; // Return true as this is not an error
   }
   
+  // No dangling edges
+  const findNode = createNodeFinder(graph, nodeIndex);
+  for (const nodeId of [payload.source, payload.target]) {
+    if (!findNode(nodeId)) {
+      logger.warn(`Edge ${payload.id} points to missing node ${nodeId}`);
+      throw new OperationError(
+        ErrorCodes.NODE_NOT_FOUND,
+        `Edge ${payload.id} points to missing node ${nodeId}`,
+        { edgeId: payload.id, nodeId }
+      );
+    }
+  }
+  
+  // Edges are dependencies too (see services/dependencyGraph.js)
+  const successors = buildDependencyGraph(graph);
+  addArc(successors, payload.source, payload.target);
+  assertNoCycle(successors, [[payload.source, payload.target]], `Edge ${payload.id}`);
+  
   const newEdge = {
     id: payload.id,
     source: payload.source,
@@ -37,6 +61,7 @@ export function handleAddEdge(graph, payload) {
  * @param {Object} graph - The graph object
  * @param {Object} payload - Operation payload
  * @returns {boolean} - Success status
+ * @throws {OperationError} - EDGE_NOT_FOUND
  */
 export function handleDeleteEdge(graph, payload) {
   const edgeId = payload.edgeId;
@@ -50,9 +75,30 @@ export function handleDeleteEdge(graph, payload) {
     logger.debug(`Deleted edge ${edgeId}`);
   } else {
     logger.warn(`Edge ${edgeId} not found for deletion`);
+    throw new OperationError(ErrorCodes.EDGE_NOT_FOUND, `Edge ${edgeId} not found`, { edgeId });
   }
   
   return removed;
 }
 
+/**
+ * Build inverse of ADD_EDGE for undo
+ * Adding an existing edge is a no-op, so it has nothing to undo
+ * @returns {Object[]} - Inverse operations
+ */
+export function invertAddEdge(graph, payload) {
+  if (graph.edges.some(e => e.id === payload.id)) return [];
+  return [{ type: 'DELETE_EDGE', payload: { edgeId: payload.id } }];
+}
+
+/**
+ * Build inverse of DELETE_EDGE for undo
+ * @returns {Object[]} - Inverse operations
+ */
+export function invertDeleteEdge(graph, payload) {
+  const edge = graph.edges.find(e => e.id === payload.edgeId);
+  if (!edge) return [];
+  return [{ type: 'ADD_EDGE', payload: { ...edge } }];
+}
+
 export default { handleAddEdge, handleDeleteEdge };
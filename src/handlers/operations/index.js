@@ -6,24 +6,27 @@
  */
 
 import { logger } from '../../utils/logger.js';
-import { handleAddNode } from './addNode.js';
-import { handleUpdateNode } from './updateNode.js';
-import { handleDeleteNode } from './deleteNode.js';
+import { OperationError, ErrorCodes } from '../../utils/operationErrors.js';
+import { handleAddNode, invertAddNode } from './addNode.js';
+import { handleUpdateNode, invertUpdateNode } from './updateNode.js';
+import { handleDeleteNode, invertDeleteNode } from './deleteNode.js';
+import { handleMoveNode, invertMoveNode } from './moveNode.js';
 import { handleUpdateNodePosition } from './nodePosition.js';
-import { handleAddEdge, handleDeleteEdge } from './edges.js';
+import { handleAddEdge, handleDeleteEdge, invertAddEdge, invertDeleteEdge } from './edges.js';
 import { handleUpdateViewport } from './viewport.js';
+import { handleBatchUpdate } from './batchUpdate.js';
 
 /**
  * Operation handlers map
  * Maps operation type to handler function
- * Signature: (graph, payload, graphId, analytics, nodeIndex) => boolean
+ * Signature: (graph, payload, graphId, analytics, nodeIndex, userId, inverses, effects) => boolean
  */
 const operationHandlers = {
   ADD_NODE: (graph, payload, graphId, analytics, nodeIndex, userId) =>
     handleAddNode(graph, payload, nodeIndex),
   
-  UPDATE_NODE: (graph, payload, graphId, analytics, nodeIndex, userId) =>
-    handleUpdateNode(graph, payload, graphId, analytics, nodeIndex, userId),
+  UPDATE_NODE: (graph, payload, graphId, analytics, nodeIndex, userId, inverses, effects) =>
+    handleUpdateNode(graph, payload, graphId, analytics, nodeIndex, userId, effects),
   
   UPDATE_NODE_POSITION: (graph, payload, graphId, analytics, nodeIndex, userId) =>
     handleUpdateNodePosition(graph, payload, nodeIndex),
@@ -31,14 +34,39 @@ const operationHandlers = {
   DELETE_NODE: (graph, payload, graphId, analytics, nodeIndex, userId) =>
     handleDeleteNode(graph, payload, nodeIndex),
   
-  ADD_EDGE: (graph, payload) =>
-    handleAddEdge(graph, payload),
+  MOVE_NODE: (graph, payload, graphId, analytics, nodeIndex, userId) =>
+    handleMoveNode(graph, payload, nodeIndex),
+  
+  ADD_EDGE: (graph, payload, graphId, analytics, nodeIndex) =>
+    handleAddEdge(graph, payload, nodeIndex),
   
   DELETE_EDGE: (graph, payload) =>
     handleDeleteEdge(graph, payload),
   
   UPDATE_VIEWPORT: (graph, payload) =>
     handleUpdateViewport(graph, payload),
+  
+  // Sub-operations go back through the router so they share graph, index, userId, inverses and effects
+  BATCH_UPDATE: (graph, payload, graphId, analytics, nodeIndex, userId, inverses, effects) =>
+    handleBatchUpdate(graph, payload, nodeIndex, (type, subPayload) =>
+      routeOperation(type, graph, subPayload, graphId, analytics, nodeIndex, userId, inverses, effects)),
+};
+
+/**
+ * Inverse builders map (for undo/redo)
+ * Called BEFORE the handler, against the unchanged graph
+ * Signature: (graph, payload, nodeIndex) => Object[] inverse operations
+ *
+ * UPDATE_NODE_POSITION and UPDATE_VIEWPORT are intentionally missing:
+ * drag frames and panning are not undoable steps
+ */
+const inverseBuilders = {
+  ADD_NODE: invertAddNode,
+  UPDATE_NODE: invertUpdateNode,
+  DELETE_NODE: invertDeleteNode,
+  MOVE_NODE: invertMoveNode,
+  ADD_EDGE: invertAddEdge,
+  DELETE_EDGE: invertDeleteEdge,
 };
 
 /**
@@ -50,19 +78,47 @@ const operationHandlers = {
  * @param {Object} analytics - Analytics service
  * @param {Object} nodeIndex - NodeIndex for O(1) lookups
  * @param {string} userId - User ID for daily completions tracking
+ * @param {Object[]|null} inverses - If given, inverse operations of applied changes are appended here
+ * @param {Function[]|null} effects - If given, side effects outside the graph (daily completions,
+ *   analytics) are appended here for the caller to run once the graph is saved
  * @returns {boolean} - Success status
+ * @throws {OperationError} - UNKNOWN_OPERATION, or the handler's error
  */
-export function routeOperation(type, graph, payload, graphId, analytics, nodeIndex, userId) {
+export function routeOperation(type, graph, payload, graphId, analytics, nodeIndex, userId, inverses = null, effects = null) {
   const handler = operationHandlers[type];
   
   if (!handler) {
     logger.warn(`Unknown operation type: ${type}`);
-    return false;
+    throw new OperationError(ErrorCodes.UNKNOWN_OPERATION, `Unknown operation type: ${type}`, { type });
   }
   
   logger.operation(type, { nodeId: payload.id || payload.nodeId || payload.edgeId });
   
-  return handler(graph, payload, graphId, analytics, nodeIndex, userId);
+  const buildInverse = inverses ? inverseBuilders[type] : null;
+  const inverse = buildInverse ? buildInverse(graph, payload, nodeIndex) : [];
+  
+  const success = handler(graph, payload, graphId, analytics, nodeIndex, userId, inverses, effects);
+  
+  if (success && inverses) {
+    inverses.push(inverse);
+  }
+  
+  return success;
+}
+
+/**
+ * Combine collected inverses into one undo operation
+ * Groups are replayed in reverse order, each group keeps its own order
+ * @param {Object[][]} inverses - Inverse groups collected by routeOperation
+ * @returns {Object|null} - Single operation, BATCH_UPDATE, or null if nothing to undo
+ */
+export function combineInverses(inverses) {
+  const operations = [...inverses].reverse().flat();
+  
+  if (operations.length === 0) return null;
+  if (operations.length === 1) return operations[0];
+  
+  return { type: 'BATCH_UPDATE', payload: { operations } };
 }
 
 // Export individual handlers for direct access if needed
@@ -70,10 +126,12 @@ export {
   handleAddNode,
   handleUpdateNode,
   handleDeleteNode,
+  handleMoveNode,
   handleUpdateNodePosition,
   handleAddEdge,
   handleDeleteEdge,
   handleUpdateViewport,
+  handleBatchUpdate,
 };
 
 export default routeOperation;
@@ -0,0 +1,184 @@
+/**
+ * Node Links - Referential integrity of linkedNodeIds
+ *
+ * Links are kept symmetric the way fixAsymmetricLinks in ai-planning.js fixes AI plans:
+ * A has B in downstream exactly when B has A in upstream. Handlers mirror every link
+ * change on the node at the other end and drop links to deleted nodes.
+ */
+
+import { OperationError, ErrorCodes } from '../../utils/operationErrors.js';
+import { flattenNodes } from '../../services/graphDiff.js';
+import { findCycleThrough, formatCycle } from '../../services/dependencyGraph.js';
+
+const MIRROR = { upstream: 'downstream', downstream: 'upstream' };
+export const LINK_DIRECTIONS = Object.keys(MIRROR);
+
+/**
+ * Linked IDs of a node in one direction
+ * @returns {string[]}
+ */
+export function getLinks(node, direction) {
+  return node?.linkedNodeIds?.[direction] || [];
+}
+
+/**
+ * Every node ID linked from a linkedNodeIds object (either direction)
+ * @returns {string[]}
+ */
+export function getLinkedIds(linkedNodeIds) {
+  return LINK_DIRECTIONS.flatMap(direction => linkedNodeIds?.[direction] || []);
+}
+
+/**
+ * Node lookup by ID - NodeIndex when available, otherwise one walk of the tree
+ * @returns {Function} - id => node | null
+ */
+export function createNodeFinder(graph, nodeIndex = null) {
+  let flat = null;
+  return (id) => {
+    if (nodeIndex && nodeIndex.hasNode(id)) return nodeIndex.getNode(id);
+    flat = flat || flattenNodes(graph.nodes || []);
+    return flat.get(id)?.node || null;
+  };
+}
+
+/**
+ * Call visit for a node and every descendant (pre-order)
+ */
+export function forEachInSubtree(node, visit) {
+  visit(node);
+  (node.children || []).forEach(child => forEachInSubtree(child, visit));
+}
+
+/**
+ * IDs of a node and all its descendants
+ * @returns {Set<string>}
+ */
+export function collectSubtreeIds(node) {
+  const ids = new Set();
+  forEachInSubtree(node, current => ids.add(current.id));
+  return ids;
+}
+
+/**
+ * Reject links to the node itself or to nodes that don't exist
+ * @param {Function} exists - id => boolean
+ * @throws {OperationError} - VALIDATION_FAILED, NODE_NOT_FOUND
+ */
+export function assertLinkTargets(nodeId, linkedNodeIds, exists) {
+  for (const linkedId of getLinkedIds(linkedNodeIds)) {
+    if (linkedId === nodeId) {
+      throw new OperationError(ErrorCodes.VALIDATION_FAILED, `Node ${nodeId} can't link to itself`, { nodeId });
+    }
+    if (!exists(linkedId)) {
+      throw new OperationError(
+        ErrorCodes.NODE_NOT_FOUND,
+        `Node ${nodeId} links to missing node ${linkedId}`,
+        { nodeId, linkedNodeId: linkedId }
+      );
+    }
+  }
+}
+
+/**
+ * Reject new dependency arcs that close a loop
+ * @param {Map} successors - Dependency graph including the new arcs (see services/dependencyGraph.js)
+ * @param {Array<[string, string]>} arcs - New [from, to] arcs
+ * @throws {OperationError} - DEPENDENCY_CYCLE with details { cycle }
+ */
+export function assertNoCycle(successors, arcs, context) {
+  const cycle = findCycleThrough(successors, arcs);
+  if (cycle) {
+    throw new OperationError(
+      ErrorCodes.DEPENDENCY_CYCLE,
+      `${context} would create a dependency cycle: ${formatCycle(cycle)}`,
+      { cycle }
+    );
+  }
+}
+
+/**
+ * Apply a node's link changes to the nodes at the other end
+ * @param {Object|null} previous - linkedNodeIds before the change
+ * @param {Object|null} next - linkedNodeIds after the change
+ * @param {Function} findNode - id => node | null
+ * @returns {number} - Links added or removed on other nodes
+ */
+export function mirrorLinks(nodeId, previous, next, findNode) {
+  let changed = 0;
+
+  for (const direction of LINK_DIRECTIONS) {
+    const before = new Set(previous?.[direction] || []);
+    const after = new Set(next?.[direction] || []);
+    const mirror = MIRROR[direction];
+
+    after.forEach((linkedId) => {
+      if (before.has(linkedId)) return;
+      const other = findNode(linkedId);
+      if (other && !getLinks(other, mirror).includes(nodeId)) {
+        other.linkedNodeIds = { ...other.linkedNodeIds, [mirror]: [...getLinks(other, mirror), nodeId] };
+        changed++;
+      }
+    });
+
+    before.forEach((linkedId) => {
+      if (after.has(linkedId)) return;
+      const other = findNode(linkedId);
+      if (other && getLinks(other, mirror).includes(nodeId)) {
+        other.linkedNodeIds = { ...other.linkedNodeIds, [mirror]: getLinks(other, mirror).filter(id => id !== nodeId) };
+        changed++;
+      }
+    });
+  }
+
+  return changed;
+}
+
+/**
+ * Nodes (outside the removed set) that link to any removed node
+ * Walks the whole tree so one-sided legacy links are found too
+ * @param {Set<string>} removedIds
+ * @returns {Object[]} - Linking nodes
+ */
+export function findNodesLinkingTo(graph, removedIds) {
+  const linking = [];
+  flattenNodes(graph.nodes || []).forEach(({ node }, id) => {
+    if (removedIds.has(id)) return;
+    if (getLinkedIds(node.linkedNodeIds).some(linkedId => removedIds.has(linkedId))) {
+      linking.push(node);
+    }
+  });
+  return linking;
+}
+
+/**
+ * Drop links to removed nodes from the given nodes
+ * @returns {number} - Links removed
+ */
+export function unlinkRemoved(nodes, removedIds) {
+  let removed = 0;
+  nodes.forEach((node) => {
+    const linkedNodeIds = { ...node.linkedNodeIds };
+    for (const direction of LINK_DIRECTIONS) {
+      if (!linkedNodeIds[direction]) continue;
+      const kept = linkedNodeIds[direction].filter(id => !removedIds.has(id));
+      removed += linkedNodeIds[direction].length - kept.length;
+      linkedNodeIds[direction] = kept;
+    }
+    node.linkedNodeIds = linkedNodeIds;
+  });
+  return removed;
+}
+
+export default {
+  getLinks,
+  getLinkedIds,
+  createNodeFinder,
+  forEachInSubtree,
+  collectSubtreeIds,
+  assertLinkTargets,
+  assertNoCycle,
+  mirrorLinks,
+  findNodesLinkingTo,
+  unlinkRemoved
+};
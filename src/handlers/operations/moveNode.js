@@ -0,0 +1,173 @@
+/**
+ * MOVE_NODE Operation Handler
+ * Reparents a node (with its whole subtree) inside the hierarchy
+ *
+ * Performance: Uses NodeIndex for O(1) node/parent lookup and updates index
+ */
+
+import { logger } from '../../utils/logger.js';
+import { OperationError, ErrorCodes } from '../../utils/operationErrors.js';
+import { promoteParentSubtype, demoteParentSubtype } from '../../services/graphService.js';
+
+/**
+ * Handle MOVE_NODE operation
+ * @param {Object} graph - The graph object
+ * @param {Object} payload - { nodeId, newParentId (null = root), index (optional sibling position) }
+ * @param {Object} nodeIndex - NodeIndex for O(1) lookup (optional)
+ * @returns {boolean} - Success status
+ * @throws {OperationError} - VALIDATION_FAILED, NODE_NOT_FOUND
+ */
+export function handleMoveNode(graph, payload, nodeIndex = null) {
+  const { nodeId } = payload;
+  const newParentId = payload.newParentId || null;
+
+  if (!nodeId) {
+    logger.error('MOVE_NODE: No node ID provided');
+    throw new OperationError(ErrorCodes.VALIDATION_FAILED, 'MOVE_NODE requires nodeId');
+  }
+
+  const node = findNode(graph, nodeId, nodeIndex);
+  if (!node) {
+    logger.warn(`Node ${nodeId} not found for move`);
+    throw new OperationError(ErrorCodes.NODE_NOT_FOUND, `Node ${nodeId} not found`, { nodeId });
+  }
+
+  // A node can't become its own ancestor
+  if (newParentId && isSelfOrDescendant(node, newParentId, nodeIndex)) {
+    logger.warn(`MOVE_NODE: Cannot move ${nodeId} into itself or its descendant ${newParentId}`);
+    throw new OperationError(
+      ErrorCodes.VALIDATION_FAILED,
+      `Cannot move node ${nodeId} into itself or its descendant`,
+      { nodeId, newParentId }
+    );
+  }
+
+  let newParent = null;
+  if (newParentId) {
+    newParent = findNode(graph, newParentId, nodeIndex);
+    if (!newParent) {
+      logger.warn(`MOVE_NODE: New parent ${newParentId} not found`);
+      throw new OperationError(ErrorCodes.NODE_NOT_FOUND, `Parent ${newParentId} not found`, { nodeId: newParentId });
+    }
+  }
+
+  // Detach from current parent (or root list)
+  const oldParent = findParent(graph, nodeId, nodeIndex);
+  const oldSiblings = oldParent ? oldParent.children : graph.nodes;
+  const oldIndex = oldSiblings.findIndex(n => n.id === nodeId);
+  oldSiblings.splice(oldIndex, 1);
+
+  // Attach under new parent (or root list)
+  // Index is applied after detaching, so reordering within the same parent works too
+  if (newParent && !newParent.children) newParent.children = [];
+  const newSiblings = newParent ? newParent.children : graph.nodes;
+  const insertAt = Number.isInteger(payload.index)
+    ? Math.max(0, Math.min(payload.index, newSiblings.length))
+    : newSiblings.length;
+  newSiblings.splice(insertAt, 0, node);
+
+  // Keep parent subtypes in sync with whether they have children
+  if (oldParent && oldParent !== newParent && demoteParentSubtype(oldParent)) {
+    logger.debug(`Updated old parent ${oldParent.id} subtype to '${oldParent.nodeSubtype}'`);
+  }
+  if (newParent && promoteParentSubtype(newParent)) {
+    logger.debug(`Updated new parent ${newParentId} subtype to '${newParent.nodeSubtype}'`);
+  }
+
+  // Update NodeIndex parent and path caches
+  if (nodeIndex) {
+    nodeIndex.moveNode(nodeId, newParentId);
+  }
+
+  logger.success(`Node ${nodeId} moved from ${oldParent?.id || 'root'} to ${newParentId || 'root'} at index ${insertAt}`);
+  return true;
+}
+
+/**
+ * Build inverse of MOVE_NODE for undo
+ * Moves the node back to its old parent and sibling index
+ * @returns {Object[]} - Inverse operations
+ */
+export function invertMoveNode(graph, payload, nodeIndex = null) {
+  const { nodeId } = payload;
+  if (!nodeId || !findNode(graph, nodeId, nodeIndex)) return [];
+  
+  const oldParent = findParent(graph, nodeId, nodeIndex);
+  const oldSiblings = oldParent ? oldParent.children : graph.nodes;
+  
+  return [{
+    type: 'MOVE_NODE',
+    payload: {
+      nodeId,
+      newParentId: oldParent ? oldParent.id : null,
+      index: oldSiblings.findIndex(n => n.id === nodeId)
+    }
+  }];
+}
+
+/**
+ * Find node using NodeIndex, falling back to recursive search
+ */
+function findNode(graph, nodeId, nodeIndex) {
+  if (nodeIndex && nodeIndex.hasNode(nodeId)) {
+    return nodeIndex.getNode(nodeId);
+  }
+  return findNodeRecursive(graph.nodes, nodeId);
+}
+
+/**
+ * Find parent node using NodeIndex, falling back to recursive search
+ * @returns {Object|null} - Parent node or null if node is a root node
+ */
+function findParent(graph, nodeId, nodeIndex) {
+  if (nodeIndex && nodeIndex.hasNode(nodeId)) {
+    return nodeIndex.getParent(nodeId);
+  }
+  return findParentRecursive(graph.nodes, nodeId);
+}
+
+/**
+ * Check whether targetId is the node itself or somewhere in its subtree
+ */
+function isSelfOrDescendant(node, targetId, nodeIndex) {
+  if (node.id === targetId) return true;
+
+  if (nodeIndex && nodeIndex.hasNode(targetId)) {
+    return nodeIndex.getAncestorIds(targetId).includes(node.id);
+  }
+  return findNodeRecursive(node.children || [], targetId) !== null;
+}
+
+/**
+ * Fallback recursive search (O(n))
+ */
+function findNodeRecursive(nodes, nodeId) {
+  for (let node of nodes) {
+    if (node.id === nodeId) {
+      return node;
+    }
+    if (node.children && node.children.length > 0) {
+      const found = findNodeRecursive(node.children, nodeId);
+      if (found) return found;
+    }
+  }
+  return null;
+}
+
+/**
+ * Fallback recursive parent search (O(n))
+ */
+function findParentRecursive(nodes, nodeId, parent = null) {
+  for (let node of nodes) {
+    if (node.id === nodeId) {
+      return parent;
+    }
+    if (node.children && node.children.length > 0) {
+      const found = findParentRecursive(node.children, nodeId, node);
+      if (found) return found;
+    }
+  }
+  return null;
+}
+
+export default handleMoveNode;
@@ -7,6 +7,7 @@
  */
 
 import { logger } from '../../utils/logger.js';
+import { OperationError, ErrorCodes } from '../../utils/operationErrors.js';
 
 /**
  * Handle UPDATE_NODE_POSITION operation
@@ -14,6 +15,7 @@ import { logger } from '../../utils/logger.js';
  * @param {Object} payload - Operation payload
  * @param {Object} nodeIndex - NodeIndex for O(1) lookup (optional)
  * @returns {boolean} - Success status
+ * @throws {OperationError} - NODE_NOT_FOUND
  */
 export function handleUpdateNodePosition(graph, payload, nodeIndex = null) {
   const { nodeId, position } = payload;
@@ -35,7 +37,7 @@ export function handleUpdateNodePosition(graph, payload, nodeIndex = null) {
   
   // Only log if node not found (error case)
   logger.warn(`Node ${nodeId} not found for position update`);
-  return false;
+  throw new OperationError(ErrorCodes.NODE_NOT_FOUND, `Node ${nodeId} not found`, { nodeId });
 }
 
 /**
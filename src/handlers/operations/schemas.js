@@ -0,0 +1,249 @@
+/**
+ * Operation Schemas - Allowed payload of every operation type and the node/edge shapes
+ *
+ * Client operations are validated before they reach a handler (see operationHandler.js);
+ * undo/redo inverses are built from stored state and skip this.
+ * Operation schemas are strict: a field not listed here is rejected, never stored or silently
+ * dropped (client-side flags such as isOptimistic stay on the client).
+ * REST graph saves only have their known fields checked (see validateGraphContent).
+ */
+
+import { OperationError, ErrorCodes } from '../../utils/operationErrors.js';
+import { validate } from '../../utils/schema.js';
+import { getBatchOperations } from './batchUpdate.js';
+
+/**
+ * Subtypes allowed per node type
+ */
+export const NODE_KINDS = {
+  dao: ['simple', 'withChildren'],
+  fundamental: ['simple', 'category', 'upstream', 'downstream'],
+  repeatable: ['simple', 'infinity']
+};
+
+const MAX_COMPLETIONS = 1000000;
+
+const ID = { type: 'string', minLength: 1, maxLength: 128 };
+const ID_LIST = { type: 'array', items: ID, maxItems: 1000 };
+
+const POSITION = {
+  type: 'object',
+  properties: { x: { type: 'number' }, y: { type: 'number' } },
+  required: ['x', 'y'],
+  additionalProperties: false
+};
+
+/**
+ * Node fields a client may set with UPDATE_NODE
+ * id and children are changed only through ADD/DELETE/MOVE_NODE
+ */
+const UPDATABLE_NODE_FIELDS = {
+  title: { type: 'string', maxLength: 500 },
+  nodeType: { type: 'string', enum: Object.keys(NODE_KINDS) },
+  nodeSubtype: { type: 'string', enum: [...new Set(Object.values(NODE_KINDS).flat())] },
+  position: POSITION,
+  isDone: { type: 'boolean' },
+  currentCompletions: { type: 'integer', minimum: 0, maximum: MAX_COMPLETIONS },
+  requiredCompletions: { type: 'integer', minimum: 1, maximum: MAX_COMPLETIONS },
+  totalCompletions: { type: 'integer', minimum: 0 },
+  calculatedProgress: { type: 'number', minimum: 0, maximum: 1 },
+  // Scheduling estimates (see services/schedule.js) - durationDays wins when both are set
+  estimateHours: { type: 'number', minimum: 0, maximum: 100000, nullable: true },
+  durationDays: { type: 'number', minimum: 0, maximum: 10000, nullable: true },
+  // Share in the parent's progress with settings.weighting 'manual' (see services/progressRollup.js)
+  weight: { type: 'number', minimum: 0, maximum: 1000000, nullable: true },
+  linkedNodeIds: {
+    type: 'object',
+    properties: { upstream: ID_LIST, downstream: ID_LIST },
+    additionalProperties: false
+  },
+  progressMode: { type: 'string', maxLength: 50, nullable: true },
+  emoji: { type: 'string', maxLength: 32, nullable: true },
+  description: { type: 'string', maxLength: 10000, nullable: true }
+};
+
+/**
+ * Stored node shape (ADD_NODE payload without placement fields)
+ */
+export const NODE_SCHEMA = {
+  type: 'object',
+  properties: {
+    id: ID,
+    ...UPDATABLE_NODE_FIELDS
+  },
+  required: ['id'],
+  additionalProperties: false,
+  check: node => checkNodeKind(node.nodeType || 'dao', node.nodeSubtype || 'simple')
+};
+NODE_SCHEMA.properties.children = { type: 'array', items: NODE_SCHEMA };
+
+/**
+ * Stored edge shape
+ */
+export const EDGE_SCHEMA = {
+  type: 'object',
+  properties: {
+    id: ID,
+    source: ID,
+    target: ID,
+    type: { type: 'string', maxLength: 50 }
+  },
+  required: ['id', 'source', 'target'],
+  additionalProperties: false
+};
+
+/**
+ * Node and edge lists of a REST graph save (see graphRoutes.js)
+ * Known fields are checked like in operations; others are kept, stored graphs carry fields
+ * the server reads but operations don't set (name, lastUpdated, previousProgress, ...)
+ * Other graph fields (viewport, settings, version) are not checked here
+ */
+const STORED_NODE_SCHEMA = {
+  type: 'object',
+  properties: { ...NODE_SCHEMA.properties },
+  required: NODE_SCHEMA.required,
+  check: NODE_SCHEMA.check
+};
+STORED_NODE_SCHEMA.properties.children = { type: 'array', items: STORED_NODE_SCHEMA };
+
+const GRAPH_CONTENT_SCHEMA = {
+  type: 'object',
+  properties: {
+    nodes: { type: 'array', items: STORED_NODE_SCHEMA },
+    edges: {
+      type: 'array',
+      items: { type: 'object', properties: EDGE_SCHEMA.properties, required: EDGE_SCHEMA.required }
+    }
+  }
+};
+
+/**
+ * Payload schema per operation type (BATCH_UPDATE validates each sub-operation)
+ */
+const OPERATION_SCHEMAS = {
+  ADD_NODE: {
+    ...NODE_SCHEMA,
+    properties: {
+      ...NODE_SCHEMA.properties,
+      parentId: { ...ID, nullable: true },
+      index: { type: 'integer', minimum: 0 }
+    }
+  },
+  UPDATE_NODE: {
+    type: 'object',
+    properties: {
+      id: ID,
+      nodeId: ID,
+      updates: {
+        type: 'object',
+        properties: UPDATABLE_NODE_FIELDS,
+        additionalProperties: false,
+        check: updates => (Object.keys(updates).length === 0 ? 'must change at least one field' : null)
+      }
+    },
+    required: ['updates'],
+    additionalProperties: false,
+    check: payload => (payload.id || payload.nodeId ? null : 'requires id or nodeId')
+  },
+  DELETE_NODE: {
+    type: 'object',
+    properties: { nodeId: ID },
+    required: ['nodeId'],
+    additionalProperties: false
+  },
+  MOVE_NODE: {
+    type: 'object',
+    properties: {
+      nodeId: ID,
+      newParentId: { ...ID, nullable: true },
+      index: { type: 'integer', minimum: 0 }
+    },
+    required: ['nodeId'],
+    additionalProperties: false
+  },
+  UPDATE_NODE_POSITION: {
+    type: 'object',
+    properties: { nodeId: ID, position: POSITION },
+    required: ['nodeId', 'position'],
+    additionalProperties: false
+  },
+  ADD_EDGE: EDGE_SCHEMA,
+  DELETE_EDGE: {
+    type: 'object',
+    properties: { edgeId: ID },
+    required: ['edgeId'],
+    additionalProperties: false
+  },
+  UPDATE_VIEWPORT: {
+    type: 'object',
+    properties: {
+      x: { type: 'number' },
+      y: { type: 'number' },
+      zoom: { type: 'number', minimum: 0.01, maximum: 100 }
+    },
+    required: ['x', 'y', 'zoom'],
+    additionalProperties: false
+  }
+};
+
+/**
+ * Check that a node type allows the subtype
+ * @returns {string|null} - Error message or null
+ */
+export function checkNodeKind(nodeType, nodeSubtype) {
+  const subtypes = NODE_KINDS[nodeType];
+  if (!subtypes) return `nodeType must be one of: ${Object.keys(NODE_KINDS).join(', ')}`;
+  if (!subtypes.includes(nodeSubtype)) {
+    return `nodeSubtype of a ${nodeType} node must be one of: ${subtypes.join(', ')}`;
+  }
+  return null;
+}
+
+/**
+ * Validate an operation payload
+ * Unknown types are left to the router (UNKNOWN_OPERATION)
+ * @throws {OperationError} - VALIDATION_FAILED with details { errors: [{ path, message }], batchIndex? }
+ */
+export function validateOperation(type, payload) {
+  if (type === 'BATCH_UPDATE') {
+    // Shape of the batch itself is checked by its handler
+    (getBatchOperations(payload) || []).forEach((operation, batchIndex) => {
+      if (!operation) return;
+      try {
+        validateOperation(operation.type, operation.payload || {});
+      } catch (error) {
+        error.details = { ...error.details, batchIndex };
+        throw error;
+      }
+    });
+    return;
+  }
+
+  const schema = OPERATION_SCHEMAS[type];
+  if (!schema) return;
+
+  assertValid(payload, schema, type);
+}
+
+/**
+ * Validate the nodes and edges a client sends as a whole graph
+ * @param {Object} fields - { nodes, edges, ... } - missing lists are not checked
+ * @throws {OperationError} - VALIDATION_FAILED with details { errors: [{ path, message }] }
+ */
+export function validateGraphContent(fields) {
+  assertValid(fields, GRAPH_CONTENT_SCHEMA, 'graph');
+}
+
+function assertValid(value, schema, label) {
+  const errors = validate(value, schema);
+  if (errors.length > 0) {
+    const [first] = errors;
+    throw new OperationError(
+      ErrorCodes.VALIDATION_FAILED,
+      `Invalid ${label}: ${first.path ? `${first.path} ` : ''}${first.message}`,
+      { errors }
+    );
+  }
+}
+
+export default { validateOperation, validateGraphContent, checkNodeKind, NODE_SCHEMA, EDGE_SCHEMA, NODE_KINDS };
@@ -7,14 +7,18 @@
  */
 
 import { logger } from '../../utils/logger.js';
+import { OperationError, ErrorCodes } from '../../utils/operationErrors.js';
 import {
   DEFAULT_USER_ID,
-  calculateNodeProgress,
   findNodeCategory,
   getNodePath,
   findAffectedNodes
 } from '../../services/graphService.js';
 import dailyCompletions from '../../services/dailyCompletions.js';
+import { createProgressCalculator, getNodeWeight, getWeightingMode } from '../../services/progressRollup.js';
+import { checkNodeKind } from './schemas.js';
+import { createNodeFinder, assertLinkTargets, assertNoCycle, mirrorLinks } from './links.js';
+import { buildDependencyGraph, linkArcs } from '../../services/dependencyGraph.js';
 
 /**
  * Handle UPDATE_NODE operation
@@ -24,16 +28,24 @@ import dailyCompletions from '../../services/dailyCompletions.js';
  * @param {Object} analytics - Analytics service
  * @param {Object} nodeIndex - NodeIndex for O(1) lookup (optional)
  * @param {string} userId - User ID for daily completions tracking
+ * @param {Function[]|null} effects - Daily completions / analytics tracking is queued here to run
+ *   after the save (see operationHandler.js); without it they run right away
  * @returns {boolean} - Success status
+ * @throws {OperationError} - VALIDATION_FAILED, NODE_NOT_FOUND, DEPENDENCY_CYCLE
  */
-export function handleUpdateNode(graph, payload, graphId, analytics, nodeIndex = null, userId = DEFAULT_USER_ID) {
+export function handleUpdateNode(graph, payload, graphId, analytics, nodeIndex = null, userId = DEFAULT_USER_ID, effects = null) {
   // Handle both payload.id and payload.nodeId for backward compatibility
   const nodeIdToUpdate = payload.id || payload.nodeId;
   logger.debug(`UPDATE_NODE for ${nodeIdToUpdate}:`, payload.updates);
   
   if (!nodeIdToUpdate) {
     logger.error('UPDATE_NODE: No node ID provided');
-    return false;
+    throw new OperationError(ErrorCodes.VALIDATION_FAILED, 'UPDATE_NODE requires id or nodeId');
+  }
+  
+  if (!payload.updates || typeof payload.updates !== 'object') {
+    logger.error('UPDATE_NODE: No updates provided');
+    throw new OperationError(ErrorCodes.VALIDATION_FAILED, 'UPDATE_NODE requires an updates object');
   }
   
   // Try O(1) lookup with NodeIndex first
@@ -51,23 +63,57 @@ export function handleUpdateNode(graph, payload, graphId, analytics, nodeIndex =
   
   if (!node) {
     logger.warn(`Node ${nodeIdToUpdate} not found for update`);
-    return false;
+    throw new OperationError(ErrorCodes.NODE_NOT_FOUND, `Node ${nodeIdToUpdate} not found`, { nodeId: nodeIdToUpdate });
+  }
+  
+  // Type and subtype must stay a valid pair when either changes
+  const { nodeType, nodeSubtype } = payload.updates;
+  if (nodeType !== undefined || nodeSubtype !== undefined) {
+    const kindError = checkNodeKind(nodeType ?? node.nodeType, nodeSubtype ?? node.nodeSubtype);
+    if (kindError) {
+      throw new OperationError(ErrorCodes.VALIDATION_FAILED, kindError, { nodeId: nodeIdToUpdate });
+    }
+  }
+  
+  // New links must point at existing nodes
+  const linksChanged = payload.updates.linkedNodeIds !== undefined;
+  const findNode = linksChanged ? createNodeFinder(graph, nodeIndex) : null;
+  if (linksChanged) {
+    assertLinkTargets(nodeIdToUpdate, payload.updates.linkedNodeIds, id => findNode(id) !== null);
+    
+    // Check the dependency graph as it will be after the change (links mirrored)
+    const successors = buildDependencyGraph(graph, {
+      nodeId: nodeIdToUpdate,
+      previous: node.linkedNodeIds,
+      next: payload.updates.linkedNodeIds
+    });
+    const addedArcs = linkArcs(nodeIdToUpdate, payload.updates.linkedNodeIds, node.linkedNodeIds);
+    assertNoCycle(successors, addedArcs, `Node ${nodeIdToUpdate}`);
   }
   
   // Save previous isDone state for daily completions tracking
   const previousIsDone = node.isDone;
+  const previousLinks = node.linkedNodeIds;
   
   // Apply updates to node
   applyNodeUpdates(node, payload.updates);
   
+  // Keep upstream/downstream symmetric on the linked nodes
+  if (linksChanged) {
+    mirrorLinks(nodeIdToUpdate, previousLinks, node.linkedNodeIds, findNode);
+  }
+  
+  // Tracking outside the graph must not happen for a batch that rolls back or a save that conflicts
+  const afterSave = effects ? effect => effects.push(effect) : effect => effect();
+  
   // Track daily completions (isDone changed) - pass userId for per-user tracking
   if (payload.updates.isDone !== undefined && payload.updates.isDone !== previousIsDone) {
-    trackDailyCompletion(nodeIdToUpdate, graphId, previousIsDone, payload.updates.isDone, userId);
+    afterSave(() => trackDailyCompletion(nodeIdToUpdate, graphId, previousIsDone, payload.updates.isDone, userId));
   }
   
   // Track analytics for progress updates ONLY
   if (analytics && (payload.updates.isDone !== undefined || payload.updates.currentCompletions !== undefined)) {
-    trackProgressAnalytics(graph, node, nodeIdToUpdate, graphId, analytics, nodeIndex);
+    afterSave(() => trackProgressAnalytics(graph, node, nodeIdToUpdate, graphId, analytics, nodeIndex, userId));
   }
   
   // Update NodeIndex if title changed (affects path cache)
@@ -79,6 +125,29 @@ export function handleUpdateNode(graph, payload, graphId, analytics, nodeIndex =
   return true;
 }
 
+/**
+ * Build inverse of UPDATE_NODE for undo
+ * Captures the previous value of every field being updated
+ * @returns {Object[]} - Inverse operations
+ */
+export function invertUpdateNode(graph, payload, nodeIndex = null) {
+  const nodeId = payload.id || payload.nodeId;
+  if (!nodeId || !payload.updates) return [];
+  
+  const node = nodeIndex && nodeIndex.hasNode(nodeId)
+    ? nodeIndex.getNode(nodeId)
+    : findNodeRecursive(graph.nodes, nodeId);
+  if (!node) return [];
+  
+  const previous = {};
+  for (const key of Object.keys(payload.updates)) {
+    // null (not undefined) so the field survives JSON serialization
+    previous[key] = node[key] === undefined ? null : structuredClone(node[key]);
+  }
+  
+  return [{ type: 'UPDATE_NODE', payload: { nodeId, updates: previous } }];
+}
+
 /**
  * Fallback recursive search (O(n))
  */
@@ -145,10 +214,14 @@ function applyNodeUpdates(node, updates) {
 
 /**
  * Track progress analytics for affected nodes
+ * calculatedProgress itself is stored by the rollup after the operation (see progressRollup.js)
+ * @param {string} userId - Graph owner - analytics are kept per owner like the graph
  */
-function trackProgressAnalytics(graph, node, nodeIdToUpdate, graphId, analytics, nodeIndex) {
+function trackProgressAnalytics(graph, node, nodeIdToUpdate, graphId, analytics, nodeIndex, userId = DEFAULT_USER_ID) {
   // Track all affected nodes (current + parents that calculate from it)
   const affectedNodes = findAffectedNodes(graph.nodes, nodeIdToUpdate);
+  const progressOf = createProgressCalculator(graph);
+  const weighting = getWeightingMode(graph);
   
   for (const affectedNode of affectedNodes) {
     // Use NodeIndex for faster path lookup if available
@@ -162,16 +235,10 @@ function trackProgressAnalytics(graph, node, nodeIdToUpdate, graphId, analytics,
     const category = findNodeCategory(graph.nodes, affectedNode.id);
     
     // Calculate progress for each affected node
-    const currentProgress = calculateNodeProgress(affectedNode);
-    
-    // Save calculatedProgress for affected nodes (especially important for fundamental nodes)
-    if (affectedNode.nodeType === 'fundamental') {
-      affectedNode.calculatedProgress = currentProgress / 100; // Store as 0-1 value
-      logger.debug(`Saved calculatedProgress=${affectedNode.calculatedProgress} for fundamental node ${affectedNode.id}`);
-    }
+    const currentProgress = progressOf(affectedNode) * 100;
     
     // Track progress update in simplified analytics
-    analytics.trackProgressUpdate(DEFAULT_USER_ID, graphId, affectedNode.id, {
+    analytics.trackProgressUpdate(userId, graphId, affectedNode.id, {
       nodeTitle: affectedNode.title || affectedNode.name || 'Unknown',
       nodePath: nodePath,
       nodeType: affectedNode.nodeType,
@@ -180,6 +247,7 @@ function trackProgressAnalytics(graph, node, nodeIdToUpdate, graphId, analytics,
       categoryName: category ? (category.title || category.name) : null,
       previousProgress: affectedNode.previousProgress || 0,
       currentProgress: currentProgress,
+      weight: getNodeWeight(affectedNode, weighting),
       isDone: affectedNode.isDone,
       previousIsDone: affectedNode.previousIsDone,
       currentCompletions: affectedNode.currentCompletions || 0,
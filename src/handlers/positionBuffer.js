@@ -0,0 +1,293 @@
+/**
+ * Position Buffer
+ * Write-behind buffer for UPDATE_NODE_POSITION (drag frames arrive at ~60 FPS)
+ *
+ * Positions are kept in memory per graph and:
+ *   - overlaid on the graph sent to subscribers (GRAPH_STATE, SYNC_RESPONSE); the stored and
+ *     cached graph only gets them when they are saved
+ *   - broadcast at most every BROADCAST_INTERVAL_MS (latest position per node)
+ *   - saved as ONE operation (final position per node) after FLUSH_DELAY_MS
+ *     without movement, at the latest after MAX_FLUSH_DELAY_MS,
+ *     on drag end (payload.dragEnd) and on shutdown
+ *   - put back and saved again later if the save fails for a reason that may pass
+ *     (version conflict, Redis error), up to MAX_SAVE_RETRIES times in a row
+ *
+ * Callers flush a graph before applying any other operation to it,
+ * so buffered positions never land on top of a newer structure.
+ */
+
+import { logger } from '../utils/logger.js';
+import { OperationError, ErrorCodes, isRetryable } from '../utils/operationErrors.js';
+
+const BROADCAST_INTERVAL_MS = 50;
+const FLUSH_DELAY_MS = 500;
+const MAX_FLUSH_DELAY_MS = 2000;
+const MAX_SAVE_RETRIES = 3;
+
+/**
+ * Create position buffer
+ * @param {Object} deps - Dependencies (applyOperation, broadcaster)
+ */
+export function createPositionBuffer(deps) {
+  const { applyOperation, broadcaster } = deps;
+
+  // `${userId}:${graphId}` -> buffer state
+  const buffers = new Map();
+
+  function getBuffer(graphId, userId, create = false) {
+    const key = `${userId}:${graphId}`;
+    if (!buffers.has(key) && create) {
+      buffers.set(key, {
+        key,
+        graphId,
+        userId,
+        positions: new Map(),   // nodeId -> { position, actorId }, not saved yet
+        inFlight: new Map(),    // nodeId -> { position, actorId }, being saved right now
+        unsent: new Map(),      // nodeId -> { position, userId, clientId }, not broadcast yet
+        lastBroadcast: 0,
+        broadcastTimer: null,
+        flushTimer: null,
+        firstPendingAt: null,
+        flushing: null,
+        failedSaves: 0          // failed saves in a row that were put back
+      });
+    }
+    return buffers.get(key) || null;
+  }
+
+  /**
+   * Buffer a position update from a client
+   * @param {Object} clientInfo - Sender (graphId, userId, authUserId, id)
+   * @param {Object} payload - { nodeId, position: {x, y}, dragEnd (optional) }
+   * @throws {OperationError} - VALIDATION_FAILED
+   */
+  async function add(clientInfo, payload) {
+    const { nodeId, position: raw } = payload || {};
+    if (!nodeId || !raw || !Number.isFinite(raw.x) || !Number.isFinite(raw.y)) {
+      throw new OperationError(ErrorCodes.VALIDATION_FAILED, 'UPDATE_NODE_POSITION requires nodeId and numeric position', { nodeId });
+    }
+    // Only x / y are kept - anything else would fail the POSITION schema when the buffer is saved
+    const position = { x: raw.x, y: raw.y };
+
+    const buffer = getBuffer(clientInfo.graphId, clientInfo.userId, true);
+    buffer.positions.set(nodeId, { position, actorId: clientInfo.authUserId });
+    buffer.unsent.set(nodeId, { position, userId: clientInfo.authUserId, clientId: clientInfo.id });
+
+    if (payload.dragEnd) {
+      sendPending(buffer);
+      await flush(buffer.graphId, buffer.userId);
+      return;
+    }
+
+    scheduleBroadcast(buffer);
+    scheduleFlush(buffer);
+  }
+
+  /**
+   * Broadcast unsent positions once BROADCAST_INTERVAL_MS has passed since the last broadcast
+   */
+  function scheduleBroadcast(buffer) {
+    if (buffer.broadcastTimer) return;
+
+    const wait = buffer.lastBroadcast + BROADCAST_INTERVAL_MS - Date.now();
+    if (wait <= 0) {
+      sendPending(buffer);
+    } else {
+      buffer.broadcastTimer = setTimeout(() => sendPending(buffer), wait);
+    }
+  }
+
+  /**
+   * Broadcast latest unsent position of every moved node
+   */
+  function sendPending(buffer) {
+    clearTimeout(buffer.broadcastTimer);
+    buffer.broadcastTimer = null;
+    buffer.lastBroadcast = Date.now();
+
+    buffer.unsent.forEach(({ position, userId, clientId }, nodeId) => {
+      broadcaster.broadcast(buffer.graphId, buffer.userId, {
+        type: 'OPERATION_APPLIED',
+        payload: { type: 'UPDATE_NODE_POSITION', payload: { nodeId, position } },
+        userId,
+        clientId,
+        timestamp: buffer.lastBroadcast
+      });
+    });
+    buffer.unsent.clear();
+  }
+
+  /**
+   * Debounce the save, but don't let a long drag postpone it forever
+   */
+  function scheduleFlush(buffer) {
+    clearTimeout(buffer.flushTimer);
+
+    const now = Date.now();
+    if (!buffer.firstPendingAt) buffer.firstPendingAt = now;
+    const delay = Math.min(FLUSH_DELAY_MS, buffer.firstPendingAt + MAX_FLUSH_DELAY_MS - now);
+
+    buffer.flushTimer = setTimeout(() => {
+      flush(buffer.graphId, buffer.userId).catch(error => {
+        logger.error(`Failed to flush positions for ${buffer.graphId}:`, error);
+      });
+    }, Math.max(0, delay));
+  }
+
+  /**
+   * Save buffered positions of a graph as a single operation
+   * @returns {Object|null} - Saved graph, or null if there was nothing to save
+   */
+  async function flush(graphId, userId) {
+    const buffer = getBuffer(graphId, userId);
+    if (!buffer) return null;
+
+    // One save at a time per graph - positions buffered meanwhile go in the next one
+    while (buffer.flushing) {
+      await buffer.flushing;
+    }
+    if (buffer.positions.size === 0) {
+      release(buffer);
+      return null;
+    }
+
+    clearTimeout(buffer.flushTimer);
+    buffer.flushTimer = null;
+    buffer.firstPendingAt = null;
+    buffer.inFlight = buffer.positions;
+    buffer.positions = new Map();
+
+    buffer.flushing = writePositions(buffer);
+    try {
+      return await buffer.flushing;
+    } finally {
+      buffer.flushing = null;
+      buffer.inFlight = new Map();
+      release(buffer);
+    }
+  }
+
+  /**
+   * Apply in-flight positions through the regular operation pipeline
+   * One operation per user who moved nodes, so audit and undo name who did it
+   * @returns {Object|null} - Graph after the last save, or null if nothing was saved
+   */
+  async function writePositions(buffer) {
+    const byActor = new Map();
+    buffer.inFlight.forEach(({ position, actorId }, nodeId) => {
+      if (!byActor.has(actorId)) byActor.set(actorId, []);
+      byActor.get(actorId).push({ type: 'UPDATE_NODE_POSITION', payload: { nodeId, position } });
+    });
+
+    let saved = null;
+    for (const [actorId, operations] of byActor) {
+      saved = (await writeOperations(buffer, operations, actorId)) || saved;
+    }
+    return saved;
+  }
+
+  /**
+   * Save one user's positions as a single operation
+   * Nodes deleted in the meantime are dropped from the save, see requeue for other failures
+   */
+  async function writeOperations(buffer, operations, actorId) {
+    while (operations.length > 0) {
+      const operation = operations.length === 1
+        ? operations[0]
+        : { type: 'BATCH_UPDATE', payload: { operations } };
+
+      try {
+        const graph = await applyOperation(buffer.graphId, operation, buffer.userId, { actorId });
+        logger.debug(`📍 Flushed ${operations.length} positions for ${buffer.graphId} (version ${graph.version})`);
+
+        // Clients already have the positions - this tells them the version they're at
+        broadcaster.broadcast(buffer.graphId, buffer.userId, {
+          type: 'OPERATION_APPLIED',
+          payload: operation,
+          userId: actorId,
+          source: 'position_flush',
+          timestamp: Date.now(),
+          version: graph.version
+        });
+        buffer.failedSaves = 0;
+        return graph;
+      } catch (error) {
+        const missingIndex = error.code === ErrorCodes.NODE_NOT_FOUND
+          ? (operations.length === 1 ? 0 : error.details?.batchIndex)
+          : undefined;
+
+        if (!Number.isInteger(missingIndex)) {
+          logger.error(`Failed to save ${operations.length} positions for ${buffer.graphId}:`, error.message);
+          requeue(buffer, operations, actorId, error);
+          return null;
+        }
+        operations.splice(missingIndex, 1);
+      }
+    }
+    return null;
+  }
+
+  /**
+   * Put positions of a failed save back into the buffer and save them again later
+   * Positions buffered since then are newer and win; permanent failures are dropped
+   */
+  function requeue(buffer, operations, actorId, error) {
+    if (!isRetryable(error)) return;
+    if (buffer.failedSaves >= MAX_SAVE_RETRIES) {
+      logger.error(`Dropping ${operations.length} positions for ${buffer.graphId} after ${MAX_SAVE_RETRIES} retries`);
+      buffer.failedSaves = 0;
+      return;
+    }
+
+    buffer.failedSaves++;
+    operations.forEach(({ payload: { nodeId, position } }) => {
+      if (!buffer.positions.has(nodeId)) {
+        buffer.positions.set(nodeId, { position, actorId });
+      }
+    });
+    scheduleFlush(buffer);
+  }
+
+  /**
+   * Forget a graph's buffer once nothing is pending
+   */
+  function release(buffer) {
+    if (buffer.positions.size === 0 && buffer.unsent.size === 0 &&
+        !buffer.flushing && !buffer.flushTimer && !buffer.broadcastTimer) {
+      buffers.delete(buffer.key);
+    }
+  }
+
+  /**
+   * Copy of a graph with the buffered positions applied, for subscribers joining mid-drag
+   * The graph itself stays as saved - operations and REST readers work on it
+   * @returns {Object} - The copy, or the graph itself if nothing is buffered
+   */
+  function overlay(graphId, userId, graph) {
+    const buffer = getBuffer(graphId, userId);
+    if (!buffer || (buffer.inFlight.size === 0 && buffer.positions.size === 0)) return graph;
+
+    const pending = new Map([...buffer.inFlight, ...buffer.positions]);
+    const copy = structuredClone(graph);
+    const apply = nodes => nodes.forEach(node => {
+      if (pending.has(node.id)) node.position = pending.get(node.id).position;
+      if (Array.isArray(node.children)) apply(node.children.filter(child => typeof child === 'object'));
+    });
+    apply(copy.nodes || []);
+    return copy;
+  }
+
+  /**
+   * Save everything still buffered (shutdown)
+   */
+  async function flushAll() {
+    const pending = [...buffers.values()];
+    pending.forEach(sendPending);
+    await Promise.all(pending.map(buffer => flush(buffer.graphId, buffer.userId)));
+    logger.info(`📍 Flushed position buffers of ${pending.length} graphs`);
+  }
+
+  return { add, flush, flushAll, overlay };
+}
+
+export default createPositionBuffer;
@@ -0,0 +1,190 @@
+/**
+ * Presence Handler
+ * Tells collaborators who else is looking at a graph, with live cursors
+ *
+ * Presence lives only on clientInfo (in memory, never persisted):
+ *   clientInfo.presence = { cursor, selectedNodeId, viewport }
+ *   clientInfo.lastSeen = timestamp of the last message (PING keeps it fresh)
+ *
+ * Messages sent to other clients of the same graph:
+ *   PRESENCE_SNAPSHOT - everyone already there (only to the subscriber)
+ *   PRESENCE_JOIN / PRESENCE_LEAVE - subscribe, close, idle expiry
+ *   PRESENCE_UPDATE - cursor / selection / viewport, throttled per client
+ */
+
+import { logger } from '../utils/logger.js';
+
+// Minimum gap between two PRESENCE_UPDATE broadcasts of one client (~20/s)
+const UPDATE_INTERVAL_MS = 50;
+
+// Client is dropped from presence after this long without any message
+const IDLE_TIMEOUT_MS = 60 * 1000;
+const SWEEP_INTERVAL_MS = 15 * 1000;
+
+/**
+ * Create presence handler
+ * @param {Object} deps - Dependencies (clients)
+ */
+export function createPresenceHandler(deps) {
+  const { clients } = deps;
+
+  /**
+   * Whether another client is on the same graph (graph IDs are only unique per owner)
+   */
+  function isPeer(client, clientInfo) {
+    return client.id !== clientInfo.id &&
+      client.graphId === clientInfo.graphId &&
+      client.userId === clientInfo.userId;
+  }
+
+  /**
+   * Broadcast message to every other client on the sender's graph
+   */
+  function broadcast(sender, message) {
+    const data = JSON.stringify(message);
+    clients.forEach((client) => {
+      if (isPeer(client, sender) && client.ws.readyState === 1) {
+        client.ws.send(data);
+      }
+    });
+  }
+
+  /**
+   * Public view of a client's presence
+   */
+  function describe(clientInfo) {
+    return {
+      clientId: clientInfo.id,
+      userId: clientInfo.authUserId,
+      ...clientInfo.presence
+    };
+  }
+
+  /**
+   * Client subscribed to its graph: send who's there, announce it to the rest
+   */
+  function join(clientInfo) {
+    clientInfo.presence = { cursor: null, selectedNodeId: null, viewport: null };
+    clientInfo.lastSeen = Date.now();
+
+    const users = [];
+    clients.forEach((client) => {
+      if (isPeer(client, clientInfo) && client.presence) {
+        users.push(describe(client));
+      }
+    });
+
+    if (clientInfo.ws.readyState === 1) {
+      clientInfo.ws.send(JSON.stringify({
+        type: 'PRESENCE_SNAPSHOT',
+        graphId: clientInfo.graphId,
+        users
+      }));
+    }
+
+    broadcast(clientInfo, {
+      type: 'PRESENCE_JOIN',
+      graphId: clientInfo.graphId,
+      user: describe(clientInfo)
+    });
+    logger.debug(`👋 Client ${clientInfo.id} joined presence on ${clientInfo.graphId} (${users.length} others)`);
+  }
+
+  /**
+   * Client left its graph (closed, switched graph or went idle)
+   */
+  function leave(clientInfo) {
+    if (!clientInfo.presence) return;
+
+    clearTimeout(clientInfo.presenceTimer);
+    clientInfo.presence = null;
+    clientInfo.pendingPresence = null;
+    clientInfo.presenceTimer = null;
+
+    broadcast(clientInfo, {
+      type: 'PRESENCE_LEAVE',
+      graphId: clientInfo.graphId,
+      clientId: clientInfo.id,
+      userId: clientInfo.authUserId
+    });
+    logger.debug(`👋 Client ${clientInfo.id} left presence on ${clientInfo.graphId}`);
+  }
+
+  /**
+   * Handle PRESENCE_UPDATE from a client
+   * Updates inside UPDATE_INTERVAL_MS are merged and sent once the interval is over
+   * @param {Object} data - { cursor: {x, y}, selectedNodeId, viewport: {x, y, zoom} } (any subset)
+   */
+  function update(clientInfo, data) {
+    if (!clientInfo.graphId) return;
+    if (!clientInfo.presence) join(clientInfo);
+
+    const changes = {};
+    for (const field of ['cursor', 'selectedNodeId', 'viewport']) {
+      if (data[field] !== undefined) changes[field] = data[field];
+    }
+    clientInfo.pendingPresence = { ...clientInfo.pendingPresence, ...changes };
+
+    // Trailing update already scheduled - it will carry these changes too
+    if (clientInfo.presenceTimer) return;
+
+    const wait = (clientInfo.lastPresenceSent || 0) + UPDATE_INTERVAL_MS - Date.now();
+    if (wait <= 0) {
+      flushUpdate(clientInfo);
+    } else {
+      clientInfo.presenceTimer = setTimeout(() => flushUpdate(clientInfo), wait);
+    }
+  }
+
+  /**
+   * Apply pending presence changes and broadcast them
+   */
+  function flushUpdate(clientInfo) {
+    clientInfo.presenceTimer = null;
+    if (!clientInfo.presence || !clientInfo.pendingPresence) return;
+
+    Object.assign(clientInfo.presence, clientInfo.pendingPresence);
+    clientInfo.pendingPresence = null;
+    clientInfo.lastPresenceSent = Date.now();
+
+    broadcast(clientInfo, {
+      type: 'PRESENCE_UPDATE',
+      graphId: clientInfo.graphId,
+      user: describe(clientInfo)
+    });
+  }
+
+  /**
+   * Any message from the client (PING included) keeps it present
+   * A client that expired while idle rejoins
+   */
+  function touch(clientInfo) {
+    clientInfo.lastSeen = Date.now();
+    if (clientInfo.graphId && !clientInfo.presence) {
+      join(clientInfo);
+    }
+  }
+
+  /**
+   * Periodically drop clients that stopped sending anything
+   * @returns {Function} - Stops the sweep
+   */
+  function startIdleSweep() {
+    const timer = setInterval(() => {
+      const now = Date.now();
+      clients.forEach((client) => {
+        if (client.presence && now - client.lastSeen > IDLE_TIMEOUT_MS) {
+          logger.debug(`💤 Client ${client.id} idle, expiring presence`);
+          leave(client);
+        }
+      });
+    }, SWEEP_INTERVAL_MS);
+    timer.unref();
+
+    return () => clearInterval(timer);
+  }
+
+  return { join, leave, update, touch, startIdleSweep };
+}
+
+export default createPresenceHandler;
@@ -4,14 +4,20 @@
  */
 
 import { logger } from '../utils/logger.js';
-import { DEFAULT_USER_ID, shouldResetProgress, resetAllProgress } from '../services/graphService.js';
+import { shouldResetProgress, resetAllProgress } from '../services/graphService.js';
+import { OperationError, ErrorCodes, toRejection, isRetryable } from '../utils/operationErrors.js';
+import graphAcl, { Roles, hasRole } from '../services/graphAcl.js';
+import { computeTaskStates } from '../services/taskDependencies.js';
+
+// Rejections of the operation itself - resending the same opId can only get the same answer
+const FINAL_REJECTIONS = new Set([ErrorCodes.VALIDATION_FAILED, ErrorCodes.UNKNOWN_OPERATION]);
 
 /**
  * Setup WebSocket handler
- * @param {Object} deps - Dependencies (wss, clients, getGraph, saveGraph, addOperation, applyOperation, analytics)
+ * @param {Object} deps - Dependencies (wss, clients, getGraph, replaceGraph, operationLog, applyOperation, undoHistory, operationReceipts, presence, broadcaster, positionBuffer, graphCache)
  */
 export function setupWebSocketHandler(deps) {
-  const { wss, clients, getGraph, saveGraph, addOperation, applyOperation } = deps;
+  const { wss, clients, getGraph, replaceGraph, operationLog, applyOperation, undoHistory, operationReceipts, presence, broadcaster, positionBuffer, graphCache } = deps;
   
   let clientIdCounter = 1;
 
@@ -21,7 +27,9 @@ export function setupWebSocketHandler(deps) {
       id: clientId,
       ws: ws,
       graphId: null,
-      userId: null
+      userId: null,
+      // Verified at upgrade (see middleware/auth.js) - never taken from messages
+      authUserId: req.userId
     };
     
     clients.set(clientId, clientInfo);
@@ -30,7 +38,8 @@ export function setupWebSocketHandler(deps) {
     // Send connection confirmation
     ws.send(JSON.stringify({
       type: 'CONNECTION_ESTABLISHED',
-      clientId: clientId
+      clientId: clientId,
+      userId: clientInfo.authUserId
     }));
 
     // Handle messages
@@ -38,25 +47,42 @@ export function setupWebSocketHandler(deps) {
       try {
         const data = JSON.parse(message);
         
-        // Skip logging for high-frequency operations (position updates ~60 FPS)
-        const isHighFrequency = data.type === 'OPERATION' &&
-          data.payload?.type === 'UPDATE_NODE_POSITION';
+        // Skip logging for high-frequency operations (position updates ~60 FPS, cursors)
+        const isHighFrequency = (data.type === 'OPERATION' &&
+          data.payload?.type === 'UPDATE_NODE_POSITION') || data.type === 'PRESENCE_UPDATE';
         
         if (!isHighFrequency && data.type !== 'PING') {
           logger.ws(data.type, clientId, data.payload?.type || '');
         }
         
+        // Any traffic (PING included) keeps the client present
+        if (data.type !== 'SUBSCRIBE') {
+          presence.touch(clientInfo);
+        }
+        
         switch (data.type) {
           case 'SUBSCRIBE':
-            await handleSubscribe(data, clientInfo, clientId, ws, getGraph, saveGraph);
+            await handleSubscribe(data, clientInfo, clientId, ws, getGraph, replaceGraph, operationLog, presence, clients, graphCache, positionBuffer);
+            break;
+
+          case 'PRESENCE_UPDATE':
+            presence.update(clientInfo, data);
             break;
 
           case 'OPERATION':
-            await handleOperation(data, clientInfo, clientId, ws, clients, applyOperation);
+            await handleOperation(data, clientInfo, clientId, ws, broadcaster, applyOperation, operationReceipts, positionBuffer);
             break;
 
           case 'SYNC':
-            await handleSync(clientInfo, ws, getGraph);
+            await handleSync(data, clientInfo, ws, getGraph, operationLog, positionBuffer);
+            break;
+
+          case 'UNDO':
+            await handleHistory('undo', data, clientInfo, clientId, ws, broadcaster, applyOperation, undoHistory, positionBuffer);
+            break;
+
+          case 'REDO':
+            await handleHistory('redo', data, clientInfo, clientId, ws, broadcaster, applyOperation, undoHistory, positionBuffer);
             break;
 
           case 'PING':
@@ -77,6 +103,7 @@ export function setupWebSocketHandler(deps) {
 
     // Handle disconnection
     ws.on('close', () => {
+      unsubscribeClient(clientInfo, clients, presence, graphCache);
       clients.delete(clientId);
       logger.ws('disconnected', clientId);
     });
@@ -90,108 +117,354 @@ export function setupWebSocketHandler(deps) {
 
 /**
  * Handle SUBSCRIBE message
+ * { graphId, ownerId } - ownerId opens a graph shared by another user (defaults to own graphs)
+ * With sinceVersion (client already has that version cached) only the missed operations are sent
  */
-async function handleSubscribe(data, clientInfo, clientId, ws, getGraph, saveGraph) {
-  clientInfo.graphId = data.graphId;
-  clientInfo.userId = data.userId || DEFAULT_USER_ID;
+async function handleSubscribe(data, clientInfo, clientId, ws, getGraph, replaceGraph, operationLog, presence, clients, graphCache, positionBuffer) {
+  // Switching graphs - leave the previous one first
+  unsubscribeClient(clientInfo, clients, presence, graphCache);
+  
+  if (data.userId && data.userId !== clientInfo.authUserId) {
+    logger.warn(`Client ${clientId} SUBSCRIBE with userId="${data.userId}" ignored, token is for "${clientInfo.authUserId}"`);
+  }
   
-  // Log userId status
-  if (!data.userId) {
-    logger.warn(`Client ${clientId} SUBSCRIBE without userId! Using DEFAULT_USER_ID`);
-  } else {
-    logger.success(`Client ${clientId} subscribed to "${data.graphId}" userId="${clientInfo.userId}"`);
+  const ownerId = data.ownerId || clientInfo.authUserId;
+  const role = await graphAcl.getRole(ownerId, data.graphId, clientInfo.authUserId);
+  if (!role) {
+    logger.warn(`Client ${clientId} (${clientInfo.authUserId}) denied access to ${ownerId}/${data.graphId}`);
+    ws.send(JSON.stringify({
+      type: 'SUBSCRIBE_REJECTED',
+      graphId: data.graphId,
+      ownerId,
+      code: ErrorCodes.ACCESS_DENIED,
+      reason: `Graph ${data.graphId} not found`
+    }));
+    return;
   }
   
-  // Get current graph state
-  const graph = await getGraph(data.graphId, clientInfo.userId);
+  // Reset before subscribing - this client gets the result as GRAPH_STATE, the others GRAPH_UPDATED
+  await resetProgressIfDue(data.graphId, ownerId, clientInfo.authUserId, getGraph, replaceGraph);
+  
+  // Get current graph state - the client stays unsubscribed if it can't be loaded
+  const graph = await getGraph(data.graphId, ownerId);
+  if (!graph) {
+    ws.send(JSON.stringify({
+      type: 'SUBSCRIBE_REJECTED',
+      graphId: data.graphId,
+      ownerId,
+      code: ErrorCodes.OPERATION_FAILED,
+      reason: `Failed to load graph ${data.graphId}`
+    }));
+    return;
+  }
+  
+  // userId is the storage namespace (the owner), authUserId who is connected
+  clientInfo.graphId = data.graphId;
+  clientInfo.userId = ownerId;
+  clientInfo.role = role;
+  
+  logger.success(`Client ${clientId} subscribed to "${data.graphId}" of "${ownerId}" as ${role} (user "${clientInfo.authUserId}")`);
   
   // Ensure settings are included
   if (!graph.settings) {
     graph.settings = {};
   }
   
-  // Check if we need to reset progress
-  if (shouldResetProgress(graph)) {
-    logger.info('Daily reset triggered, resetting progress...');
-    resetAllProgress(graph);
-    await saveGraph(data.graphId, graph, clientInfo.userId);
-  }
-  
   // Debug: Log graph structure
   logger.debug(`Graph structure: ${graph.nodes.length} root nodes, ${countTotalNodes(graph.nodes)} total`);
   
-  // Send graph state
-  ws.send(JSON.stringify({
-    type: 'GRAPH_STATE',
-    payload: graph
-  }));
+  // Send graph state (or just what changed since the client's cached version)
+  // Positions of a drag in progress are included, they aren't saved yet
+  const state = positionBuffer.overlay(data.graphId, ownerId, graph);
+  const mode = await sendGraphState(ws, 'GRAPH_STATE', state, data.sinceVersion, clientInfo, operationLog);
+  
+  logger.debug(`Sent initial graph state (${mode}) to client ${clientId}`);
+  
+  // Who else is here, and tell them about us
+  presence.join(clientInfo);
+}
+
+/**
+ * Daily progress reset (settings.resetProgressEnabled), saved like any whole-graph write
+ * A failed save is only logged - the reset runs again on the next subscribe
+ */
+async function resetProgressIfDue(graphId, ownerId, actorId, getGraph, replaceGraph) {
+  const graph = await getGraph(graphId, ownerId);
+  if (!graph || graph.origin?.kind === 'snapshot' || !shouldResetProgress(graph)) return;
   
-  logger.debug(`Sent initial graph state to client ${clientId}`);
+  logger.info('Daily reset triggered, resetting progress...');
+  // Reset a copy - the loaded graph may be the cached one
+  const reset = structuredClone(graph);
+  resetAllProgress(reset);
+  try {
+    await replaceGraph(graphId, ownerId, { nodes: reset.nodes, settings: reset.settings }, graph.version || 0, {
+      source: 'daily_reset',
+      userId: actorId
+    });
+  } catch (error) {
+    logger.warn(`Daily reset not saved: ${error.message}`);
+  }
+}
+
+/**
+ * Take the client off its graph: presence, cached graph, subscription
+ * Also used when the graph or the client's access goes away (see server.js onGraphDeleted, onAccessRevoked)
+ */
+export function unsubscribeClient(clientInfo, clients, presence, graphCache) {
+  presence.leave(clientInfo);
+  releaseGraph(clients, clientInfo, graphCache);
+  clientInfo.graphId = null;
+  clientInfo.role = null;
+}
+
+/**
+ * Evict the client's graph from the cache if no other local client is subscribed to it
+ */
+function releaseGraph(clients, clientInfo, graphCache) {
+  if (!clientInfo.graphId) return;
+
+  for (const client of clients.values()) {
+    if (client.id !== clientInfo.id &&
+        client.graphId === clientInfo.graphId &&
+        client.userId === clientInfo.userId) {
+      return;
+    }
+  }
+  graphCache.invalidate(clientInfo.userId, clientInfo.graphId);
 }
 
 /**
  * Handle OPERATION message
+ * Replies to the sender with OPERATION_ACK or OPERATION_REJECTED (matched by client opId)
+ * and broadcasts OPERATION_APPLIED to every subscribed client on success
  */
-async function handleOperation(data, clientInfo, clientId, ws, clients, applyOperation) {
+async function handleOperation(data, clientInfo, clientId, ws, broadcaster, applyOperation, operationReceipts, positionBuffer) {
+  const operation = data.payload;
+  const opId = data.opId || operation?.opId || null;
+
   if (!clientInfo.graphId) {
     logger.warn(`Client ${clientId} tried to send operation without subscription`);
-    ws.send(JSON.stringify({
-      type: 'ERROR',
-      message: 'Not subscribed to any graph'
-    }));
+    sendRejection(ws, opId, new OperationError(ErrorCodes.NOT_SUBSCRIBED, 'Not subscribed to any graph'));
     return;
   }
 
-  // Skip logging for high-frequency operations (position updates ~60 FPS)
-  const isHighFrequency = data.payload.type === 'UPDATE_NODE_POSITION';
-  
-  if (!isHighFrequency) {
-    logger.debug(`Applying ${data.payload.type} to graph ${clientInfo.graphId}`);
+  if (!await canWrite(clientInfo)) {
+    sendRejection(ws, opId, new OperationError(ErrorCodes.ACCESS_DENIED, `Requires ${Roles.EDITOR} access`));
+    return;
   }
+
+  // Drag frames (~60 FPS) are buffered and saved later, see positionBuffer.js
+  if (operation?.type === 'UPDATE_NODE_POSITION') {
+    await handlePositionUpdate(operation, opId, clientInfo, ws, positionBuffer);
+    return;
+  }
+
+  // Retry of an operation we've already seen (e.g. resent after reconnect)
+  if (opId) {
+    const existing = await operationReceipts.claim(clientInfo.userId, clientInfo.graphId, opId);
+    if (existing) {
+      if (existing.receipt) {
+        ws.send(JSON.stringify(existing.receipt));
+      }
+      // Still pending: the first attempt will send the reply
+      return;
+    }
+  }
+
+  logger.debug(`Applying ${operation?.type} to graph ${clientInfo.graphId}`);
   
-  const result = await applyOperation(clientInfo.graphId, data.payload, clientInfo.userId);
-  
-  if (result) {
+  try {
+    // Buffered positions go first, the operation may delete or move their nodes
+    await positionBuffer.flush(clientInfo.graphId, clientInfo.userId);
+    
+    const warnings = [];
+    const result = await applyOperation(clientInfo.graphId, operation, clientInfo.userId, {
+      actorId: clientInfo.authUserId,
+      warnings
+    });
+    
+    const ack = { type: 'OPERATION_ACK', opId, version: result.version };
+    if (warnings.length > 0) {
+      ack.warnings = warnings;
+    }
+    if (opId) {
+      ws.send(JSON.stringify(ack));
+      await operationReceipts.complete(clientInfo.userId, clientInfo.graphId, opId, ack);
+    }
+    
     // Broadcast to all clients subscribed to this graph
-    const broadcastMessage = JSON.stringify({
-      type: 'OPERATION_APPLIED',
-      payload: data.payload,
-      userId: clientInfo.userId,
-      clientId: clientId,
-      timestamp: Date.now()
+    const broadcastCount = broadcastOperation(broadcaster, clientInfo, clientId, operation, {
+      opId,
+      version: result.version
     });
-
-    let broadcastCount = 0;
-    clients.forEach((client, id) => {
-      if (client.graphId === clientInfo.graphId && client.ws.readyState === 1) {
-        client.ws.send(broadcastMessage);
-        broadcastCount++;
+    
+    logger.debug(`Operation ${operation.type} broadcasted to ${broadcastCount} clients`);
+  } catch (error) {
+    logger.error(`Failed to apply operation ${operation?.type}:`, error.message);
+    const rejection = sendRejection(ws, opId, error);
+    
+    if (opId) {
+      // Conflicts, storage failures and rejections caused by the graph's current state
+      // (missing or blocked nodes, cycles) may pass on retry, so don't pin them to the opId
+      if (FINAL_REJECTIONS.has(rejection.code)) {
+        await operationReceipts.complete(clientInfo.userId, clientInfo.graphId, opId, rejection);
+      } else {
+        await operationReceipts.release(clientInfo.userId, clientInfo.graphId, opId);
       }
+    }
+  }
+}
+
+/**
+ * Handle UPDATE_NODE_POSITION
+ * Acknowledged as soon as it's buffered - the save (and its version) comes later
+ */
+async function handlePositionUpdate(operation, opId, clientInfo, ws, positionBuffer) {
+  try {
+    await positionBuffer.add(clientInfo, operation.payload);
+    if (opId) {
+      ws.send(JSON.stringify({ type: 'OPERATION_ACK', opId, buffered: true }));
+    }
+  } catch (error) {
+    logger.error('Failed to buffer position update:', error.message);
+    sendRejection(ws, opId, error);
+  }
+}
+
+/**
+ * Handle UNDO / REDO message
+ * Pops the user's stack and applies the stored operation like any other,
+ * so every tab receives it as a regular OPERATION_APPLIED
+ * A step that failed for a passing reason (conflict, Redis error) goes back on the stack
+ * @param {'undo'|'redo'} direction
+ */
+async function handleHistory(direction, data, clientInfo, clientId, ws, broadcaster, applyOperation, undoHistory, positionBuffer) {
+  const opId = data.opId || null;
+
+  if (!clientInfo.graphId) {
+    sendRejection(ws, opId, new OperationError(ErrorCodes.NOT_SUBSCRIBED, 'Not subscribed to any graph'));
+    return;
+  }
+
+  if (!await canWrite(clientInfo)) {
+    sendRejection(ws, opId, new OperationError(ErrorCodes.ACCESS_DENIED, `Requires ${Roles.EDITOR} access`));
+    return;
+  }
+
+  await positionBuffer.flush(clientInfo.graphId, clientInfo.userId);
+  const operation = await undoHistory.pop(direction, clientInfo.userId, clientInfo.graphId, clientInfo.authUserId);
+  
+  if (!operation) {
+    sendRejection(ws, opId, new OperationError(ErrorCodes.HISTORY_EMPTY, `Nothing to ${direction}`));
+    return;
+  }
+  
+  logger.debug(`Applying ${direction} (${operation.type}) to graph ${clientInfo.graphId}`);
+  
+  try {
+    const result = await applyOperation(clientInfo.graphId, operation, clientInfo.userId, {
+      history: direction,
+      actorId: clientInfo.authUserId
     });
     
-    // Only log non-position operations
-    if (!isHighFrequency) {
-      logger.debug(`Operation ${data.payload.type} broadcasted to ${broadcastCount} clients`);
+    ws.send(JSON.stringify({ type: 'OPERATION_ACK', opId, version: result.version }));
+    const broadcastCount = broadcastOperation(broadcaster, clientInfo, clientId, operation, {
+      source: direction,
+      version: result.version
+    });
+    logger.debug(`${direction} ${operation.type} broadcasted to ${broadcastCount} clients`);
+  } catch (error) {
+    // Graph changed underneath (e.g. node deleted by another tab) - the step can't apply anymore
+    // and is dropped; anything else may work next time
+    logger.error(`Failed to apply ${direction} operation ${operation.type}:`, error.message);
+    if (isRetryable(error)) {
+      await undoHistory.push(direction, clientInfo.userId, clientInfo.graphId, operation, clientInfo.authUserId);
     }
-  } else {
-    logger.error(`Failed to apply operation ${data.payload.type}`);
+    sendRejection(ws, opId, error);
   }
 }
 
+/**
+ * Check the client may change the graph
+ * Re-read on every write - the owner may have revoked access or made them a viewer since SUBSCRIBE
+ */
+async function canWrite(clientInfo) {
+  clientInfo.role = await graphAcl.getRole(clientInfo.userId, clientInfo.graphId, clientInfo.authUserId);
+  return hasRole(clientInfo.role, Roles.EDITOR);
+}
+
+/**
+ * Send OPERATION_REJECTED to the sender
+ * @returns {Object} - The rejection message
+ */
+function sendRejection(ws, opId, error) {
+  const rejection = { type: 'OPERATION_REJECTED', opId, ...toRejection(error) };
+  if (ws.readyState === 1) {
+    ws.send(JSON.stringify(rejection));
+  }
+  return rejection;
+}
+
+/**
+ * Broadcast applied operation to all clients subscribed to the graph (on every instance)
+ * @returns {number} - Number of local clients notified
+ */
+function broadcastOperation(broadcaster, clientInfo, clientId, operation, extra = {}) {
+  return broadcaster.broadcast(clientInfo.graphId, clientInfo.userId, {
+    type: 'OPERATION_APPLIED',
+    payload: operation,
+    userId: clientInfo.authUserId,
+    clientId: clientId,
+    timestamp: Date.now(),
+    ...extra
+  });
+}
+
 /**
  * Handle SYNC message
+ * { sinceVersion } asks for the operations missed since that version
  */
-async function handleSync(clientInfo, ws, getGraph) {
+async function handleSync(data, clientInfo, ws, getGraph, operationLog, positionBuffer) {
   if (clientInfo.graphId) {
     const syncGraph = await getGraph(clientInfo.graphId, clientInfo.userId);
-    ws.send(JSON.stringify({
-      type: 'SYNC_RESPONSE',
-      payload: syncGraph
-    }));
-    logger.debug(`Sent sync response for graph ${clientInfo.graphId}`);
+    const state = positionBuffer.overlay(clientInfo.graphId, clientInfo.userId, syncGraph);
+    const mode = await sendGraphState(ws, 'SYNC_RESPONSE', state, data.sinceVersion, clientInfo, operationLog);
+    logger.debug(`Sent sync response (${mode}) for graph ${clientInfo.graphId}`);
   }
 }
 
+/**
+ * Send graph state as operations since sinceVersion, or the full graph
+ * Falls back to the full graph when no sinceVersion is given or the log doesn't reach back
+ * Both carry taskStates (blocked / available / done per node, see taskDependencies.js)
+ * @returns {'delta'|'full'} - What was sent
+ */
+async function sendGraphState(ws, type, graph, sinceVersion, clientInfo, operationLog) {
+  const version = graph.version || 0;
+  
+  if (sinceVersion !== undefined && sinceVersion !== null) {
+    const entries = await operationLog.getSince(clientInfo.userId, clientInfo.graphId, Number(sinceVersion), version);
+    if (entries) {
+      ws.send(JSON.stringify({
+        type,
+        sinceVersion: Number(sinceVersion),
+        version,
+        operations: entries,
+        taskStates: computeTaskStates(graph)
+      }));
+      return 'delta';
+    }
+  }
+  
+  ws.send(JSON.stringify({
+    type,
+    payload: graph,
+    version,
+    taskStates: computeTaskStates(graph)
+  }));
+  return 'full';
+}
+
 /**
  * Count total nodes in hierarchy
  */
@@ -0,0 +1,40 @@
+/**
+ * Auth Middleware
+ * Every API request and WebSocket upgrade must carry a valid token (see authTokens.js)
+ * The verified user ID is exposed as req.userId
+ */
+
+import { logger } from '../utils/logger.js';
+import { verifyToken, getRequestToken } from '../utils/authTokens.js';
+
+/**
+ * Express middleware - 401 without a valid token
+ */
+export function requireAuth(req, res, next) {
+  const claims = verifyToken(getRequestToken(req));
+  if (!claims) {
+    return res.status(401).json({
+      success: false,
+      error: 'Authentication required'
+    });
+  }
+
+  req.userId = claims.sub;
+  next();
+}
+
+/**
+ * WebSocketServer verifyClient - refuses the upgrade without a valid token
+ */
+export function verifyUpgrade(info, callback) {
+  const claims = verifyToken(getRequestToken(info.req));
+  if (!claims) {
+    logger.warn(`WebSocket upgrade refused: missing or invalid token (${info.req.socket.remoteAddress})`);
+    return callback(false, 401, 'Unauthorized');
+  }
+
+  info.req.userId = claims.sub;
+  callback(true);
+}
+
+export default { requireAuth, verifyUpgrade };
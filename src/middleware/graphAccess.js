@@ -0,0 +1,39 @@
+/**
+ * Graph Access Middleware
+ * Resolves whose graph a request is about and checks the caller's role on it
+ *
+ * The owner defaults to the caller; collaborators name it with the
+ * X-Graph-Owner header or ?owner= (graphs are stored under their owner).
+ * Sets req.ownerId (storage namespace) and req.graphRole.
+ */
+
+import graphAcl, { hasRole } from '../services/graphAcl.js';
+
+/**
+ * Require at least `role` on the graph in req.params.graphId (or ?graphId=, default 'main')
+ * @param {string} role - One of Roles
+ */
+export function requireGraphRole(role) {
+  return async (req, res, next) => {
+    try {
+      const graphId = req.params.graphId || req.query.graphId || 'main';
+      const ownerId = req.get('x-graph-owner') || req.query.owner || req.userId;
+      const graphRole = await graphAcl.getRole(ownerId, graphId, req.userId);
+
+      if (!hasRole(graphRole, role)) {
+        return res.status(graphRole ? 403 : 404).json({
+          success: false,
+          error: graphRole ? `Requires ${role} access` : `Graph ${graphId} not found`
+        });
+      }
+
+      req.ownerId = ownerId;
+      req.graphRole = graphRole;
+      next();
+    } catch (error) {
+      next(error);
+    }
+  };
+}
+
+export default { requireGraphRole };
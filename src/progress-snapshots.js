@@ -1,4 +1,5 @@
 import redis from './redis.js';
+import { createProgressCalculator, getWeightingMode, getNodeWeight, weightedAverage } from './services/progressRollup.js';
 
 /**
  * Service for managing historical progress snapshots
@@ -46,8 +47,8 @@ class ProgressSnapshotService {
       return null;
     }
 
-    // Calculate progress - will use calculatedProgress or fallback for simple DAO
-    const progress = this.calculateProgress(node, graph.nodes);
+    // Calculate progress - stored calculatedProgress, computed if missing
+    const progress = this.calculateProgress(node, graph);
     return progress;
   }
 
@@ -66,44 +67,19 @@ class ProgressSnapshotService {
   }
 
   /**
-   * Calculate progress - uses saved calculatedProgress from frontend
-   * Only fallback for simple DAO nodes
+   * Calculate progress - uses calculatedProgress kept up to date by the server
+   * (see services/progressRollup.js), computes it for graphs saved before that
    */
-  calculateProgress(node, allNodes) {
-    // Use saved calculatedProgress from frontend if available
-    if (node.calculatedProgress !== undefined) {
-      const percentage = Math.round(node.calculatedProgress * 100);
-      return {
-        percentage,
-        completions: node.currentCompletions || 0,
-        total: node.requiredCompletions || 1
-      };
-    }
-
-    // Fallback ONLY for simple DAO nodes
-    if (node.nodeType === 'dao' &&
-        (!node.nodeSubtype || node.nodeSubtype === 'simple') &&
-        node.requiredCompletions <= 1) {
-      const percentage = node.isDone ? 100 : 0;
-      return {
-        percentage,
-        completions: node.isDone ? 1 : 0,
-        total: 1
-      };
-    }
-
-    // For all other nodes - missing data is an error
-    console.error('CRITICAL: Missing calculatedProgress', {
-      nodeId: node.id,
-      nodeType: node.nodeType,
-      nodeSubtype: node.nodeSubtype,
-      title: node.title,
-      hasChildren: node.children?.length > 0,
-      linkedNodes: node.linkedNodeIds ? Object.keys(node.linkedNodeIds) : []
-    });
+  calculateProgress(node, graph) {
+    const progress = node.calculatedProgress !== undefined
+      ? node.calculatedProgress
+      : createProgressCalculator(graph)(node);
 
-    // Return null to indicate missing data
-    return null;
+    return {
+      percentage: Math.round(progress * 100),
+      completions: node.currentCompletions || 0,
+      total: node.requiredCompletions || 1
+    };
   }
 
   /**
@@ -112,9 +88,9 @@ class ProgressSnapshotService {
   async snapshotNode(nodeId, date = new Date(), userId = '1', graphId = 'main') {
     const progress = await this.calculateNodeProgress(nodeId, userId, graphId);
     
-    // Check if progress is valid (not null)
+    // Graph or node gone (e.g. deleted since the graph was read)
     if (progress === null) {
-      console.error(`Cannot create snapshot for node ${nodeId} - missing calculatedProgress`);
+      console.error(`Cannot create snapshot for node ${nodeId} - node not found`);
       return null;
     }
     
@@ -162,6 +138,7 @@ class ProgressSnapshotService {
     }
 
     const graph = JSON.parse(graphData);
+    const weighting = getWeightingMode(graph);
     console.log(`📊 Found graph with ${graph.nodes?.length || 0} top-level nodes`);
     
     const snapshots = [];
@@ -184,9 +161,9 @@ class ProgressSnapshotService {
         const snapshot = await this.snapshotNode(node.id, date, userId, graphId);
         
         if (snapshot === null) {
-          console.log(`${indent}    ❌ FAILED - missing calculatedProgress`);
+          console.log(`${indent}    ❌ FAILED - node no longer in the graph`);
         } else {
-          snapshots.push({ nodeId: node.id, title: node.title, ...snapshot });
+          snapshots.push({ nodeId: node.id, title: node.title, weight: getNodeWeight(node, weighting), ...snapshot });
           console.log(`${indent}    ✅ Created snapshot (progress: ${snapshot.progress}%)`);
         }
         
@@ -219,8 +196,8 @@ class ProgressSnapshotService {
 
     await processNodes(graph.nodes);
     
-    // Check if we have nodes with missing progress
-    const nodesWithMissingProgress = [];
+    // Check if we have nodes that could not be snapshotted
+    const skippedNodes = [];
     
     // Collect nodes that failed to snapshot
     for (const node of processedNodes) {
@@ -228,7 +205,7 @@ class ProgressSnapshotService {
       if (!found) {
         const nodeData = this.findNode(graph.nodes, node);
         if (nodeData) {
-          nodesWithMissingProgress.push({
+          skippedNodes.push({
             id: nodeData.id,
             title: nodeData.title,
             nodeType: nodeData.nodeType,
@@ -238,18 +215,18 @@ class ProgressSnapshotService {
       }
     }
     
-    if (nodesWithMissingProgress.length > 0) {
+    if (skippedNodes.length > 0) {
       console.error(
-        `SNAPSHOT INCOMPLETE for ${graphId}: ${nodesWithMissingProgress.length} nodes missing calculatedProgress`,
-        nodesWithMissingProgress
+        `SNAPSHOT INCOMPLETE for ${graphId}: ${skippedNodes.length} nodes no longer in the graph`,
+        skippedNodes
       );
       
       // TODO: Send alert to admin through monitoring service
       // await monitoringService.alert('snapshot_incomplete_data', {
       //   userId,
       //   graphId,
-      //   missingCount: nodesWithMissingProgress.length,
-      //   nodes: nodesWithMissingProgress
+      //   missingCount: skippedNodes.length,
+      //   nodes: skippedNodes
       // });
     }
     
@@ -259,14 +236,14 @@ class ProgressSnapshotService {
       await redis.setex(summaryKey, 86400 * 7, JSON.stringify({
         date: date.toISOString(),
         totalNodes: snapshots.length,
-        avgProgress: snapshots.reduce((sum, s) => sum + s.progress, 0) / snapshots.length,
-        incompleteNodes: nodesWithMissingProgress.length
+        avgProgress: weightedAverage(snapshots.map(s => ({ value: s.progress, weight: s.weight }))),
+        incompleteNodes: skippedNodes.length
       }));
     }
 
     console.log(`✅ Created ${snapshots.length} snapshots for ${date.toISOString()}`);
-    if (nodesWithMissingProgress.length > 0) {
-      console.log(`⚠️  ${nodesWithMissingProgress.length} nodes skipped due to missing data`);
+    if (skippedNodes.length > 0) {
+      console.log(`⚠️  ${skippedNodes.length} nodes skipped, no longer in the graph`);
     }
     return snapshots;
   }
@@ -71,4 +71,53 @@ redis.on('reconnecting', () => {
   console.log('🔄 Redis reconnecting...');
 });
 
+/**
+ * Compare-and-set save script
+ * KEYS[1] = graph key, KEYS[2] = version key, KEYS[3] = legacy graph key (graph:{graphId}),
+ * KEYS[4..6] = catalog entries, save fields and users (see graphCatalog.saveArguments)
+ * ARGV[1] = expected (loaded) version, ARGV[2] = graph JSON,
+ * ARGV[3] = '1' to only create (conflict if the graph exists, even at version 0),
+ * ARGV[4..7] = graphId, userId, new catalog entry JSON, save fields JSON
+ * Returns {1, newVersion} on success, {0, currentVersion} on conflict,
+ * {-1, currentVersion} if the graph isn't in the catalog and this isn't a create
+ * (deleted graphs stay deleted when a stale client writes to them)
+ *
+ * The catalog is updated in the same call, so a save costs no extra round trips
+ *
+ * Graphs saved before the version key existed fall back to the version inside the JSON -
+ * of the graph key, else of the legacy key getGraph falls back to (migrated by this save).
+ * A graph that was never saved is at version 0
+ */
+redis.defineCommand('saveGraphIfVersion', {
+  numberOfKeys: 6,
+  lua: `
+    local current = redis.call('GET', KEYS[2])
+    local exists = false
+    if current then
+      exists = true
+      current = tonumber(current)
+    else
+      local data = redis.call('GET', KEYS[1]) or redis.call('GET', KEYS[3])
+      if data then
+        exists = true
+        current = tonumber(cjson.decode(data).version) or 0
+      else
+        current = 0
+      end
+    end
+    if ARGV[3] ~= '1' and redis.call('HEXISTS', KEYS[4], ARGV[4]) == 0 then
+      return {-1, current}
+    end
+    if current ~= tonumber(ARGV[1]) or (ARGV[3] == '1' and exists) then
+      return {0, current}
+    end
+    redis.call('SET', KEYS[1], ARGV[2])
+    redis.call('SET', KEYS[2], current + 1)
+    redis.call('HSETNX', KEYS[4], ARGV[4], ARGV[6])
+    redis.call('HSET', KEYS[5], ARGV[4], ARGV[7])
+    redis.call('SADD', KEYS[6], ARGV[5])
+    return {1, current + 1}
+  `
+});
+
 export default redis;
\ No newline at end of file
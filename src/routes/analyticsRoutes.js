@@ -5,7 +5,8 @@
  */
 
 import express from 'express';
-import { DEFAULT_USER_ID } from '../services/graphService.js';
+import { Roles } from '../services/graphAcl.js';
+import { requireGraphRole } from '../middleware/graphAccess.js';
 
 const router = express.Router();
 
@@ -18,13 +19,13 @@ export function setupAnalyticsRoutes(deps) {
 
   // Progress comparison endpoint - MUST BE BEFORE :graphId route
   // Copied from simple-server.js lines 897-940
-  router.get('/progress-comparison', async (req, res) => {
+  router.get('/progress-comparison', requireGraphRole(Roles.VIEWER), async (req, res) => {
     try {
       if (!progressSnapshots) {
         throw new Error('Progress Snapshots Service not initialized');
       }
       
-      const userId = req.headers['x-user-id'] || DEFAULT_USER_ID;
+      const userId = req.ownerId;
       const { period = '30d', nodeIds } = req.query;
       
       // Parse nodeIds from query string
@@ -65,13 +66,13 @@ export function setupAnalyticsRoutes(deps) {
 
   // Manual snapshot endpoint (for testing)
   // Copied from simple-server.js lines 943-967
-  router.post('/snapshot', async (req, res) => {
+  router.post('/snapshot', requireGraphRole(Roles.EDITOR), async (req, res) => {
     try {
       if (!progressSnapshots) {
         throw new Error('Progress Snapshots Service not initialized');
       }
       
-      const userId = req.headers['x-user-id'] || DEFAULT_USER_ID;
+      const userId = req.ownerId;
       const graphId = req.query.graphId || 'main';
       console.log(`📸 Manual snapshot triggered for user ${userId}, graph ${graphId}`);
       
@@ -119,9 +120,9 @@ export function setupAnalyticsRoutes(deps) {
 
   // Simplified Analytics endpoints - AFTER specific routes
   // Copied from simple-server.js lines 995-1019
-  router.get('/:graphId', async (req, res) => {
+  router.get('/:graphId', requireGraphRole(Roles.VIEWER), async (req, res) => {
     try {
-      const userId = req.headers['x-user-id'] || DEFAULT_USER_ID;
+      const userId = req.ownerId;
       const graphId = req.params.graphId;
       const contextNodeId = req.query.context || null;
       const period = 'all'; // MVP - only all time
@@ -147,9 +148,9 @@ export function setupAnalyticsRoutes(deps) {
 
   // Category analytics endpoint
   // Copied from simple-server.js lines 1022-1041
-  router.get('/categories/:graphId', async (req, res) => {
+  router.get('/categories/:graphId', requireGraphRole(Roles.VIEWER), async (req, res) => {
     try {
-      const userId = req.headers['x-user-id'] || DEFAULT_USER_ID;
+      const userId = req.ownerId;
       const contextNodeId = req.query.context || null;
       
       console.log(`📊 Getting category analytics for graph ${req.params.graphId}`);
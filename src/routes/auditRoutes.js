@@ -0,0 +1,104 @@
+/**
+ * Audit Routes
+ * Who changed what on a graph, and the change history of single nodes
+ */
+
+import express from 'express';
+import auditLog from '../services/auditLog.js';
+import { Roles } from '../services/graphAcl.js';
+import { requireGraphRole } from '../middleware/graphAccess.js';
+
+const router = express.Router();
+
+/**
+ * Read filters from the query string
+ * from / to accept ms timestamps or ISO dates
+ * @returns {Object|null} - Filters, or null if a time is invalid
+ */
+function parseFilters(query) {
+  const filters = {
+    actorId: query.user || undefined,
+    nodeId: query.nodeId || undefined,
+    cursor: query.cursor || undefined,
+    limit: query.limit
+  };
+
+  for (const field of ['from', 'to']) {
+    if (query[field] === undefined) continue;
+    const time = /^\d+$/.test(query[field]) ? Number(query[field]) : Date.parse(query[field]);
+    if (Number.isNaN(time)) return null;
+    filters[field] = time;
+  }
+  return filters;
+}
+
+/**
+ * Setup audit routes
+ */
+export function setupAuditRoutes() {
+  /**
+   * GET /api/graphs/:graphId/audit?user=&nodeId=&from=&to=&cursor=&limit=
+   * Audit entries, newest first; pass nextCursor as cursor for the next page
+   */
+  router.get('/graphs/:graphId/audit', requireGraphRole(Roles.VIEWER), async (req, res) => {
+    try {
+      const filters = parseFilters(req.query);
+      if (!filters) {
+        return res.status(400).json({
+          success: false,
+          error: 'from and to must be timestamps or ISO dates'
+        });
+      }
+
+      const page = await auditLog.query(req.ownerId, req.params.graphId, filters);
+
+      res.json({
+        success: true,
+        ...page,
+        count: page.entries.length
+      });
+    } catch (error) {
+      console.error('Failed to read audit log:', error);
+      res.status(500).json({
+        success: false,
+        error: error.message
+      });
+    }
+  });
+
+  /**
+   * GET /api/graphs/:graphId/nodes/:nodeId/history?user=&from=&to=&cursor=&limit=
+   * Changes of one node with their before/after, newest first
+   */
+  router.get('/graphs/:graphId/nodes/:nodeId/history', requireGraphRole(Roles.VIEWER), async (req, res) => {
+    try {
+      const { graphId, nodeId } = req.params;
+      const filters = parseFilters(req.query);
+      if (!filters) {
+        return res.status(400).json({
+          success: false,
+          error: 'from and to must be timestamps or ISO dates'
+        });
+      }
+
+      const page = await auditLog.nodeHistory(req.ownerId, graphId, nodeId, filters);
+
+      res.json({
+        success: true,
+        nodeId,
+        ...page,
+        count: page.entries.length
+      });
+    } catch (error) {
+      console.error('Failed to read node history:', error);
+      res.status(500).json({
+        success: false,
+        error: error.message
+      });
+    }
+  });
+
+  return router;
+}
+
+export default router;
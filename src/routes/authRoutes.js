@@ -0,0 +1,152 @@
+/**
+ * Auth Routes
+ * Registration, login and the current user's profile
+ */
+
+import express from 'express';
+import userStore from '../services/userStore.js';
+import { signToken } from '../utils/authTokens.js';
+import { requireAuth } from '../middleware/auth.js';
+
+const router = express.Router();
+
+const EMAIL_PATTERN = /^[^\s@]+@[^\s@]+\.[^\s@]+$/;
+const MIN_PASSWORD_LENGTH = 8;
+
+/**
+ * Setup auth routes
+ * Registration and login are public, everything else requires a token
+ */
+export function setupAuthRoutes() {
+  /**
+   * POST /api/users
+   * Body: { email, password, name }
+   * Creates an account and logs it in
+   */
+  router.post('/users', async (req, res) => {
+    try {
+      const { email, password, name } = req.body;
+
+      if (typeof email !== 'string' || !EMAIL_PATTERN.test(email) ||
+          typeof password !== 'string' || password.length < MIN_PASSWORD_LENGTH) {
+        return res.status(400).json({
+          success: false,
+          error: `A valid email and a password of at least ${MIN_PASSWORD_LENGTH} characters are required`
+        });
+      }
+
+      const user = await userStore.create({ email, password, name });
+      if (!user) {
+        return res.status(409).json({
+          success: false,
+          error: 'Email already registered'
+        });
+      }
+
+      res.status(201).json({
+        success: true,
+        user,
+        ...signToken(user.userId)
+      });
+    } catch (error) {
+      console.error('Failed to register user:', error);
+      res.status(500).json({
+        success: false,
+        error: error.message
+      });
+    }
+  });
+
+  /**
+   * POST /api/auth/login
+   * Body: { email, password } → { token, expiresAt, user }
+   */
+  router.post('/auth/login', async (req, res) => {
+    try {
+      const { email, password } = req.body;
+
+      const user = typeof email === 'string' && typeof password === 'string'
+        ? await userStore.verifyPassword(email, password)
+        : null;
+      if (!user) {
+        return res.status(401).json({
+          success: false,
+          error: 'Invalid email or password'
+        });
+      }
+
+      console.log(`🔑 User ${user.userId} logged in`);
+      res.json({
+        success: true,
+        user,
+        ...signToken(user.userId)
+      });
+    } catch (error) {
+      console.error('Login failed:', error);
+      res.status(500).json({
+        success: false,
+        error: error.message
+      });
+    }
+  });
+
+  /**
+   * GET /api/auth/me
+   * Profile of the token's user
+   */
+  router.get('/auth/me', requireAuth, async (req, res) => {
+    try {
+      const user = await userStore.get(req.userId);
+      if (!user) {
+        return res.status(404).json({
+          success: false,
+          error: `User ${req.userId} not found`
+        });
+      }
+
+      res.json({
+        success: true,
+        user
+      });
+    } catch (error) {
+      res.status(500).json({
+        success: false,
+        error: error.message
+      });
+    }
+  });
+
+  /**
+   * GET /api/users/:userId
+   * Own profile only
+   */
+  router.get('/users/:userId', requireAuth, async (req, res) => {
+    try {
+      if (req.params.userId !== req.userId) {
+        return res.status(403).json({
+          success: false,
+          error: 'Access denied'
+        });
+      }
+
+      const user = await userStore.get(req.userId);
+      if (!user) {
+        return res.status(404).json({
+          success: false,
+          error: `User ${req.userId} not found`
+        });
+      }
+
+      res.json(user);
+    } catch (error) {
+      res.status(500).json({
+        success: false,
+        error: error.message
+      });
+    }
+  });
+
+  return router;
+}
+
+export default router;
@@ -0,0 +1,279 @@
+/**
+ * Branch Routes
+ * Named snapshots and branches of a graph, comparison with the origin and merging back
+ */
+
+import express from 'express';
+import graphAcl, { Roles } from '../services/graphAcl.js';
+import { requireGraphRole } from '../middleware/graphAccess.js';
+import graphBranches, { BranchKinds, createBranchGraph, compareBranch, mergeBranch } from '../services/graphBranches.js';
+import { GRAPH_ID_PATTERN } from '../services/graphCatalog.js';
+import { summarizeDiff } from '../services/graphDiff.js';
+import { ErrorCodes } from '../utils/operationErrors.js';
+import { getBaseVersion, sendConflict } from '../utils/restVersioning.js';
+
+const router = express.Router();
+
+/**
+ * Setup branch routes with dependencies
+ * @param {Object} deps - Dependencies (getGraph, saveGraph, replaceGraph, positionBuffer)
+ */
+export function setupBranchRoutes(deps) {
+  const { getGraph, saveGraph, replaceGraph, positionBuffer } = deps;
+
+  /**
+   * Load branch metadata, its graph and the merge base
+   * @returns {Object|null} - { meta, branch, base } or null after sending 404
+   */
+  async function loadBranch(res, userId, graphId, branchId) {
+    const meta = await graphBranches.getMeta(userId, graphId, branchId);
+    const base = meta ? await graphBranches.getBase(userId, branchId) : null;
+    const branch = base ? await getGraph(branchId, userId) : null;
+    if (!branch) {
+      res.status(404).json({
+        success: false,
+        error: `Branch ${branchId} of ${graphId} not found`
+      });
+      return null;
+    }
+    return { meta, branch, base };
+  }
+
+  /**
+   * POST /api/graphs/:graphId/branches
+   * Body: { name, kind: 'branch'|'snapshot' (default 'branch'), branchId (optional) }
+   * Copies the current graph into a new graph ID
+   */
+  router.post('/graphs/:graphId/branches', requireGraphRole(Roles.EDITOR), async (req, res) => {
+    try {
+      const { graphId } = req.params;
+      const userId = req.ownerId;
+      const { name, kind = BranchKinds.BRANCH } = req.body;
+
+      if (!name || !Object.values(BranchKinds).includes(kind)) {
+        return res.status(400).json({
+          success: false,
+          error: `name is required and kind must be one of: ${Object.values(BranchKinds).join(', ')}`
+        });
+      }
+
+      if (req.body.branchId !== undefined && !GRAPH_ID_PATTERN.test(req.body.branchId)) {
+        return res.status(400).json({
+          success: false,
+          error: 'branchId may only contain letters, digits, "_" and "-" (max 64)'
+        });
+      }
+
+      const branchId = req.body.branchId || `${graphId}-${kind}-${Date.now().toString(36)}`;
+      if (branchId === graphId) {
+        return res.status(400).json({
+          success: false,
+          error: 'branchId must differ from graphId'
+        });
+      }
+
+      // Include drag positions not saved yet
+      await positionBuffer.flush(graphId, userId);
+      const loaded = await getGraph(graphId, userId);
+      if (!loaded) {
+        return res.status(404).json({
+          success: false,
+          error: `Graph ${graphId} not found`
+        });
+      }
+      const origin = structuredClone(loaded);
+      const originVersion = origin.version || 0;
+
+      const meta = {
+        branchId,
+        name,
+        kind,
+        originGraphId: graphId,
+        originVersion,
+        createdAt: Date.now()
+      };
+      const branch = createBranchGraph(origin, {
+        graphId,
+        version: originVersion,
+        forkedAt: new Date(meta.createdAt).toISOString(),
+        name,
+        kind
+      });
+
+      // Fails if the ID is taken, also by a graph saved before versioning (at version 0)
+      try {
+        const saved = await saveGraph(branchId, branch, userId, { create: true });
+        if (!saved) throw new Error('Failed to save branch');
+      } catch (error) {
+        if (error.code !== ErrorCodes.VERSION_CONFLICT) throw error;
+        return res.status(409).json({
+          success: false,
+          error: `Graph ${branchId} already exists`
+        });
+      }
+
+      await graphBranches.register(userId, meta, origin);
+
+      // The branch is the owner's graph like its origin - a collaborator who forked it can edit it
+      if (req.userId !== userId) {
+        await graphAcl.grant(userId, branchId, req.userId, Roles.EDITOR);
+      }
+
+      res.status(201).json({
+        success: true,
+        branch: meta
+      });
+    } catch (error) {
+      console.error('Failed to create branch:', error);
+      res.status(500).json({
+        success: false,
+        error: error.message
+      });
+    }
+  });
+
+  /**
+   * GET /api/graphs/:graphId/branches
+   * Lists branches and snapshots, newest first
+   */
+  router.get('/graphs/:graphId/branches', requireGraphRole(Roles.VIEWER), async (req, res) => {
+    try {
+      const { graphId } = req.params;
+      const userId = req.ownerId;
+
+      const branches = await graphBranches.list(userId, graphId);
+
+      res.json({
+        success: true,
+        branches,
+        count: branches.length
+      });
+    } catch (error) {
+      console.error('Failed to list branches:', error);
+      res.status(500).json({
+        success: false,
+        error: error.message
+      });
+    }
+  });
+
+  /**
+   * GET /api/graphs/:graphId/branches/:branchId/compare
+   * Changes on both sides since the fork (or last merge) and the conflicts a merge would have
+   */
+  router.get('/graphs/:graphId/branches/:branchId/compare', requireGraphRole(Roles.VIEWER), async (req, res) => {
+    try {
+      const { graphId, branchId } = req.params;
+      const userId = req.ownerId;
+
+      const loaded = await loadBranch(res, userId, graphId, branchId);
+      if (!loaded) return;
+
+      const origin = await getGraph(graphId, userId);
+      if (!origin) {
+        return res.status(404).json({
+          success: false,
+          error: `Graph ${graphId} not found`
+        });
+      }
+      const { branchChanges, originChanges, conflicts } = compareBranch(loaded.base, origin, loaded.branch);
+
+      res.json({
+        success: true,
+        branch: loaded.meta,
+        baseVersion: loaded.base.version || 0,
+        originVersion: origin.version || 0,
+        branchVersion: loaded.branch.version || 0,
+        branchSummary: summarizeDiff(branchChanges),
+        originSummary: summarizeDiff(originChanges),
+        branchChanges,
+        originChanges,
+        conflicts
+      });
+    } catch (error) {
+      console.error('Failed to compare branch:', error);
+      res.status(500).json({
+        success: false,
+        error: error.message
+      });
+    }
+  });
+
+  /**
+   * POST /api/graphs/:graphId/branches/:branchId/merge
+   * Body: { resolutions, baseVersion } - resolutions pick 'branch' or 'origin' per conflict:
+   *   { nodes: { [nodeId]: { [field|'*']: side } }, edges: { [edgeId]: side }, settings: side }
+   * 409 with the conflicts if any is unresolved, or if the origin changed since baseVersion
+   */
+  router.post('/graphs/:graphId/branches/:branchId/merge', requireGraphRole(Roles.EDITOR), async (req, res) => {
+    try {
+      const { graphId, branchId } = req.params;
+      const userId = req.ownerId;
+
+      const loaded = await loadBranch(res, userId, graphId, branchId);
+      if (!loaded) return;
+
+      if (loaded.meta.kind === BranchKinds.SNAPSHOT) {
+        return res.status(400).json({
+          success: false,
+          error: 'Snapshots are read-only and cannot be merged'
+        });
+      }
+
+      // Merge against what's actually stored, including drag positions not saved yet
+      await positionBuffer.flush(branchId, userId);
+      await positionBuffer.flush(graphId, userId);
+      const origin = await getGraph(graphId, userId);
+      const branch = await getGraph(branchId, userId);
+      if (!origin || !branch) {
+        return res.status(404).json({
+          success: false,
+          error: `Graph ${!origin ? graphId : branchId} not found`
+        });
+      }
+
+      const { graph: merged, conflicts } = mergeBranch(loaded.base, origin, branch, req.body.resolutions);
+      if (conflicts.length > 0) {
+        return res.status(409).json({
+          success: false,
+          error: `Merge has ${conflicts.length} unresolved conflicts`,
+          code: 'MERGE_CONFLICT',
+          conflicts
+        });
+      }
+
+      // Without baseVersion the merge only applies to the origin version it was computed on
+      let mergedGraph;
+      try {
+        mergedGraph = await replaceGraph(graphId, userId, merged, getBaseVersion(req) ?? (origin.version || 0), {
+          source: 'branch_merge',
+          branchId,
+          userId: req.userId
+        });
+      } catch (error) {
+        if (error.code !== ErrorCodes.VERSION_CONFLICT) throw error;
+        return sendConflict(res, graphId, error);
+      }
+
+      const meta = await graphBranches.markMerged(userId, loaded.meta, branch, mergedGraph.version);
+      console.log(`🔀 Branch ${branchId} merged into ${graphId} (version ${mergedGraph.version})`);
+
+      res.set('ETag', `"${mergedGraph.version}"`);
+      res.json({
+        success: true,
+        version: mergedGraph.version,
+        branch: meta
+      });
+    } catch (error) {
+      console.error('Failed to merge branch:', error);
+      res.status(500).json({
+        success: false,
+        error: error.message
+      });
+    }
+  });
+
+  return router;
+}
+
+export default router;
@@ -0,0 +1,247 @@
+/**
+ * Catalog Routes
+ * A user's graphs: list, create, rename, archive, duplicate, delete
+ */
+
+import express from 'express';
+import graphCatalog, { GRAPH_ID_PATTERN } from '../services/graphCatalog.js';
+import graphBranches from '../services/graphBranches.js';
+import graphAcl from '../services/graphAcl.js';
+import { ErrorCodes } from '../utils/operationErrors.js';
+
+const router = express.Router();
+
+/**
+ * Setup catalog routes with dependencies
+ * @param {Object} deps - Dependencies (getGraph, saveGraph, deleteGraph, broadcaster, positionBuffer)
+ */
+export function setupCatalogRoutes(deps) {
+  const { getGraph, saveGraph, deleteGraph, broadcaster, positionBuffer } = deps;
+
+  // Users only manage their own catalog
+  router.param('userId', (req, res, next, userId) => {
+    if (userId !== req.userId) {
+      return res.status(403).json({
+        success: false,
+        error: 'Access denied'
+      });
+    }
+    next();
+  });
+
+  /**
+   * Save a graph under an ID that must not exist yet and give it a title
+   * @returns {Object|null} - Catalog entry, or null after sending 400/409
+   */
+  async function createGraph(res, userId, graphId, graph, title) {
+    if (!GRAPH_ID_PATTERN.test(graphId)) {
+      res.status(400).json({
+        success: false,
+        error: 'graphId may only contain letters, digits, "_" and "-" (max 64)'
+      });
+      return null;
+    }
+
+    // Fails if the ID is taken, also by a graph saved before versioning (at version 0)
+    try {
+      const saved = await saveGraph(graphId, graph, userId, { create: true });
+      if (!saved) throw new Error(`Failed to save graph ${graphId}`);
+    } catch (error) {
+      if (error.code !== ErrorCodes.VERSION_CONFLICT) throw error;
+      res.status(409).json({
+        success: false,
+        error: `Graph ${graphId} already exists`
+      });
+      return null;
+    }
+
+    return graphCatalog.update(userId, graphId, { title: title || graphId });
+  }
+
+  /**
+   * GET /api/users/:userId/graphs?includeArchived=true
+   * Lists the user's graphs, most recently updated first
+   */
+  router.get('/users/:userId/graphs', async (req, res) => {
+    try {
+      const graphs = await graphCatalog.list(req.params.userId, {
+        includeArchived: req.query.includeArchived === 'true'
+      });
+
+      res.json({
+        success: true,
+        graphs,
+        count: graphs.length
+      });
+    } catch (error) {
+      console.error('Failed to list graphs:', error);
+      res.status(500).json({
+        success: false,
+        error: error.message
+      });
+    }
+  });
+
+  /**
+   * POST /api/users/:userId/graphs
+   * Body: { title, graphId (optional) } - creates an empty graph
+   */
+  router.post('/users/:userId/graphs', async (req, res) => {
+    try {
+      const { userId } = req.params;
+      const graphId = req.body.graphId || `graph-${Date.now().toString(36)}`;
+
+      const entry = await createGraph(res, userId, graphId, {
+        nodes: [],
+        edges: [],
+        viewport: { x: 0, y: 0, zoom: 1 },
+        settings: {}
+      }, req.body.title);
+      if (!entry) return;
+
+      console.log(`📚 Graph ${graphId} created for user ${userId}`);
+      res.status(201).json({
+        success: true,
+        graph: entry
+      });
+    } catch (error) {
+      console.error('Failed to create graph:', error);
+      res.status(500).json({
+        success: false,
+        error: error.message
+      });
+    }
+  });
+
+  /**
+   * PATCH /api/users/:userId/graphs/:graphId
+   * Body: { title, archived } - rename and/or (un)archive
+   * Archived graphs are hidden from the list and skipped by daily jobs
+   */
+  router.patch('/users/:userId/graphs/:graphId', async (req, res) => {
+    try {
+      const { userId, graphId } = req.params;
+      const { title, archived } = req.body;
+
+      if ((title !== undefined && (typeof title !== 'string' || !title.trim())) ||
+          (archived !== undefined && typeof archived !== 'boolean')) {
+        return res.status(400).json({
+          success: false,
+          error: 'title must be a non-empty string and archived a boolean'
+        });
+      }
+
+      const entry = await graphCatalog.update(userId, graphId, {
+        title: title?.trim(),
+        archived
+      });
+      if (!entry) {
+        return res.status(404).json({
+          success: false,
+          error: `Graph ${graphId} not found`
+        });
+      }
+
+      res.json({
+        success: true,
+        graph: entry
+      });
+    } catch (error) {
+      console.error('Failed to update graph:', error);
+      res.status(500).json({
+        success: false,
+        error: error.message
+      });
+    }
+  });
+
+  /**
+   * POST /api/users/:userId/graphs/:graphId/duplicate
+   * Body: { title, graphId (optional) } - independent copy (no branch provenance)
+   */
+  router.post('/users/:userId/graphs/:graphId/duplicate', async (req, res) => {
+    try {
+      const { userId, graphId } = req.params;
+
+      const source = await graphCatalog.get(userId, graphId);
+      if (!source) {
+        return res.status(404).json({
+          success: false,
+          error: `Graph ${graphId} not found`
+        });
+      }
+
+      // Include drag positions not saved yet
+      await positionBuffer.flush(graphId, userId);
+      const { version, lastUpdated, origin, ...content } = structuredClone(await getGraph(graphId, userId));
+
+      const copyId = req.body.graphId || `${graphId}-copy-${Date.now().toString(36)}`;
+      const entry = await createGraph(res, userId, copyId, content, req.body.title || `${source.title} (copy)`);
+      if (!entry) return;
+
+      console.log(`📚 Graph ${graphId} duplicated as ${copyId} for user ${userId}`);
+      res.status(201).json({
+        success: true,
+        graph: entry
+      });
+    } catch (error) {
+      console.error('Failed to duplicate graph:', error);
+      res.status(500).json({
+        success: false,
+        error: error.message
+      });
+    }
+  });
+
+  /**
+   * DELETE /api/users/:userId/graphs/:graphId
+   * Deletes the graph with its history; subscribers get GRAPH_DELETED
+   */
+  router.delete('/users/:userId/graphs/:graphId', async (req, res) => {
+    try {
+      const { userId, graphId } = req.params;
+
+      const entry = await graphCatalog.get(userId, graphId);
+      if (!entry) {
+        return res.status(404).json({
+          success: false,
+          error: `Graph ${graphId} not found`
+        });
+      }
+
+      // Out of the catalog first - from then on saves to it are refused (see redis.js)
+      await graphCatalog.remove(userId, graphId);
+      await positionBuffer.flush(graphId, userId);
+      await deleteGraph(graphId, userId);
+
+      // Branches of it become standalone graphs; a deleted branch leaves its origin's list
+      await graphBranches.unregisterAll(userId, graphId);
+      await graphAcl.clear(userId, graphId);
+      if (entry.originGraphId) {
+        await graphBranches.unregister(userId, entry.originGraphId, graphId);
+      }
+
+      broadcaster.broadcast(graphId, userId, {
+        type: 'GRAPH_DELETED',
+        graphId,
+        timestamp: Date.now()
+      });
+
+      console.log(`🗑️ Graph ${graphId} deleted for user ${userId}`);
+      res.json({
+        success: true,
+        graphId
+      });
+    } catch (error) {
+      console.error('Failed to delete graph:', error);
+      res.status(500).json({
+        success: false,
+        error: error.message
+      });
+    }
+  });
+
+  return router;
+}
+
+export default router;
@@ -1,27 +1,34 @@
 /**
  * Graph Routes - Extracted from simple-server.js
  * REST API endpoints for graph operations
- * Includes Daily Completions endpoints for eye-toggle feature
+ * Includes version history and Daily Completions endpoints (eye-toggle feature)
  */
 
 import express from 'express';
-import { DEFAULT_USER_ID } from '../services/graphService.js';
+import { Roles } from '../services/graphAcl.js';
+import { requireGraphRole } from '../middleware/graphAccess.js';
 import dailyCompletions from '../services/dailyCompletions.js';
+import graphHistory from '../services/graphHistory.js';
+import { diffGraphs, summarizeDiff } from '../services/graphDiff.js';
+import { ErrorCodes } from '../utils/operationErrors.js';
+import { validateGraphContent } from '../handlers/operations/schemas.js';
+import graphCatalog, { GRAPH_ID_PATTERN } from '../services/graphCatalog.js';
+import { getBaseVersion, sendConflict } from '../utils/restVersioning.js';
 
 const router = express.Router();
 
 /**
  * Setup graph routes with dependencies
- * @param {Object} deps - Dependencies (redis, getGraph, saveGraph, clients)
+ * @param {Object} deps - Dependencies (getGraph, replaceGraph)
  */
 export function setupGraphRoutes(deps) {
-  const { getGraph, saveGraph, clients } = deps;
+  const { getGraph, replaceGraph } = deps;
 
   // Get graph
   // Copied from simple-server.js lines 762-782
-  router.get('/graphs/:graphId', async (req, res) => {
+  router.get('/graphs/:graphId', requireGraphRole(Roles.VIEWER), async (req, res) => {
     try {
-      const userId = req.headers['x-user-id'] || DEFAULT_USER_ID;
+      const userId = req.ownerId;
       const graph = await getGraph(req.params.graphId, userId);
       
       // Ensure settings are included in the response
@@ -29,6 +36,11 @@ export function setupGraphRoutes(deps) {
         graph.settings = {};
       }
       
+      // Version to send back as baseVersion / If-Match when saving
+      if (graph) {
+        res.set('ETag', `"${graph.version || 0}"`);
+      }
+      
       res.json({
         success: true,
         graph: graph
@@ -43,57 +55,56 @@ export function setupGraphRoutes(deps) {
 
   // Save graph
   // Copied from simple-server.js lines 785-843
-  router.post('/graphs/:graphId', async (req, res) => {
+  router.post('/graphs/:graphId', requireGraphRole(Roles.EDITOR), async (req, res) => {
     try {
       const graphId = req.params.graphId;
-      const userId = req.headers['x-user-id'] || DEFAULT_USER_ID;
+      const userId = req.ownerId;
       console.log(`📝 REST API: Saving graph ${graphId} for user ${userId}`);
       console.log(`   Nodes: ${req.body.nodes?.length || 0}, Edges: ${req.body.edges?.length || 0}`);
       
-      const graph = await getGraph(graphId, userId);
-      
-      // Merge with existing data
-      const updatedGraph = {
-        ...graph,
-        nodes: req.body.nodes || graph.nodes,
-        edges: req.body.edges || graph.edges,
-        viewport: req.body.viewport || graph.viewport,
-        settings: req.body.settings || graph.settings || {} // Include settings from request
-      };
-      
-      const saved = await saveGraph(graphId, updatedGraph, userId);
-      
-      if (saved) {
-        console.log(`✅ REST API: Graph ${graphId} saved successfully`);
-        
-        // Broadcast the update to all WebSocket clients
-        const broadcastMessage = JSON.stringify({
-          type: 'GRAPH_UPDATED',
-          payload: updatedGraph,
-          source: 'rest_api',
-          timestamp: Date.now()
+      // Version the client edited (body.baseVersion or If-Match header)
+      // Without it the save is applied on top of whatever is stored
+      const baseVersion = getBaseVersion(req);
+      
+      // Graphs not in the catalog (deleted or never created) are only created on purpose,
+      // by saving on top of version 0
+      const create = !await graphCatalog.get(userId, graphId);
+      if (create && baseVersion !== 0) {
+        return res.status(404).json({
+          success: false,
+          error: `Graph ${graphId} not found - save with baseVersion 0 to create it`,
+          code: ErrorCodes.GRAPH_NOT_FOUND
         });
-        
-        let broadcastCount = 0;
-        clients.forEach((client) => {
-          if (client.graphId === graphId &&
-              client.ws.readyState === 1) { // 1 = OPEN state
-            client.ws.send(broadcastMessage);
-            broadcastCount++;
-          }
+      }
+      if (create && !GRAPH_ID_PATTERN.test(graphId)) {
+        return res.status(400).json({
+          success: false,
+          error: 'graphId may only contain letters, digits, "_" and "-" (max 64)'
         });
-        
-        if (broadcastCount > 0) {
-          console.log(`📢 REST update broadcasted to ${broadcastCount} WebSocket clients`);
+      }
+      
+      let updatedGraph;
+      try {
+        validateGraphContent(req.body);
+        updatedGraph = await replaceGraph(graphId, userId, req.body, baseVersion, { source: 'rest_api', userId: req.userId }, { create });
+      } catch (error) {
+        if (error.code === ErrorCodes.VALIDATION_FAILED) {
+          return res.status(400).json({ success: false, error: error.message, code: error.code });
         }
-        
-        res.json({
-          success: true,
-          version: updatedGraph.version
-        });
-      } else {
-        throw new Error('Failed to save graph');
+        if (error.code === ErrorCodes.GRAPH_NOT_FOUND) {
+          return res.status(404).json({ success: false, error: error.message, code: error.code });
+        }
+        if (error.code !== ErrorCodes.VERSION_CONFLICT) throw error;
+        return sendConflict(res, graphId, error);
       }
+      
+      console.log(`✅ REST API: Graph ${graphId} saved successfully`);
+      
+      res.set('ETag', `"${updatedGraph.version}"`);
+      res.json({
+        success: true,
+        version: updatedGraph.version
+      });
     } catch (error) {
       console.error(`❌ REST API save error:`, error);
       res.status(500).json({
@@ -103,17 +114,77 @@ export function setupGraphRoutes(deps) {
     }
   });
 
-  // Get user info
-  // Copied from simple-server.js lines 846-860
-  router.get('/users/:userId', async (req, res) => {
+  // ============================================
+  // Version history endpoints
+  // ============================================
+
+  /**
+   * GET /api/graphs/:graphId/history?limit=100
+   * Lists stored versions, newest first
+   */
+  router.get('/graphs/:graphId/history', requireGraphRole(Roles.VIEWER), async (req, res) => {
+    try {
+      const { graphId } = req.params;
+      const userId = req.ownerId;
+      const limit = Math.min(parseInt(req.query.limit) || 100, 1000);
+      
+      const versions = await graphHistory.list(userId, graphId, limit);
+      
+      res.json({
+        success: true,
+        versions,
+        count: versions.length
+      });
+    } catch (error) {
+      console.error('Failed to list graph history:', error);
+      res.status(500).json({
+        success: false,
+        error: error.message
+      });
+    }
+  });
+
+  /**
+   * GET /api/graphs/:graphId/history/diff?from={timestamp}&to={timestamp|current}
+   * Compares two stored versions (to defaults to the current graph)
+   * MUST BE BEFORE :timestamp route
+   */
+  router.get('/graphs/:graphId/history/diff', requireGraphRole(Roles.VIEWER), async (req, res) => {
     try {
-      // Simple user response for compatibility
+      const { graphId } = req.params;
+      const userId = req.ownerId;
+      const { from, to = 'current' } = req.query;
+      
+      if (!from) {
+        return res.status(400).json({
+          success: false,
+          error: 'from is required'
+        });
+      }
+      
+      const fromGraph = await graphHistory.get(userId, graphId, from);
+      const toGraph = to === 'current'
+        ? await getGraph(graphId, userId)
+        : await graphHistory.get(userId, graphId, to);
+      
+      if (!fromGraph || !toGraph) {
+        return res.status(404).json({
+          success: false,
+          error: `Version ${!fromGraph ? from : to} not found`
+        });
+      }
+      
+      const diff = diffGraphs(fromGraph, toGraph);
+      
       res.json({
-        userId: req.params.userId,
-        email: `user${req.params.userId}@example.com`,
-        created: new Date().toISOString()
+        success: true,
+        from: { timestamp: Number(from), version: fromGraph.version },
+        to: { timestamp: to === 'current' ? null : Number(to), version: toGraph.version },
+        summary: summarizeDiff(diff),
+        diff
       });
     } catch (error) {
+      console.error('Failed to diff graph versions:', error);
       res.status(500).json({
         success: false,
         error: error.message
@@ -121,17 +192,30 @@ export function setupGraphRoutes(deps) {
     }
   });
 
-  // Create user
-  // Copied from simple-server.js lines 863-877
-  router.post('/users', async (req, res) => {
+  /**
+   * GET /api/graphs/:graphId/history/:timestamp
+   * Returns one stored version
+   */
+  router.get('/graphs/:graphId/history/:timestamp', requireGraphRole(Roles.VIEWER), async (req, res) => {
     try {
-      const userId = req.body.userId || Date.now().toString();
+      const { graphId, timestamp } = req.params;
+      const userId = req.ownerId;
+      
+      const graph = await graphHistory.get(userId, graphId, timestamp);
+      if (!graph) {
+        return res.status(404).json({
+          success: false,
+          error: `Version ${timestamp} not found`
+        });
+      }
+      
       res.json({
-        userId: userId,
-        email: req.body.email || `user${userId}@example.com`,
-        created: new Date().toISOString()
+        success: true,
+        timestamp: Number(timestamp),
+        graph
       });
     } catch (error) {
+      console.error('Failed to get graph version:', error);
       res.status(500).json({
         success: false,
         error: error.message
@@ -139,17 +223,54 @@ export function setupGraphRoutes(deps) {
     }
   });
 
-  // List user graphs
-  // Copied from simple-server.js lines 880-894
-  router.get('/users/:userId/graphs', async (req, res) => {
+  /**
+   * POST /api/graphs/:graphId/history/:timestamp/restore
+   * Saves a stored version as the new current version (history itself is kept)
+   * Body: { baseVersion } (optional, or If-Match) - 409 if the graph changed since
+   */
+  router.post('/graphs/:graphId/history/:timestamp/restore', requireGraphRole(Roles.EDITOR), async (req, res) => {
     try {
-      // For simplicity, return predefined graphs
-      // In production, this would query user's graphs from Redis
+      const { graphId, timestamp } = req.params;
+      const userId = req.ownerId;
+      
+      const version = await graphHistory.get(userId, graphId, timestamp);
+      if (!version) {
+        return res.status(404).json({
+          success: false,
+          error: `Version ${timestamp} not found`
+        });
+      }
+      
+      let restoredGraph;
+      try {
+        restoredGraph = await replaceGraph(graphId, userId, {
+          nodes: version.nodes,
+          edges: version.edges,
+          viewport: version.viewport,
+          settings: version.settings || {}
+        }, getBaseVersion(req), {
+          source: 'history_restore',
+          restoredFrom: Number(timestamp),
+          userId: req.userId
+        });
+      } catch (error) {
+        if (error.code === ErrorCodes.VALIDATION_FAILED) {
+          return res.status(400).json({ success: false, error: error.message, code: error.code });
+        }
+        if (error.code !== ErrorCodes.VERSION_CONFLICT) throw error;
+        return sendConflict(res, graphId, error);
+      }
+      
+      console.log(`⏪ Graph ${graphId} restored to version ${version.version} (${timestamp})`);
+      
+      res.set('ETag', `"${restoredGraph.version}"`);
       res.json({
         success: true,
-        graphs: ['main', 'project1', 'ideas']
+        version: restoredGraph.version,
+        restoredFrom: { timestamp: Number(timestamp), version: version.version }
       });
     } catch (error) {
+      console.error('Failed to restore graph version:', error);
       res.status(500).json({
         success: false,
         error: error.message
@@ -165,10 +286,10 @@ export function setupGraphRoutes(deps) {
    * GET /api/graphs/:graphId/daily-completions
    * Returns list of node IDs completed today
    */
-  router.get('/graphs/:graphId/daily-completions', async (req, res) => {
+  router.get('/graphs/:graphId/daily-completions', requireGraphRole(Roles.VIEWER), async (req, res) => {
     try {
       const { graphId } = req.params;
-      const userId = req.headers['x-user-id'] || DEFAULT_USER_ID;
+      const userId = req.ownerId;
       
       const completions = await dailyCompletions.getCompletionIds(userId, graphId);
       const today = new Date().toISOString().split('T')[0];
@@ -192,10 +313,10 @@ export function setupGraphRoutes(deps) {
    * GET /api/graphs/:graphId/daily-completions/details
    * Returns detailed completions with timestamps
    */
-  router.get('/graphs/:graphId/daily-completions/details', async (req, res) => {
+  router.get('/graphs/:graphId/daily-completions/details', requireGraphRole(Roles.VIEWER), async (req, res) => {
     try {
       const { graphId } = req.params;
-      const userId = req.headers['x-user-id'] || DEFAULT_USER_ID;
+      const userId = req.ownerId;
       
       const completions = await dailyCompletions.getCompletions(userId, graphId);
       const today = new Date().toISOString().split('T')[0];
@@ -219,10 +340,10 @@ export function setupGraphRoutes(deps) {
    * DELETE /api/graphs/:graphId/daily-completions
    * Clears today's completions (manual reset)
    */
-  router.delete('/graphs/:graphId/daily-completions', async (req, res) => {
+  router.delete('/graphs/:graphId/daily-completions', requireGraphRole(Roles.EDITOR), async (req, res) => {
     try {
       const { graphId } = req.params;
-      const userId = req.headers['x-user-id'] || DEFAULT_USER_ID;
+      const userId = req.ownerId;
       
       await dailyCompletions.clearCompletions(userId, graphId);
       
@@ -0,0 +1,130 @@
+/**
+ * Integrity Routes
+ * Check a graph for broken data and repair it (see services/graphIntegrity.js)
+ */
+
+import express from 'express';
+import { Roles } from '../services/graphAcl.js';
+import { requireGraphRole } from '../middleware/graphAccess.js';
+import { checkGraph, repairGraph, summarizeFindings, FindingTypes } from '../services/graphIntegrity.js';
+import { ErrorCodes } from '../utils/operationErrors.js';
+import { getBaseVersion, sendConflict } from '../utils/restVersioning.js';
+
+const router = express.Router();
+
+/**
+ * Setup integrity routes with dependencies
+ * @param {Object} deps - Dependencies (getGraph, replaceGraph)
+ */
+export function setupIntegrityRoutes(deps) {
+  const { getGraph, replaceGraph } = deps;
+
+  /**
+   * GET /api/graphs/:graphId/integrity
+   * Everything wrong with the stored graph; changes nothing
+   */
+  router.get('/graphs/:graphId/integrity', requireGraphRole(Roles.VIEWER), async (req, res) => {
+    try {
+      const { graphId } = req.params;
+      const graph = await getGraph(graphId, req.ownerId);
+      if (!graph) {
+        return res.status(404).json({
+          success: false,
+          error: `Graph ${graphId} not found`
+        });
+      }
+
+      const findings = checkGraph(graph);
+
+      res.json({
+        success: true,
+        graphId,
+        version: graph.version || 0,
+        findings,
+        count: findings.length,
+        summary: summarizeFindings(findings)
+      });
+    } catch (error) {
+      console.error('Failed to check graph integrity:', error);
+      res.status(500).json({
+        success: false,
+        error: error.message
+      });
+    }
+  });
+
+  /**
+   * POST /api/graphs/:graphId/repair
+   * Body: { types, baseVersion } - types: finding types to repair (default: all)
+   * Saves the repaired graph as a new version, so it can be undone with history restore
+   */
+  router.post('/graphs/:graphId/repair', requireGraphRole(Roles.EDITOR), async (req, res) => {
+    try {
+      const { graphId } = req.params;
+      const userId = req.ownerId;
+      const types = req.body?.types ?? FindingTypes;
+
+      if (!Array.isArray(types) || types.some(type => !FindingTypes.includes(type))) {
+        return res.status(400).json({
+          success: false,
+          error: `types must be a list of: ${FindingTypes.join(', ')}`
+        });
+      }
+
+      const graph = await getGraph(graphId, userId);
+      if (!graph) {
+        return res.status(404).json({
+          success: false,
+          error: `Graph ${graphId} not found`
+        });
+      }
+
+      const result = repairGraph(graph, types);
+      if (result.repaired.length === 0) {
+        return res.json({
+          success: true,
+          version: graph.version || 0,
+          repaired: [],
+          remaining: result.remaining
+        });
+      }
+
+      let repairedGraph;
+      try {
+        repairedGraph = await replaceGraph(graphId, userId, {
+          nodes: result.graph.nodes,
+          edges: result.graph.edges
+        }, getBaseVersion(req) ?? (graph.version || 0), {
+          source: 'integrity_repair',
+          userId: req.userId
+        });
+      } catch (error) {
+        if (error.code === ErrorCodes.VALIDATION_FAILED) {
+          return res.status(400).json({ success: false, error: error.message, code: error.code });
+        }
+        if (error.code !== ErrorCodes.VERSION_CONFLICT) throw error;
+        return sendConflict(res, graphId, error);
+      }
+
+      console.log(`🩹 Graph ${graphId} repaired: ${result.repaired.length} findings fixed, ${result.remaining.length} left`);
+
+      res.set('ETag', `"${repairedGraph.version}"`);
+      res.json({
+        success: true,
+        version: repairedGraph.version,
+        repaired: result.repaired,
+        remaining: result.remaining
+      });
+    } catch (error) {
+      console.error('Failed to repair graph:', error);
+      res.status(500).json({
+        success: false,
+        error: error.message
+      });
+    }
+  });
+
+  return router;
+}
+
+export default router;
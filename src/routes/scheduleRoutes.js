@@ -0,0 +1,76 @@
+/**
+ * Schedule Routes
+ * Earliest start/finish, slack and critical paths of a graph (see services/schedule.js)
+ */
+
+import express from 'express';
+import { Roles } from '../services/graphAcl.js';
+import { requireGraphRole } from '../middleware/graphAccess.js';
+import { computeSchedule, DEFAULT_HOURS_PER_DAY } from '../services/schedule.js';
+import { formatCycle } from '../services/dependencyGraph.js';
+import { ErrorCodes } from '../utils/operationErrors.js';
+
+const router = express.Router();
+
+/**
+ * Setup schedule routes with dependencies
+ * @param {Object} deps - Dependencies (getGraph)
+ */
+export function setupScheduleRoutes(deps) {
+  const { getGraph } = deps;
+
+  /**
+   * GET /api/graphs/:graphId/schedule?hoursPerDay=8
+   * hoursPerDay converts estimateHours to days
+   */
+  router.get('/graphs/:graphId/schedule', requireGraphRole(Roles.VIEWER), async (req, res) => {
+    try {
+      const { graphId } = req.params;
+      const hoursPerDay = req.query.hoursPerDay === undefined ? DEFAULT_HOURS_PER_DAY : Number(req.query.hoursPerDay);
+      if (!Number.isFinite(hoursPerDay) || hoursPerDay <= 0 || hoursPerDay > 24) {
+        return res.status(400).json({
+          success: false,
+          error: 'hoursPerDay must be a number above 0 and at most 24'
+        });
+      }
+
+      const graph = await getGraph(graphId, req.ownerId);
+      if (!graph) {
+        return res.status(404).json({
+          success: false,
+          error: `Graph ${graphId} not found`
+        });
+      }
+
+      const schedule = computeSchedule(graph, hoursPerDay);
+      if (schedule.cycle) {
+        // Stored before cycles were rejected - break it to get a schedule
+        return res.status(400).json({
+          success: false,
+          error: `Dependencies loop: ${formatCycle(schedule.cycle)}`,
+          code: ErrorCodes.DEPENDENCY_CYCLE,
+          cycle: schedule.cycle
+        });
+      }
+
+      res.json({
+        success: true,
+        graphId,
+        version: graph.version || 0,
+        unit: 'days',
+        hoursPerDay,
+        ...schedule
+      });
+    } catch (error) {
+      console.error('Failed to compute schedule:', error);
+      res.status(500).json({
+        success: false,
+        error: error.message
+      });
+    }
+  });
+
+  return router;
+}
+
+export default router;
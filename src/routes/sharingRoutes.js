@@ -0,0 +1,171 @@
+/**
+ * Sharing Routes
+ * Invite collaborators to a graph as editor or viewer, and revoke access
+ */
+
+import express from 'express';
+import graphAcl, { Roles } from '../services/graphAcl.js';
+import undoHistory from '../services/undoHistory.js';
+import userStore from '../services/userStore.js';
+import { requireGraphRole } from '../middleware/graphAccess.js';
+
+const router = express.Router();
+
+const INVITE_ROLES = [Roles.EDITOR, Roles.VIEWER];
+
+/**
+ * Setup sharing routes with dependencies
+ * @param {Object} deps - Dependencies (broadcaster)
+ */
+export function setupSharingRoutes(deps) {
+  const { broadcaster } = deps;
+
+  /**
+   * GET /api/graphs/:graphId/collaborators
+   * Owner and collaborators with their roles
+   */
+  router.get('/graphs/:graphId/collaborators', requireGraphRole(Roles.VIEWER), async (req, res) => {
+    try {
+      const { graphId } = req.params;
+      const entries = [
+        { userId: req.ownerId, role: Roles.OWNER },
+        ...await graphAcl.list(req.ownerId, graphId)
+      ];
+
+      const collaborators = await Promise.all(entries.map(async (entry) => {
+        const user = await userStore.get(entry.userId);
+        return { ...entry, name: user?.name || null, email: user?.email || null };
+      }));
+
+      res.json({
+        success: true,
+        ownerId: req.ownerId,
+        collaborators
+      });
+    } catch (error) {
+      console.error('Failed to list collaborators:', error);
+      res.status(500).json({
+        success: false,
+        error: error.message
+      });
+    }
+  });
+
+  /**
+   * POST /api/graphs/:graphId/collaborators
+   * Body: { email | userId, role: 'editor'|'viewer' } - owner only, also changes an existing role
+   */
+  router.post('/graphs/:graphId/collaborators', requireGraphRole(Roles.OWNER), async (req, res) => {
+    try {
+      const { graphId } = req.params;
+      const { email, role } = req.body;
+
+      if (!INVITE_ROLES.includes(role) || (!email && !req.body.userId)) {
+        return res.status(400).json({
+          success: false,
+          error: `email or userId is required and role must be one of: ${INVITE_ROLES.join(', ')}`
+        });
+      }
+
+      const user = email ? await userStore.findByEmail(email) : await userStore.get(req.body.userId);
+      if (!user) {
+        return res.status(404).json({
+          success: false,
+          error: 'User not found'
+        });
+      }
+      if (user.userId === req.ownerId) {
+        return res.status(400).json({
+          success: false,
+          error: 'The owner already has full access'
+        });
+      }
+
+      await graphAcl.grant(req.ownerId, graphId, user.userId, role);
+
+      res.status(201).json({
+        success: true,
+        collaborator: { userId: user.userId, role, name: user.name, email: user.email }
+      });
+    } catch (error) {
+      console.error('Failed to share graph:', error);
+      res.status(500).json({
+        success: false,
+        error: error.message
+      });
+    }
+  });
+
+  /**
+   * DELETE /api/graphs/:graphId/collaborators/:userId
+   * Owner revokes anyone; a collaborator can remove themselves
+   */
+  router.delete('/graphs/:graphId/collaborators/:userId', requireGraphRole(Roles.VIEWER), async (req, res) => {
+    try {
+      const { graphId, userId } = req.params;
+
+      if (req.graphRole !== Roles.OWNER && userId !== req.userId) {
+        return res.status(403).json({
+          success: false,
+          error: `Requires ${Roles.OWNER} access`
+        });
+      }
+
+      const revoked = await graphAcl.revoke(req.ownerId, graphId, userId);
+      if (!revoked) {
+        return res.status(404).json({
+          success: false,
+          error: `${userId} is not a collaborator`
+        });
+      }
+
+      // Their undo steps would change a graph they can no longer see
+      await undoHistory.clear(req.ownerId, graphId, userId);
+
+      // Every instance drops the user's live subscriptions (see broadcastHandler.js)
+      broadcaster.broadcast(graphId, req.ownerId, {
+        type: 'ACCESS_REVOKED',
+        graphId,
+        userId,
+        timestamp: Date.now()
+      });
+
+      res.json({
+        success: true,
+        userId
+      });
+    } catch (error) {
+      console.error('Failed to revoke access:', error);
+      res.status(500).json({
+        success: false,
+        error: error.message
+      });
+    }
+  });
+
+  /**
+   * GET /api/shared-graphs
+   * Graphs other users shared with the caller (open them with X-Graph-Owner / ownerId)
+   */
+  router.get('/shared-graphs', async (req, res) => {
+    try {
+      const graphs = await graphAcl.listSharedWith(req.userId);
+
+      res.json({
+        success: true,
+        graphs,
+        count: graphs.length
+      });
+    } catch (error) {
+      console.error('Failed to list shared graphs:', error);
+      res.status(500).json({
+        success: false,
+        error: error.message
+      });
+    }
+  });
+
+  return router;
+}
+
+export default router;
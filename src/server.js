@@ -21,20 +21,41 @@ import redis from './redis.js';
 import SimplifiedAnalytics from './analytics-v2.js';
 import progressSnapshots from './progress-snapshots.js';
 import dailyHabitCounter from './services/dailyHabitCounter.js';
+import undoHistory from './services/undoHistory.js';
+import operationReceipts from './services/operationReceipts.js';
+import operationLog from './services/operationLog.js';
+import auditLog from './services/auditLog.js';
+import graphCache from './services/graphCache.js';
+import graphHistory from './services/graphHistory.js';
+import graphCatalog from './services/graphCatalog.js';
+import graphAcl from './services/graphAcl.js';
 import { DEFAULT_USER_ID } from './services/graphService.js';
 import { getNodeIndex, clearNodeIndex } from './services/nodeIndex.js';
 
 // Import handlers
-import { setupWebSocketHandler } from './handlers/websocketHandler.js';
+import { setupWebSocketHandler, unsubscribeClient } from './handlers/websocketHandler.js';
 import { createOperationHandler } from './handlers/operationHandler.js';
+import { createPresenceHandler } from './handlers/presenceHandler.js';
+import { createBroadcaster } from './handlers/broadcastHandler.js';
+import { createPositionBuffer } from './handlers/positionBuffer.js';
+import { createGraphWriter } from './handlers/graphWriter.js';
 
 // Import routes
 import { setupGraphRoutes } from './routes/graphRoutes.js';
+import { setupBranchRoutes } from './routes/branchRoutes.js';
+import { setupCatalogRoutes } from './routes/catalogRoutes.js';
+import { setupAuthRoutes } from './routes/authRoutes.js';
+import { setupSharingRoutes } from './routes/sharingRoutes.js';
+import { setupAuditRoutes } from './routes/auditRoutes.js';
+import { setupIntegrityRoutes } from './routes/integrityRoutes.js';
+import { setupScheduleRoutes } from './routes/scheduleRoutes.js';
 import { setupAnalyticsRoutes } from './routes/analyticsRoutes.js';
 import { setupAIRoutes } from './routes/aiRoutes.js';
 
 // Import logger
+import { requireAuth, verifyUpgrade } from './middleware/auth.js';
 import { logger } from './utils/logger.js';
+import { OperationError, ErrorCodes } from './utils/operationErrors.js';
 
 // Initialize Express app
 const app = express();
@@ -44,8 +65,8 @@ app.use(express.json());
 // Initialize HTTP server
 const server = http.createServer(app);
 
-// Initialize WebSocket server
-const wss = new WebSocketServer({ server });
+// Initialize WebSocket server (upgrade refused without a valid token)
+const wss = new WebSocketServer({ server, verifyClient: verifyUpgrade });
 
 // Track connected clients
 const clients = new Map();
@@ -53,12 +74,29 @@ const clients = new Map();
 // Initialize Analytics Service
 const analytics = new SimplifiedAnalytics(redis);
 
+/**
+ * Check whether any local client is subscribed to the graph
+ * Only subscribed graphs are kept in the graph cache
+ */
+function hasSubscribers(graphId, userId) {
+  for (const client of clients.values()) {
+    if (client.graphId === graphId && client.userId === userId) return true;
+  }
+  return false;
+}
+
 /**
  * Redis Operations - Core data access
  * Now with NodeIndex integration for O(1) lookups
+ * Subscribed graphs are served from the graph cache (NodeIndex already built)
  */
 async function getGraph(graphId, userId = DEFAULT_USER_ID) {
   try {
+    const cached = graphCache.get(userId, graphId);
+    if (cached) {
+      return cached;
+    }
+    
     logger.debug(`Getting graph: ${graphId} for user: ${userId}`);
     
     // Try user-specific key first
@@ -72,9 +110,15 @@ async function getGraph(graphId, userId = DEFAULT_USER_ID) {
       }
     }
     
-    if (!data) {
+    let graph;
+    if (data) {
+      graph = JSON.parse(data);
+      if (!graph.userId) {
+        graph.userId = userId;
+      }
+    } else {
       logger.debug(`Graph ${graphId} not found, returning empty graph`);
-      return {
+      graph = {
         nodes: [],
         edges: [],
         viewport: { x: 0, y: 0, zoom: 1 },
@@ -83,16 +127,19 @@ async function getGraph(graphId, userId = DEFAULT_USER_ID) {
       };
     }
     
-    const graph = JSON.parse(data);
-    if (!graph.userId) {
-      graph.userId = userId;
-    }
+    // Another request may have cached it while we were reading
+    const raced = graphCache.get(userId, graphId);
+    if (raced) return raced;
     
     // Build NodeIndex for O(1) lookups
     const indexKey = `${userId}:${graphId}`;
     const nodeIndex = getNodeIndex(indexKey);
     nodeIndex.buildIndex(graph);
     
+    if (hasSubscribers(graphId, userId)) {
+      graphCache.set(userId, graphId, graph);
+    }
+    
     logger.success(`Graph ${graphId} loaded: ${graph.nodes.length} nodes, index size: ${nodeIndex.size}`);
     return graph;
   } catch (error) {
@@ -101,20 +148,68 @@ async function getGraph(graphId, userId = DEFAULT_USER_ID) {
   }
 }
 
-async function saveGraph(graphId, graph, userId = DEFAULT_USER_ID) {
+/**
+ * Save graph only if nobody saved since it was loaded
+ * @param {Object} options - { expectedVersion, create }
+ *   expectedVersion defaults to the version the graph was loaded with;
+ *   create: true saves only a new graph (also one saved before versioning counts as existing)
+ * @returns {boolean} - false on Redis failure
+ * @throws {OperationError} - VERSION_CONFLICT if the stored version moved on or the graph to create exists,
+ *   GRAPH_NOT_FOUND if the graph isn't in the catalog (deleted, or never created)
+ */
+async function saveGraph(graphId, graph, userId = DEFAULT_USER_ID, options = {}) {
+  const expectedVersion = options.create ? 0 : options.expectedVersion ?? (graph.version || 0);
+  const previous = { version: graph.version, lastUpdated: graph.lastUpdated, userId: graph.userId };
+  
   try {
-    graph.version = (graph.version || 0) + 1;
+    graph.version = expectedVersion + 1;
     graph.lastUpdated = new Date().toISOString();
     graph.userId = userId;
     
     const graphData = JSON.stringify(graph);
     const redisKey = `user:${userId}:graph:${graphId}`;
     
-    logger.debug(`Saving graph ${graphId}: ${graph.nodes.length} nodes, version ${graph.version}`);
+    logger.debug(`Saving graph ${graphId}: ${graph.nodes.length} nodes, version ${expectedVersion} → ${graph.version}`);
+    
+    // The same call lists the graph in the user's catalog (updated time, node count)
+    const catalog = graphCatalog.saveArguments(userId, graphId, graph);
+    const [saved, currentVersion] = await redis.saveGraphIfVersion(
+      redisKey,
+      `${redisKey}:version`,
+      `graph:${graphId}`,
+      ...catalog.keys,
+      expectedVersion,
+      graphData,
+      options.create ? '1' : '0',
+      ...catalog.args
+    );
+    
+    if (saved === -1) {
+      Object.assign(graph, previous);
+      graphCache.invalidate(userId, graphId);
+      logger.warn(`Refused to save graph ${graphId}: not in the catalog of ${userId}`);
+      throw new OperationError(ErrorCodes.GRAPH_NOT_FOUND, `Graph ${graphId} does not exist`, { graphId });
+    }
+    
+    if (!saved) {
+      Object.assign(graph, previous);
+      // Cached copy may hold the rejected changes
+      graphCache.invalidate(userId, graphId);
+      logger.warn(`Version conflict saving graph ${graphId}: expected ${expectedVersion}, stored ${currentVersion}`);
+      throw new OperationError(
+        ErrorCodes.VERSION_CONFLICT,
+        `Graph ${graphId} was modified (version ${currentVersion}, expected ${expectedVersion})`,
+        { expectedVersion, currentVersion: Number(currentVersion) }
+      );
+    }
     
-    await redis.set(redisKey, graphData);
     logger.success(`Graph ${graphId} saved successfully`);
     
+    // Saved from a different object (e.g. REST save) - the cached one is outdated
+    if (!graphCache.isCached(userId, graphId, graph)) {
+      graphCache.invalidate(userId, graphId);
+    }
+    
     // Clean up old key format
     const oldKey = `graph:${graphId}`;
     const oldData = await redis.get(oldKey);
@@ -123,27 +218,40 @@ async function saveGraph(graphId, graph, userId = DEFAULT_USER_ID) {
       logger.debug(`Cleaned up old key format: ${oldKey}`);
     }
     
-    // Save to history
-    const historyKey = `history:${userId}:${graphId}:${Date.now()}`;
-    await redis.setex(historyKey, 3600, graphData);
+    // Save to version history
+    await graphHistory.record(userId, graphId, graph, graphData);
     
     return true;
   } catch (error) {
+    if (error instanceof OperationError) throw error;
+    Object.assign(graph, previous);
+    graphCache.invalidate(userId, graphId);
     logger.error('Redis save error:', error);
     return false;
   }
 }
 
-async function addOperation(graphId, operation) {
-  try {
-    const key = `operations:${graphId}`;
-    await redis.lpush(key, JSON.stringify(operation));
-    await redis.ltrim(key, 0, 99);
-    return true;
-  } catch (error) {
-    logger.error('Redis operation error:', error);
-    return false;
-  }
+/**
+ * Delete graph and what's stored alongside it (version, op log, audit log, undo stacks, history)
+ * Catalog entry and branch index are up to the caller
+ */
+async function deleteGraph(graphId, userId = DEFAULT_USER_ID) {
+  const redisKey = `user:${userId}:graph:${graphId}`;
+  // Collaborators' undo/redo stacks too - a graph recreated under the same ID must not inherit them
+  const collaborators = await graphAcl.list(userId, graphId);
+  await redis.del(
+    redisKey,
+    `${redisKey}:version`,
+    operationLog.getRedisKey(userId, graphId),
+    auditLog.getRedisKey(userId, graphId),
+    ...[userId, ...collaborators.map(collaborator => collaborator.userId)].flatMap(actorId => [
+      undoHistory.getRedisKey('undo', userId, graphId, actorId),
+      undoHistory.getRedisKey('redo', userId, graphId, actorId)
+    ])
+  );
+  await graphHistory.clear(userId, graphId);
+  graphCache.invalidate(userId, graphId);
+  logger.success(`Graph ${graphId} deleted for user ${userId}`);
 }
 
 /**
@@ -159,23 +267,88 @@ function getGraphNodeIndex(graphId, userId = DEFAULT_USER_ID) {
 const applyOperation = createOperationHandler({
   getGraph,
   saveGraph,
-  addOperation,
+  operationLog,
+  auditLog,
   analytics,
-  getNodeIndex: getGraphNodeIndex
+  getNodeIndex: getGraphNodeIndex,
+  undoHistory,
+  graphCache
+});
+
+// Fan out graph events to clients on every server instance (Redis pub/sub)
+const broadcaster = createBroadcaster({
+  redis,
+  clients,
+  onRemoteChange: (graphId, userId, version, message) => {
+    if (message.type === 'GRAPH_DELETED') {
+      graphCache.invalidate(userId, graphId);
+    } else if (version !== null) {
+      // Live drag positions carry no version - nothing stored changed yet
+      graphCache.invalidate(userId, graphId, version);
+    }
+  },
+  onGraphDeleted: (graphId, userId) => {
+    // Their next writes would go to a graph that no longer exists
+    clients.forEach((client) => {
+      if (client.graphId === graphId && client.userId === userId) {
+        unsubscribeClient(client, clients, presence, graphCache);
+      }
+    });
+  },
+  onAccessRevoked: (graphId, userId, revokedUserId) => {
+    // Their open sockets stop receiving the graph right away, not on their next write
+    clients.forEach((client) => {
+      if (client.graphId === graphId && client.userId === userId && client.authUserId === revokedUserId) {
+        unsubscribeClient(client, clients, presence, graphCache);
+      }
+    });
+  }
+});
+broadcaster.start().catch(error => {
+  logger.error('Failed to subscribe to graph events:', error);
 });
 
+// List graphs saved before the catalog existed
+graphCatalog.backfill().catch(error => {
+  logger.error('Failed to backfill graph catalog:', error);
+});
+
+// Write-behind buffer for drag positions
+const positionBuffer = createPositionBuffer({ applyOperation, broadcaster });
+
+// Presence (who's viewing which graph, live cursors) - in memory only
+const presence = createPresenceHandler({ clients });
+const stopPresenceSweep = presence.startIdleSweep();
+
+// Whole-graph writes (REST save, restore, merge, daily reset) with delta broadcast
+const { replaceGraph } = createGraphWriter({ getGraph, saveGraph, broadcaster, positionBuffer });
+
 // Setup WebSocket handler
 setupWebSocketHandler({
   wss,
   clients,
   getGraph,
-  saveGraph,
-  addOperation,
-  applyOperation
+  replaceGraph,
+  operationLog,
+  applyOperation,
+  undoHistory,
+  operationReceipts,
+  presence,
+  broadcaster,
+  positionBuffer,
+  graphCache
 });
 
-// Setup REST API routes
-app.use('/api', setupGraphRoutes({ getGraph, saveGraph, clients }));
+// Setup REST API routes - only registration and login work without a token
+app.use('/api', setupAuthRoutes());
+app.use('/api', requireAuth);
+app.use('/api', setupGraphRoutes({ getGraph, replaceGraph }));
+app.use('/api', setupBranchRoutes({ getGraph, saveGraph, replaceGraph, positionBuffer }));
+app.use('/api', setupCatalogRoutes({ getGraph, saveGraph, deleteGraph, broadcaster, positionBuffer }));
+app.use('/api', setupSharingRoutes({ broadcaster }));
+app.use('/api', setupAuditRoutes());
+app.use('/api', setupIntegrityRoutes({ getGraph, replaceGraph }));
+app.use('/api', setupScheduleRoutes({ getGraph }));
 app.use('/api/analytics', setupAnalyticsRoutes({ analytics, progressSnapshots }));
 app.use('/api/ai', setupAIRoutes());
 
@@ -189,14 +362,32 @@ app.get('/health', (req, res) => {
   });
 });
 
+/**
+ * Snapshot progress of every non-archived graph in the catalog
+ * @returns {number} - Number of nodes snapshotted
+ */
+async function snapshotCatalogGraphs() {
+  const graphs = await graphCatalog.listAll();
+  let count = 0;
+  for (const { userId, graphId } of graphs) {
+    try {
+      const snapshots = await progressSnapshots.snapshotAllNodes(new Date(), userId, graphId);
+      count += snapshots.length;
+    } catch (error) {
+      logger.error(`Snapshot of ${userId}/${graphId} failed:`, error);
+    }
+  }
+  return count;
+}
+
 // Initialize daily snapshot job at 00:00 every day
 const snapshotJob = new CronJob(
   '0 0 * * *',
   async () => {
     logger.info('Running daily progress snapshot job...');
     try {
-      const snapshots = await progressSnapshots.snapshotAllNodes(new Date(), DEFAULT_USER_ID, 'main');
-      logger.success(`Daily snapshot completed: ${snapshots.length} nodes`);
+      const count = await snapshotCatalogGraphs();
+      logger.success(`Daily snapshot completed: ${count} nodes`);
     } catch (error) {
       logger.error('Daily snapshot failed:', error);
     }
@@ -210,8 +401,8 @@ const snapshotJob = new CronJob(
 setTimeout(async () => {
   logger.info('Running initial progress snapshot...');
   try {
-    const snapshots = await progressSnapshots.snapshotAllNodes(new Date(), DEFAULT_USER_ID, 'main');
-    logger.success(`Initial snapshot completed: ${snapshots.length} nodes`);
+    const count = await snapshotCatalogGraphs();
+    logger.success(`Initial snapshot completed: ${count} nodes`);
   } catch (error) {
     logger.error('Initial snapshot failed:', error);
   }
@@ -225,7 +416,7 @@ const habitCounterJob = new CronJob(
   async () => {
     logger.info('🌙 Running daily habit counter job...');
     try {
-      const result = await dailyHabitCounter.processAllGraphs(DEFAULT_USER_ID);
+      const result = await dailyHabitCounter.processAllGraphs({ getGraph, replaceGraph });
       logger.success(
         `🌙 Daily habit counter completed: ${result.incrementedCount}/${result.processedCount} nodes incremented`
       );
@@ -254,9 +445,17 @@ server.listen(PORT, () => {
 });
 
 // Graceful shutdown
-process.on('SIGTERM', () => {
+process.on('SIGTERM', async () => {
   logger.info('SIGTERM received, closing connections...');
   
+  // Save drag positions still in memory
+  await positionBuffer.flushAll().catch(error => {
+    logger.error('Failed to flush position buffers:', error);
+  });
+  
+  stopPresenceSweep();
+  broadcaster.stop();
+  
   wss.clients.forEach((client) => {
     client.close();
   });
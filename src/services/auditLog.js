@@ -0,0 +1,355 @@
+/**
+ * Audit Log Service
+ * Append-only record of who changed what on a graph
+ *
+ * Redis Structure:
+ *   Key: audit:{userId}:{graphId}   (userId = graph owner)
+ *   Type: Stream (ID = ms timestamp of the change)
+ *   Value: entry = JSON { actorId, type, source, version, nodeIds, changes }
+ *     changes: [{ nodeId | edgeId | graph: true, before, after }] - only the fields that
+ *     changed; before is null for added, after is null for removed items
+ *     nodeIds: changed nodes and the ends of changed edges
+ *   Retention: AUDIT_RETENTION_DAYS (default 90) and AUDIT_MAX_ENTRIES (default 10000) per graph
+ *
+ * Drag positions and viewport changes are not audited.
+ */
+
+import redis from '../redis.js';
+import { logger } from '../utils/logger.js';
+import { flattenNodes } from './graphDiff.js';
+
+const RETENTION_DAYS = Number(process.env.AUDIT_RETENTION_DAYS) || 90;
+const MAX_ENTRIES = Number(process.env.AUDIT_MAX_ENTRIES) || 10000;
+const DEFAULT_PAGE_SIZE = 50;
+const MAX_PAGE_SIZE = 200;
+// Entries read per query at most, so sparse filters can't scan a whole stream
+const MAX_SCAN = 5000;
+const SCAN_BATCH = 500;
+
+// Operation types that are not audited (see header)
+const UNAUDITED_TYPES = new Set(['UPDATE_NODE_POSITION', 'UPDATE_VIEWPORT']);
+
+class AuditLogService {
+  /**
+   * Get Redis key for a graph's audit stream
+   */
+  getRedisKey(userId, graphId) {
+    return `audit:${userId}:${graphId}`;
+  }
+
+  /**
+   * Append an entry, trimming by count and age
+   * @param {Object} entry - { actorId, type, source, version, changes }
+   * @returns {string|null} - Stream ID, null if nothing changed or the write failed
+   */
+  async record(userId, graphId, entry) {
+    if (!entry.changes || entry.changes.length === 0) return null;
+
+    try {
+      const key = this.getRedisKey(userId, graphId);
+      const nodeIds = [...new Set(entry.changes.flatMap(changedNodeIds))];
+      const id = await redis.xadd(
+        key, 'MAXLEN', '~', MAX_ENTRIES, '*',
+        'entry', JSON.stringify({ ...entry, nodeIds })
+      );
+      await redis.xtrim(key, 'MINID', '~', Date.now() - RETENTION_DAYS * 24 * 60 * 60 * 1000);
+      return id;
+    } catch (error) {
+      logger.error('Failed to append to audit log:', error);
+      return null;
+    }
+  }
+
+  /**
+   * Page through entries, newest first
+   * @param {Object} filters - { actorId, nodeId, from, to (ms timestamps), cursor, limit }
+   *   cursor: nextCursor of the previous page
+   * @returns {Object} - { entries, nextCursor } (nextCursor null at the end)
+   */
+  async query(userId, graphId, filters = {}) {
+    const { actorId, nodeId, from, to, cursor } = filters;
+    const limit = Math.min(Number(filters.limit) || DEFAULT_PAGE_SIZE, MAX_PAGE_SIZE);
+    const key = this.getRedisKey(userId, graphId);
+    const start = Number.isFinite(from) ? String(from) : '-';
+
+    const entries = [];
+    let end = cursor ? `(${cursor}` : (Number.isFinite(to) ? String(to) : '+');
+    let scanned = 0;
+    let lastId = null;
+
+    while (entries.length < limit && scanned < MAX_SCAN) {
+      const batch = await redis.xrevrange(key, end, start, 'COUNT', SCAN_BATCH);
+      let i = 0;
+      for (; i < batch.length && entries.length < limit; i++) {
+        const [id, fields] = batch[i];
+        lastId = id;
+        const entry = parseEntry(id, fields);
+        if (matches(entry, actorId, nodeId)) entries.push(entry);
+      }
+      scanned += i;
+
+      // Read to the end of the range
+      if (i === batch.length && batch.length < SCAN_BATCH) {
+        return { entries, nextCursor: null };
+      }
+      end = `(${lastId}`;
+    }
+
+    return { entries, nextCursor: lastId };
+  }
+
+  /**
+   * Changes of one node and its edges, newest first
+   * @returns {Object} - { entries: [{ id, timestamp, actorId, type, source, version, changes }], nextCursor }
+   */
+  async nodeHistory(userId, graphId, nodeId, filters = {}) {
+    const page = await this.query(userId, graphId, { ...filters, nodeId });
+    return {
+      entries: page.entries.map(({ nodeIds, ...entry }) => ({
+        ...entry,
+        changes: entry.changes.filter(change => changedNodeIds(change).includes(nodeId))
+      })),
+      nextCursor: page.nextCursor
+    };
+  }
+}
+
+/**
+ * Parse a stream entry ([field, value, ...])
+ */
+function parseEntry(id, fields) {
+  const data = JSON.parse(fields[fields.indexOf('entry') + 1]);
+  return { id, timestamp: Number(id.split('-')[0]), ...data };
+}
+
+/**
+ * Nodes a change is about (an edge change is about both ends)
+ * @returns {string[]}
+ */
+function changedNodeIds(change) {
+  if (change.nodeId) return [change.nodeId];
+  if (change.edgeId) {
+    const edge = change.after || change.before;
+    return [edge.source, edge.target].filter(Boolean);
+  }
+  return [];
+}
+
+/**
+ * Check entry against the actor / node filters
+ */
+function matches(entry, actorId, nodeId) {
+  if (actorId && entry.actorId !== actorId) return false;
+  if (nodeId && !entry.nodeIds.includes(nodeId)) return false;
+  return true;
+}
+
+/**
+ * IDs an operation can change (BATCH_UPDATE: its sub-operations)
+ * Linked nodes count too - link changes are mirrored on them (see operations/links.js),
+ * and so does what DELETE_NODE / MOVE_NODE cascade to
+ * @param {Function} locate - id => { node, parentId } | null
+ * @returns {Object} - { nodeIds: Set, edgeIds: Set }
+ */
+function touchedIds(operation, graph, locate, result = { nodeIds: new Set(), edgeIds: new Set() }) {
+  const { type, payload = {} } = operation;
+  if (UNAUDITED_TYPES.has(type)) return result;
+
+  if (type === 'BATCH_UPDATE') {
+    // Batch payload is { operations } or the bare array
+    const operations = Array.isArray(payload) ? payload : payload.operations || [];
+    operations.forEach(sub => sub && touchedIds(sub, graph, locate, result));
+    return result;
+  }
+  if (type === 'ADD_EDGE' || type === 'DELETE_EDGE') {
+    result.edgeIds.add(payload.id || payload.edgeId);
+    return result;
+  }
+
+  const nodeId = payload.id || payload.nodeId;
+  if (!nodeId) return result;
+  result.nodeIds.add(nodeId);
+
+  const addLinked = (linkedNodeIds) => {
+    ['upstream', 'downstream'].forEach(direction => {
+      (linkedNodeIds?.[direction] || []).forEach(id => result.nodeIds.add(id));
+    });
+  };
+  if (type === 'ADD_NODE') {
+    // Adding a child can turn a simple parent into a container
+    if (payload.parentId) result.nodeIds.add(payload.parentId);
+    addLinked(payload.linkedNodeIds);
+  }
+  if (type === 'UPDATE_NODE' && payload.updates?.linkedNodeIds !== undefined) {
+    addLinked(payload.updates.linkedNodeIds);
+    addLinked(locate(nodeId)?.node.linkedNodeIds);
+  }
+  if (type === 'DELETE_NODE') {
+    addDeleted(graph, locate(nodeId), result);
+  }
+  if (type === 'MOVE_NODE') {
+    // Old parent may lose its last child, the new one gain its first (subtype changes)
+    const oldParentId = locate(nodeId)?.parentId;
+    if (oldParentId) result.nodeIds.add(oldParentId);
+    if (payload.newParentId) result.nodeIds.add(payload.newParentId);
+  }
+  return result;
+}
+
+/**
+ * What DELETE_NODE removes with a node (see operations/deleteNode.js): its descendants,
+ * edges at any of them and links other nodes had to them; plus the parent it leaves
+ * @param {Object|null} entry - Located node to delete
+ */
+function addDeleted(graph, entry, result) {
+  if (!entry) return;
+
+  const removedIds = new Set(flattenNodes([entry.node]).keys());
+  removedIds.forEach(id => result.nodeIds.add(id));
+  if (entry.parentId) result.nodeIds.add(entry.parentId);
+
+  (graph.edges || []).forEach((edge) => {
+    if (removedIds.has(edge.source) || removedIds.has(edge.target)) result.edgeIds.add(edge.id);
+  });
+  flattenNodes(graph.nodes || []).forEach(({ node }, id) => {
+    const linked = ['upstream', 'downstream'].flatMap(direction => node.linkedNodeIds?.[direction] || []);
+    if (!removedIds.has(id) && linked.some(linkedId => removedIds.has(linkedId))) {
+      result.nodeIds.add(id);
+    }
+  });
+}
+
+/**
+ * Node lookup with parent - NodeIndex when available, otherwise one walk of the tree
+ * @returns {Function} - id => { node, parentId } | null
+ */
+function createLocator(graph, nodeIndex) {
+  let flat = null;
+  return (id) => {
+    if (nodeIndex && nodeIndex.hasNode(id)) {
+      return { node: nodeIndex.getNode(id), parentId: nodeIndex.getParentId(id) };
+    }
+    flat = flat || flattenNodes(graph.nodes || []);
+    return flat.get(id) || null;
+  };
+}
+
+/**
+ * IDs of the nodes and edges an operation can change, read before applying it
+ * @param {Object} nodeIndex - NodeIndex (optional, falls back to walking the tree)
+ * @returns {Object|null} - { nodeIds, edgeIds }, null if the operation is not audited
+ */
+export function findTouched(graph, operation, nodeIndex = null) {
+  const touched = touchedIds(operation, graph, createLocator(graph, nodeIndex));
+  return touched.nodeIds.size === 0 && touched.edgeIds.size === 0 ? null : touched;
+}
+
+/**
+ * Copy the state of the touched nodes and edges
+ * Call before and after applying the operation, then compare with compareCaptured
+ * @param {Object} touched - Result of findTouched
+ * @returns {Object} - { nodes: Map, edges: Map }
+ */
+export function captureTouched(graph, touched, nodeIndex = null) {
+  const locate = createLocator(graph, nodeIndex);
+  const nodes = new Map();
+  touched.nodeIds.forEach((nodeId) => {
+    const entry = locate(nodeId);
+    if (entry) {
+      const { children, ...fields } = entry.node;
+      nodes.set(nodeId, structuredClone({ ...fields, parentId: entry.parentId ?? null }));
+    }
+  });
+
+  const edges = new Map();
+  touched.edgeIds.forEach((edgeId) => {
+    const edge = (graph.edges || []).find(e => e.id === edgeId);
+    if (edge) edges.set(edgeId, { ...edge });
+  });
+
+  return { nodes, edges };
+}
+
+/**
+ * Changes between two captures of the same IDs
+ * @returns {Object[]} - Audit changes (see header)
+ */
+export function compareCaptured(before, after) {
+  const changes = [];
+  const compare = (idField, from, to) => {
+    new Set([...from.keys(), ...to.keys()]).forEach((id) => {
+      const change = diffState(from.get(id), to.get(id));
+      if (change) changes.push({ [idField]: id, ...change });
+    });
+  };
+  compare('nodeId', before.nodes, after.nodes);
+  compare('edgeId', before.edges, after.edges);
+  return changes;
+}
+
+/**
+ * Audit changes from a structural diff (whole-graph writes, see graphDiff.js)
+ * Viewport-only changes are left out like UPDATE_VIEWPORT
+ * @returns {Object[]}
+ */
+export function changesFromDiff(delta) {
+  return delta.flatMap((entry) => {
+    switch (entry.type) {
+      case 'graph_changed': {
+        const { viewport, ...changes } = entry.changes;
+        if (Object.keys(changes).length === 0) return [];
+        return [{ graph: true, ...fromToChanges(changes) }];
+      }
+      case 'node_added':
+        return [{ nodeId: entry.nodeId, before: null, after: { ...entry.node, parentId: entry.parentId } }];
+      case 'node_removed':
+        return [{ nodeId: entry.nodeId, before: { parentId: entry.parentId }, after: null }];
+      case 'node_moved':
+        return [{ nodeId: entry.nodeId, before: entry.from, after: entry.to }];
+      case 'node_changed':
+        return [{ nodeId: entry.nodeId, ...fromToChanges(entry.changes) }];
+      case 'edge_added':
+        return [{ edgeId: entry.edgeId, before: null, after: entry.edge }];
+      case 'edge_removed':
+        return [{ edgeId: entry.edgeId, before: entry.edge, after: null }];
+      default:
+        return [];
+    }
+  });
+}
+
+/**
+ * Before/after of one item, only the fields that differ
+ * @returns {Object|null} - { before, after } or null if unchanged
+ */
+function diffState(from, to) {
+  if (!from && !to) return null;
+  if (!from) return { before: null, after: to };
+  if (!to) return { before: from, after: null };
+
+  const before = {};
+  const after = {};
+  new Set([...Object.keys(from), ...Object.keys(to)]).forEach((field) => {
+    if (JSON.stringify(from[field]) !== JSON.stringify(to[field])) {
+      before[field] = from[field] ?? null;
+      after[field] = to[field] ?? null;
+    }
+  });
+  return Object.keys(before).length > 0 ? { before, after } : null;
+}
+
+/**
+ * { field: { from, to } } → { before: { field }, after: { field } }
+ */
+function fromToChanges(changes) {
+  const before = {};
+  const after = {};
+  Object.entries(changes).forEach(([field, { from, to }]) => {
+    before[field] = from;
+    after[field] = to;
+  });
+  return { before, after };
+}
+
+// Export singleton instance
+export default new AuditLogService();
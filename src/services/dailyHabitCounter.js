@@ -5,9 +5,11 @@
  */
 
 import { logger } from '../utils/logger.js';
-import redis from '../redis.js';
+import { ErrorCodes } from '../utils/operationErrors.js';
+import graphCatalog from './graphCatalog.js';
 
-export const DEFAULT_USER_ID = '1';
+// Attempts to save the graph if operations keep saving in between
+const MAX_SAVE_ATTEMPTS = 3;
 
 class DailyHabitCounterService {
   /**
@@ -26,57 +28,92 @@ class DailyHabitCounterService {
   }
 
   /**
-   * Process all graphs and increment counters for completed infinity nodes
+   * Process all graphs in the catalog and increment counters for completed infinity nodes
    * Called at 00:00 every day
+   * @param {Object} deps - { getGraph, replaceGraph } of the server, so the counted graph is
+   *   cached, versioned, kept in history and broadcast like any other save
    */
-  async processAllGraphs(userId = DEFAULT_USER_ID) {
-    logger.info(`🔄 Daily Habit Counter: Processing all graphs for user ${userId}...`);
+  async processAllGraphs(deps) {
+    const graphs = await graphCatalog.listAll();
+    logger.info(`🔄 Daily Habit Counter: Processing ${graphs.length} graphs...`);
 
+    const totals = { processedCount: 0, incrementedCount: 0 };
+    for (const { userId, graphId } of graphs) {
+      try {
+        const result = await this.processGraph(userId, graphId, deps);
+        totals.processedCount += result.processedCount;
+        totals.incrementedCount += result.incrementedCount;
+      } catch (error) {
+        // Already logged - one graph failing must not skip the others
+      }
+    }
+    return totals;
+  }
+
+  /**
+   * Increment counters for completed infinity nodes of one graph
+   * @param {Object} deps - { getGraph, replaceGraph } (see processAllGraphs)
+   */
+  async processGraph(userId, graphId, { getGraph, replaceGraph }) {
     try {
-      // Get user's main graph
-      const graphKey = `user:${userId}:graph:main`;
-      const graphData = await redis.get(graphKey);
+      // Re-read and re-apply if a user operation saved in between
+      for (let attempt = 1; attempt <= MAX_SAVE_ATTEMPTS; attempt++) {
+        const loaded = await getGraph(graphId, userId);
+        if (!loaded) {
+          throw new Error(`Graph ${graphId} could not be loaded`);
+        }
+        // Snapshots are read-only
+        if (loaded.origin?.kind === 'snapshot') {
+          return { processedCount: 0, incrementedCount: 0 };
+        }
 
-      if (!graphData) {
-        logger.warn(`No graph found for user ${userId}`);
-        return { processedCount: 0, incrementedCount: 0 };
-      }
+        // Count on a copy - the loaded graph may be the cached one
+        const graph = structuredClone(loaded);
+        const infinityNodes = this.findInfinityNodes(graph.nodes || []);
 
-      const graph = JSON.parse(graphData);
-      const infinityNodes = this.findInfinityNodes(graph.nodes);
+        logger.info(`📊 Found ${infinityNodes.length} infinity-mode nodes in ${graphId}`);
 
-      logger.info(`📊 Found ${infinityNodes.length} infinity-mode nodes`);
+        let incrementedCount = 0;
 
-      let incrementedCount = 0;
+        // Process each infinity node
+        for (const node of infinityNodes) {
+          if (node.isDone) {
+            // Node was completed today - increment counter
+            const previousCount = node.currentCompletions || 0;
+            node.currentCompletions = previousCount + 1;
+            node.isDone = false; // Reset for next day
 
-      // Process each infinity node
-      for (const node of infinityNodes) {
-        if (node.isDone) {
-          // Node was completed today - increment counter
-          const previousCount = node.currentCompletions || 0;
-          node.currentCompletions = previousCount + 1;
-          node.isDone = false; // Reset for next day
+            logger.success(
+              `✅ Incremented habit counter for "${node.title}": ${previousCount} → ${node.currentCompletions}`
+            );
+            incrementedCount++;
+          }
+        }
 
-          logger.success(
-            `✅ Incremented habit counter for "${node.title}": ${previousCount} → ${node.currentCompletions}`
-          );
-          incrementedCount++;
+        // Save only if nobody saved since we read it
+        if (incrementedCount > 0) {
+          try {
+            await replaceGraph(graphId, userId, { nodes: graph.nodes }, loaded.version || 0, {
+              source: 'habit_counter'
+            });
+          } catch (error) {
+            if (error.code !== ErrorCodes.VERSION_CONFLICT) throw error;
+            logger.warn(`⚠️ Graph changed while counting habits (${error.message}), retrying...`);
+            continue;
+          }
+          logger.success(`💾 Saved updated graph (${incrementedCount} nodes updated)`);
         }
-      }
 
-      // Save modified graph back to Redis
-      if (incrementedCount > 0) {
-        await redis.set(graphKey, JSON.stringify(graph));
-        logger.success(`💾 Saved updated graph (${incrementedCount} nodes updated)`);
+        logger.info(`✨ Daily Habit Counter complete: ${incrementedCount} nodes incremented`);
+        return {
+          processedCount: infinityNodes.length,
+          incrementedCount: incrementedCount
+        };
       }
 
-      logger.info(`✨ Daily Habit Counter complete: ${incrementedCount} nodes incremented`);
-      return {
-        processedCount: infinityNodes.length,
-        incrementedCount: incrementedCount
-      };
+      throw new Error(`Graph kept changing, gave up after ${MAX_SAVE_ATTEMPTS} attempts`);
     } catch (error) {
-      logger.error('❌ Daily Habit Counter failed:', error);
+      logger.error(`❌ Daily Habit Counter failed for ${userId}/${graphId}:`, error);
       throw error;
     }
   }
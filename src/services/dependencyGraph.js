@@ -0,0 +1,166 @@
+/**
+ * Dependency Graph - Combined dependency arcs of a graph and cycle detection
+ *
+ * Arcs point from prerequisite to dependent:
+ *   upstream link U of node N   U → N
+ *   downstream link D of node N N → D
+ *   edge                        source → target
+ * The parent/child hierarchy is not a dependency.
+ *
+ * Operations that would close a loop are rejected (DEPENDENCY_CYCLE with the cycle path),
+ * cycles already stored are left alone so unrelated edits keep working.
+ */
+
+import { flattenNodes } from './graphDiff.js';
+
+/**
+ * Successor sets of every node
+ * @param {Object} change - { nodeId, previous, next } - pending linkedNodeIds change of one
+ *   node, applied the way mirrorLinks (handlers/operations/links.js) will apply it (optional)
+ * @returns {Map<string, Set<string>>}
+ */
+export function buildDependencyGraph(graph, change = null) {
+  const successors = new Map();
+  const removed = change ? droppedLinks(change.previous, change.next) : null;
+
+  flattenNodes(graph.nodes || []).forEach(({ node }, id) => {
+    let upstream = node.linkedNodeIds?.upstream || [];
+    let downstream = node.linkedNodeIds?.downstream || [];
+
+    if (change && id === change.nodeId) {
+      upstream = change.next?.upstream || [];
+      downstream = change.next?.downstream || [];
+    } else if (change) {
+      // Mirrors of the links the node drops go away with them
+      if (removed.upstream.has(id)) downstream = downstream.filter(linkedId => linkedId !== change.nodeId);
+      if (removed.downstream.has(id)) upstream = upstream.filter(linkedId => linkedId !== change.nodeId);
+    }
+
+    upstream.forEach(linkedId => addArc(successors, linkedId, id));
+    downstream.forEach(linkedId => addArc(successors, id, linkedId));
+  });
+
+  (graph.edges || []).forEach(edge => addArc(successors, edge.source, edge.target));
+  return successors;
+}
+
+/**
+ * Add an arc
+ */
+export function addArc(successors, from, to) {
+  if (!successors.has(from)) successors.set(from, new Set());
+  successors.get(from).add(to);
+}
+
+/**
+ * Arcs a linkedNodeIds object declares for a node
+ * @param {Object} previous - Earlier linkedNodeIds; links already in it are left out (optional)
+ * @returns {Array<[string, string]>} - [from, to] pairs
+ */
+export function linkArcs(nodeId, linkedNodeIds, previous = null) {
+  const isNew = direction => linkedId => !(previous?.[direction] || []).includes(linkedId);
+  return [
+    ...(linkedNodeIds?.upstream || []).filter(isNew('upstream')).map(linkedId => [linkedId, nodeId]),
+    ...(linkedNodeIds?.downstream || []).filter(isNew('downstream')).map(linkedId => [nodeId, linkedId])
+  ];
+}
+
+/**
+ * Shortest path between two nodes along the arcs (breadth-first)
+ * @returns {string[]|null} - [from, ..., to] or null if to can't be reached
+ */
+export function findPath(successors, from, to) {
+  const previous = new Map([[from, null]]);
+  const queue = [from];
+
+  for (let i = 0; i < queue.length; i++) {
+    const current = queue[i];
+    if (current === to) {
+      const path = [];
+      for (let step = to; step !== null; step = previous.get(step)) path.unshift(step);
+      return path;
+    }
+    (successors.get(current) || []).forEach((next) => {
+      if (!previous.has(next)) {
+        previous.set(next, current);
+        queue.push(next);
+      }
+    });
+  }
+  return null;
+}
+
+/**
+ * First of the given arcs that lies on a cycle
+ * Expects the arcs to be in successors already
+ * @param {Array<[string, string]>} arcs - [from, to] pairs to check
+ * @returns {string[]|null} - Cycle path starting and ending at the arc's source (A → B → A)
+ */
+export function findCycleThrough(successors, arcs) {
+  for (const [from, to] of arcs) {
+    if (from === to) return [from, to];
+    const path = findPath(successors, to, from);
+    if (path) return [from, ...path];
+  }
+  return null;
+}
+
+/**
+ * Any cycle in the graph (depth-first)
+ * @returns {string[]|null} - Cycle path (A → B → A)
+ */
+export function findAnyCycle(successors) {
+  const finished = new Set();
+  const stack = [];
+  const onStack = new Set();
+
+  const visit = (id) => {
+    stack.push(id);
+    onStack.add(id);
+    for (const next of successors.get(id) || []) {
+      if (onStack.has(next)) return [...stack.slice(stack.indexOf(next)), next];
+      if (!finished.has(next)) {
+        const cycle = visit(next);
+        if (cycle) return cycle;
+      }
+    }
+    stack.pop();
+    onStack.delete(id);
+    finished.add(id);
+    return null;
+  };
+
+  for (const id of successors.keys()) {
+    if (finished.has(id)) continue;
+    const cycle = visit(id);
+    if (cycle) return cycle;
+  }
+  return null;
+}
+
+/**
+ * Format a cycle path for messages
+ */
+export function formatCycle(cycle) {
+  return cycle.join(' → ');
+}
+
+/**
+ * Links in previous but not in next, per direction
+ */
+function droppedLinks(previous, next) {
+  const dropped = (direction) => new Set(
+    (previous?.[direction] || []).filter(id => !(next?.[direction] || []).includes(id))
+  );
+  return { upstream: dropped('upstream'), downstream: dropped('downstream') };
+}
+
+export default {
+  buildDependencyGraph,
+  addArc,
+  linkArcs,
+  findPath,
+  findCycleThrough,
+  findAnyCycle,
+  formatCycle
+};
@@ -0,0 +1,27 @@
+/**
+ * Estimates - How long a node takes, from the fields the client sets
+ *   durationDays                  if set
+ *   estimateHours / hoursPerDay   otherwise
+ * Used by the schedule (schedule.js) and estimate weighting (progressRollup.js)
+ */
+
+export const DEFAULT_HOURS_PER_DAY = 8;
+
+/**
+ * Whether a node has an estimate of its own
+ */
+export function hasEstimate(node) {
+  return typeof node.durationDays === 'number' || typeof node.estimateHours === 'number';
+}
+
+/**
+ * Duration of a node in days, ignoring progress
+ * @returns {number} - 0 without an estimate
+ */
+export function getDurationDays(node, hoursPerDay = DEFAULT_HOURS_PER_DAY) {
+  if (typeof node.durationDays === 'number') return node.durationDays;
+  if (typeof node.estimateHours === 'number') return node.estimateHours / hoursPerDay;
+  return 0;
+}
+
+export default { DEFAULT_HOURS_PER_DAY, hasEstimate, getDurationDays };
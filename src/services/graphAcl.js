@@ -0,0 +1,122 @@
+/**
+ * Graph ACL Service
+ * Who besides the owner may open a graph, and what they may do
+ *
+ * Graphs stay stored under their owner (user:{ownerId}:graph:{graphId});
+ * collaborators address them with the owner's ID.
+ *
+ * Redis Structure:
+ *   Key: acl:{ownerId}:{graphId}
+ *   Type: Hash (userId → role)
+ *
+ *   Key: shared:{userId}
+ *   Type: Hash (`${ownerId}:${graphId}` → JSON { ownerId, graphId, role, sharedAt })
+ */
+
+import redis from '../redis.js';
+import { logger } from '../utils/logger.js';
+
+export const Roles = {
+  OWNER: 'owner',
+  EDITOR: 'editor',
+  VIEWER: 'viewer'
+};
+
+const ROLE_RANK = {
+  [Roles.VIEWER]: 1,
+  [Roles.EDITOR]: 2,
+  [Roles.OWNER]: 3
+};
+
+/**
+ * Check whether a role includes the rights of another
+ * @param {string|null} role - Role held (null = no access)
+ * @param {string} required - Minimum role
+ */
+export function hasRole(role, required) {
+  return Boolean(role) && ROLE_RANK[role] >= ROLE_RANK[required];
+}
+
+class GraphAclService {
+  /**
+   * Get Redis key of a graph's ACL
+   */
+  getAclKey(ownerId, graphId) {
+    return `acl:${ownerId}:${graphId}`;
+  }
+
+  /**
+   * Get Redis key of the graphs shared with a user
+   */
+  getSharedKey(userId) {
+    return `shared:${userId}`;
+  }
+
+  /**
+   * Role of a user on a graph
+   * @returns {string|null} - One of Roles, null if the user has no access
+   */
+  async getRole(ownerId, graphId, userId) {
+    if (ownerId === userId) return Roles.OWNER;
+    return (await redis.hget(this.getAclKey(ownerId, graphId), userId)) || null;
+  }
+
+  /**
+   * Give a user (or change their) editor / viewer role
+   */
+  async grant(ownerId, graphId, userId, role) {
+    await redis.hset(this.getAclKey(ownerId, graphId), userId, role);
+    await redis.hset(this.getSharedKey(userId), `${ownerId}:${graphId}`, JSON.stringify({
+      ownerId,
+      graphId,
+      role,
+      sharedAt: new Date().toISOString()
+    }));
+    logger.success(`🤝 Graph ${ownerId}/${graphId} shared with ${userId} as ${role}`);
+  }
+
+  /**
+   * Take access away
+   * @returns {boolean} - false if the user had none
+   */
+  async revoke(ownerId, graphId, userId) {
+    const removed = await redis.hdel(this.getAclKey(ownerId, graphId), userId);
+    await redis.hdel(this.getSharedKey(userId), `${ownerId}:${graphId}`);
+    if (removed > 0) {
+      logger.info(`🚫 Access of ${userId} to ${ownerId}/${graphId} revoked`);
+    }
+    return removed > 0;
+  }
+
+  /**
+   * Collaborators of a graph (owner not included)
+   * @returns {Object[]} - [{ userId, role }]
+   */
+  async list(ownerId, graphId) {
+    const acl = await redis.hgetall(this.getAclKey(ownerId, graphId));
+    return Object.entries(acl).map(([userId, role]) => ({ userId, role }));
+  }
+
+  /**
+   * Graphs other users shared with this one
+   * @returns {Object[]} - [{ ownerId, graphId, role, sharedAt }]
+   */
+  async listSharedWith(userId) {
+    const data = await redis.hvals(this.getSharedKey(userId));
+    return data.map(item => JSON.parse(item));
+  }
+
+  /**
+   * Drop all access to a deleted graph
+   */
+  async clear(ownerId, graphId) {
+    const collaborators = await this.list(ownerId, graphId);
+    for (const { userId } of collaborators) {
+      await redis.hdel(this.getSharedKey(userId), `${ownerId}:${graphId}`);
+    }
+    await redis.del(this.getAclKey(ownerId, graphId));
+  }
+}
+
+// Export singleton instance
+export default new GraphAclService();
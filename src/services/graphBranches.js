@@ -0,0 +1,387 @@
+/**
+ * Graph Branches Service
+ * Named snapshots and branches ("what-if" copies) of a graph
+ *
+ * A branch is a regular graph under its own ID with provenance in `graph.origin`:
+ *   { graphId, version, forkedAt, name, kind: 'branch' | 'snapshot' }
+ * Snapshots are read-only; branches can be edited and merged back node by node.
+ *
+ * Redis Structure:
+ *   Key: branches:{userId}:{graphId}
+ *   Type: Hash (branchId → JSON { branchId, name, kind, originGraphId, originVersion, createdAt, mergedAt })
+ *
+ *   Key: branchbase:{userId}:{branchId}
+ *   Type: String (origin at fork / branch at last merge - the common ancestor for merges)
+ */
+
+import redis from '../redis.js';
+import { logger } from '../utils/logger.js';
+import { diffGraphs, flattenNodes } from './graphDiff.js';
+import { ProgressModes } from './progressRollup.js';
+
+// Node fields the server derives from other nodes: they follow whichever side changed them
+// and never conflict (origin's value wins if both did), the merged graph is rolled up on save.
+// In manual progress mode calculatedProgress is the user's and merges like any other field
+const DERIVED_FIELDS = new Set(['calculatedProgress']);
+
+export const BranchKinds = {
+  BRANCH: 'branch',
+  SNAPSHOT: 'snapshot'
+};
+
+class GraphBranchesService {
+  /**
+   * Get Redis key of a graph's branch index
+   */
+  getIndexKey(userId, graphId) {
+    return `branches:${userId}:${graphId}`;
+  }
+
+  /**
+   * Get Redis key of a branch's merge base
+   */
+  getBaseKey(userId, branchId) {
+    return `branchbase:${userId}:${branchId}`;
+  }
+
+  /**
+   * Register a forked branch under its origin
+   * @param {Object} meta - Branch metadata (see file header)
+   * @param {Object} base - Origin graph at fork time
+   */
+  async register(userId, meta, base) {
+    await redis.hset(this.getIndexKey(userId, meta.originGraphId), meta.branchId, JSON.stringify(meta));
+    await redis.set(this.getBaseKey(userId, meta.branchId), JSON.stringify(base));
+    logger.success(`🌿 ${meta.kind} ${meta.branchId} forked from ${meta.originGraphId} v${meta.originVersion}`);
+  }
+
+  /**
+   * List branches and snapshots of a graph, newest first
+   */
+  async list(userId, graphId) {
+    const data = await redis.hvals(this.getIndexKey(userId, graphId));
+    return data.map(item => JSON.parse(item)).sort((a, b) => b.createdAt - a.createdAt);
+  }
+
+  /**
+   * Get branch metadata
+   * @returns {Object|null}
+   */
+  async getMeta(userId, graphId, branchId) {
+    const data = await redis.hget(this.getIndexKey(userId, graphId), branchId);
+    return data ? JSON.parse(data) : null;
+  }
+
+  /**
+   * Get merge base (common ancestor of branch and origin)
+   * @returns {Object|null}
+   */
+  async getBase(userId, branchId) {
+    const data = await redis.get(this.getBaseKey(userId, branchId));
+    return data ? JSON.parse(data) : null;
+  }
+
+  /**
+   * Forget a branch (its graph was deleted)
+   */
+  async unregister(userId, originGraphId, branchId) {
+    await redis.hdel(this.getIndexKey(userId, originGraphId), branchId);
+    await redis.del(this.getBaseKey(userId, branchId));
+  }
+
+  /**
+   * Forget all branches of a deleted graph (the branch graphs themselves are kept)
+   */
+  async unregisterAll(userId, graphId) {
+    const branches = await this.list(userId, graphId);
+    const baseKeys = branches.map(meta => this.getBaseKey(userId, meta.branchId));
+    await redis.del(this.getIndexKey(userId, graphId), ...baseKeys);
+  }
+
+  /**
+   * Record a merge: the branch as merged becomes the new common ancestor,
+   * so later merges only bring over what changed on the branch after this one
+   * @param {Object} branch - Branch graph that was merged
+   * @param {number} mergedVersion - Origin version the merge produced
+   */
+  async markMerged(userId, meta, branch, mergedVersion) {
+    const updated = { ...meta, mergedAt: Date.now(), mergedVersion };
+    await redis.hset(this.getIndexKey(userId, meta.originGraphId), meta.branchId, JSON.stringify(updated));
+    await redis.set(this.getBaseKey(userId, meta.branchId), JSON.stringify(branch));
+    return updated;
+  }
+}
+
+/**
+ * Build the graph stored under the branch ID
+ * @returns {Object} - Deep copy of origin with provenance in `origin`
+ */
+export function createBranchGraph(origin, provenance) {
+  const { version, lastUpdated, ...content } = structuredClone(origin);
+  return {
+    ...content,
+    version: 0,
+    origin: provenance
+  };
+}
+
+/**
+ * Compare a branch with its origin since they forked
+ * @returns {Object} - { branchChanges, originChanges, conflicts }
+ */
+export function compareBranch(base, origin, branch) {
+  const { conflicts } = mergeBranch(base, origin, branch);
+  return {
+    branchChanges: diffGraphs(base, branch),
+    originChanges: diffGraphs(base, origin),
+    conflicts
+  };
+}
+
+/**
+ * Three-way merge of a branch into its origin, node by node
+ *
+ * Per node field: taken from the branch if only the branch changed it; a conflict if
+ * both sides changed it to different values (derived fields excepted, see DERIVED_FIELDS).
+ * Deleting a node on one side while the other side changed it is a conflict on field '*'.
+ * Edges merge the same way as whole objects.
+ *
+ * @param {Object} resolutions - { nodes: { [nodeId]: { [field|'*']: 'branch'|'origin' } },
+ *                                 edges: { [edgeId]: 'branch'|'origin' }, settings: 'branch'|'origin' }
+ * @returns {Object} - { graph: { nodes, edges, settings }, conflicts: [...] } - conflicts lists
+ *   only unresolved ones; graph is usable only when it's empty
+ */
+export function mergeBranch(base, origin, branch, resolutions = {}) {
+  const conflicts = [];
+  const nodeResolutions = resolutions.nodes || {};
+  const edgeResolutions = resolutions.edges || {};
+
+  const baseNodes = flattenNodes(base.nodes || []);
+  const originNodes = flattenNodes(origin.nodes || []);
+  const branchNodes = flattenNodes(branch.nodes || []);
+
+  // Start from origin and bring branch changes in
+  const merged = new Map();
+  originNodes.forEach((entry, nodeId) => {
+    merged.set(nodeId, { node: withoutChildren(entry.node), parentId: entry.parentId, index: entry.index });
+  });
+
+  const resolve = (nodeId, field) => nodeResolutions[nodeId]?.[field];
+  const conflict = (nodeId, field, values) => {
+    const choice = resolve(nodeId, field);
+    if (!choice) conflicts.push({ nodeId, field, ...values });
+    return choice;
+  };
+
+  const nodeIds = new Set([...baseNodes.keys(), ...originNodes.keys(), ...branchNodes.keys()]);
+  for (const nodeId of nodeIds) {
+    const b = baseNodes.get(nodeId);
+    const o = originNodes.get(nodeId);
+    const r = branchNodes.get(nodeId);
+
+    if (!b) {
+      // Added in branch only - bring it over
+      if (r && !o) {
+        merged.set(nodeId, { node: withoutChildren(r.node), parentId: r.parentId, index: r.index });
+      } else if (r && o) {
+        mergeFields(nodeId, {}, o.node, r.node, merged.get(nodeId).node, conflict);
+      }
+      continue;
+    }
+
+    if (!r && !o) continue;
+
+    if (!r) {
+      // Deleted in branch
+      if (!nodeChanged(b.node, o.node) ||
+          conflict(nodeId, '*', { base: 'exists', origin: 'changed', branch: 'deleted' }) === 'branch') {
+        merged.delete(nodeId);
+      }
+      continue;
+    }
+
+    if (!o) {
+      // Deleted in origin
+      if (nodeChanged(b.node, r.node) &&
+          conflict(nodeId, '*', { base: 'exists', origin: 'deleted', branch: 'changed' }) === 'branch') {
+        merged.set(nodeId, { node: withoutChildren(r.node), parentId: r.parentId, index: r.index });
+      }
+      continue;
+    }
+
+    const target = merged.get(nodeId);
+    mergeFields(nodeId, b.node, o.node, r.node, target.node, conflict);
+
+    // Placement: take the branch's parent/order unless origin moved it elsewhere too
+    const branchMoved = r.parentId !== b.parentId || r.index !== b.index;
+    const originMoved = o.parentId !== b.parentId;
+    if (branchMoved && r.parentId !== o.parentId && originMoved) {
+      const choice = conflict(nodeId, 'parentId', { base: b.parentId, origin: o.parentId, branch: r.parentId });
+      if (choice === 'branch') {
+        target.parentId = r.parentId;
+        target.index = r.index;
+      }
+    } else if (branchMoved) {
+      target.parentId = r.parentId;
+      target.index = r.index;
+    }
+  }
+
+  const edges = mergeEdges(base.edges || [], origin.edges || [], branch.edges || [], edgeResolutions, conflicts);
+
+  let settings = origin.settings || {};
+  const settingsChanged = !isEqual(base.settings || {}, branch.settings || {});
+  if (settingsChanged) {
+    if (isEqual(base.settings || {}, settings)) {
+      settings = branch.settings || {};
+    } else if (!isEqual(settings, branch.settings || {})) {
+      if (!resolutions.settings) {
+        conflicts.push({ nodeId: null, field: 'settings', base: base.settings, origin: settings, branch: branch.settings });
+      } else if (resolutions.settings === 'branch') {
+        settings = branch.settings || {};
+      }
+    }
+  }
+
+  const nodes = buildTree(merged);
+  const nodeExists = new Set(merged.keys());
+
+  return {
+    graph: {
+      nodes,
+      edges: edges.filter(edge => nodeExists.has(edge.source) && nodeExists.has(edge.target)),
+      settings
+    },
+    conflicts
+  };
+}
+
+/**
+ * Merge fields of one node into target (a copy of the origin node)
+ */
+function mergeFields(nodeId, baseNode, originNode, branchNode, target, conflict) {
+  const fields = new Set([...Object.keys(baseNode), ...Object.keys(originNode), ...Object.keys(branchNode)]);
+  fields.delete('children');
+
+  const manual = isManualProgress(originNode) || isManualProgress(branchNode);
+
+  for (const field of fields) {
+    const baseValue = baseNode[field];
+    const originValue = originNode[field];
+    const branchValue = branchNode[field];
+
+    if (isEqual(branchValue, baseValue) || isEqual(branchValue, originValue)) continue;
+
+    if (isEqual(originValue, baseValue) || ((manual || !DERIVED_FIELDS.has(field)) &&
+        conflict(nodeId, field, { base: baseValue ?? null, origin: originValue ?? null, branch: branchValue ?? null }) === 'branch')) {
+      if (branchValue === undefined) {
+        delete target[field];
+      } else {
+        target[field] = structuredClone(branchValue);
+      }
+    }
+  }
+}
+
+/**
+ * Three-way merge of edges as whole objects
+ */
+function mergeEdges(baseEdges, originEdges, branchEdges, resolutions, conflicts) {
+  const baseMap = new Map(baseEdges.map(edge => [edge.id, edge]));
+  const branchMap = new Map(branchEdges.map(edge => [edge.id, edge]));
+  const merged = new Map(originEdges.map(edge => [edge.id, edge]));
+
+  const edgeIds = new Set([...baseMap.keys(), ...merged.keys(), ...branchMap.keys()]);
+  for (const edgeId of edgeIds) {
+    const b = baseMap.get(edgeId);
+    const o = merged.get(edgeId);
+    const r = branchMap.get(edgeId);
+
+    if (isEqual(r, b) || isEqual(r, o)) continue;
+
+    if (isEqual(o, b) || resolutions[edgeId] === 'branch') {
+      if (r) merged.set(edgeId, r);
+      else merged.delete(edgeId);
+    } else if (!resolutions[edgeId]) {
+      conflicts.push({ edgeId, base: b || null, origin: o || null, branch: r || null });
+    }
+  }
+  return [...merged.values()];
+}
+
+/**
+ * Rebuild hierarchy from nodeId → { node, parentId, index }
+ * Nodes whose parent is gone (or that ended up in a parent cycle) become root nodes
+ */
+function buildTree(entries) {
+  const childrenOf = new Map();
+  entries.forEach((entry, nodeId) => {
+    const parentId = entry.parentId && entries.has(entry.parentId) ? entry.parentId : null;
+    if (!childrenOf.has(parentId)) childrenOf.set(parentId, []);
+    childrenOf.get(parentId).push({ nodeId, index: entry.index });
+  });
+
+  const placed = new Set();
+  const build = (parentId) => (childrenOf.get(parentId) || [])
+    .sort((a, b) => a.index - b.index)
+    .filter(({ nodeId }) => !placed.has(nodeId))
+    .map(({ nodeId }) => {
+      placed.add(nodeId);
+      return { ...entries.get(nodeId).node, children: build(nodeId) };
+    });
+
+  const roots = build(null);
+
+  // Parent cycles (moved under each other on both sides) are unreachable from the root
+  entries.forEach((entry, nodeId) => {
+    if (!placed.has(nodeId)) {
+      placed.add(nodeId);
+      roots.push({ ...entry.node, children: build(nodeId) });
+    }
+  });
+  return roots;
+}
+
+/**
+ * Whether any field (other than children and derived ones) differs
+ */
+function nodeChanged(a, b) {
+  const manual = isManualProgress(a) || isManualProgress(b);
+  const [fieldsA, fieldsB] = [a, b].map(node => Object.fromEntries(
+    Object.entries(withoutChildren(node)).filter(([field]) => manual || !DERIVED_FIELDS.has(field))
+  ));
+  return !isEqual(fieldsA, fieldsB);
+}
+
+function isManualProgress(node) {
+  return node.progressMode === ProgressModes.MANUAL;
+}
+
+/**
+ * Deep equality for JSON data, regardless of key order
+ */
+function isEqual(a, b) {
+  return JSON.stringify(canonical(a)) === JSON.stringify(canonical(b));
+}
+
+/**
+ * Copy of JSON data with object keys sorted
+ */
+function canonical(value) {
+  if (Array.isArray(value)) return value.map(canonical);
+  if (value && typeof value === 'object') {
+    return Object.fromEntries(Object.keys(value).sort().map(key => [key, canonical(value[key])]));
+  }
+  return value;
+}
+
+/**
+ * Shallow copy of a node without its subtree
+ */
+function withoutChildren(node) {
+  const { children, ...fields } = node;
+  return fields;
+}
+
+// Export singleton instance
+export default new GraphBranchesService();
@@ -0,0 +1,78 @@
+/**
+ * Graph Cache Service
+ * Keeps the live graph object of subscribed graphs in memory, so operations
+ * don't JSON.parse the whole graph and rebuild its NodeIndex every time
+ *
+ * The cached object IS the working copy: operations mutate it and save it.
+ * It stays coherent because:
+ *   - operations on one graph run one at a time (operationHandler)
+ *   - any failed or conflicting save drops the entry (reloaded from Redis next time)
+ *   - writers that don't use the cached object (REST saves, habit job,
+ *     other instances) drop the entry
+ *   - the entry is evicted when the last local subscriber leaves
+ *
+ * Entries go together with the graph's NodeIndex (key `${userId}:${graphId}`)
+ */
+
+import { logger } from '../utils/logger.js';
+import { clearNodeIndex } from './nodeIndex.js';
+
+class GraphCacheService {
+  constructor() {
+    /** @type {Map<string, Object>} `${userId}:${graphId}` → graph */
+    this.graphs = new Map();
+  }
+
+  /**
+   * Get cache key (same as the NodeIndex key)
+   */
+  getKey(userId, graphId) {
+    return `${userId}:${graphId}`;
+  }
+
+  /**
+   * Get cached graph
+   * @returns {Object|null}
+   */
+  get(userId, graphId) {
+    return this.graphs.get(this.getKey(userId, graphId)) || null;
+  }
+
+  /**
+   * Cache a freshly loaded graph (its NodeIndex must already be built)
+   */
+  set(userId, graphId, graph) {
+    this.graphs.set(this.getKey(userId, graphId), graph);
+  }
+
+  /**
+   * Check whether this exact object is the cached one
+   */
+  isCached(userId, graphId, graph) {
+    return this.graphs.get(this.getKey(userId, graphId)) === graph;
+  }
+
+  /**
+   * Drop cached graph and its NodeIndex
+   * @param {number|null} version - Version known to be stored; a cached graph already
+   *   at (or past) it is kept. Without it the entry is always dropped.
+   */
+  invalidate(userId, graphId, version = null) {
+    const key = this.getKey(userId, graphId);
+    const cached = this.graphs.get(key);
+
+    if (cached && version !== null && (cached.version || 0) >= version) {
+      return false;
+    }
+
+    this.graphs.delete(key);
+    clearNodeIndex(key);
+    if (cached) {
+      logger.debug(`🗑️ Graph cache invalidated: ${key}`);
+    }
+    return Boolean(cached);
+  }
+}
+
+// Export singleton instance
+export default new GraphCacheService();
@@ -0,0 +1,224 @@
+/**
+ * Graph Catalog Service
+ * Which graphs each user has, so listings and daily jobs don't rely on fixed IDs
+ *
+ * Redis Structure:
+ *   Key: catalog:users
+ *   Type: Set (userIds that have at least one graph)
+ *
+ *   Key: catalog:{userId}
+ *   Type: Hash (graphId → JSON { graphId, title, createdAt, archived, originGraphId })
+ *
+ *   Key: catalog:{userId}:saves
+ *   Type: Hash (graphId → JSON { updatedAt, nodeCount }) - read over the entry's own fields
+ *
+ * The save script (saveGraphIfVersion in redis.js) creates the entry when a graph is created
+ * and updates its save fields on every save, with the arguments from saveArguments(); it
+ * refuses other saves of graphs without an entry. Graphs saved before the catalog existed
+ * (also under legacy graph:{graphId} keys) are picked up by backfill() on startup.
+ */
+
+import redis from '../redis.js';
+import { logger } from '../utils/logger.js';
+import { DEFAULT_USER_ID } from './graphService.js';
+
+const USERS_KEY = 'catalog:users';
+const GRAPH_KEY_PATTERN = /^user:([^:]+):graph:(.+)$/;
+// Graphs saved before per-user keys (see getGraph in server.js)
+const LEGACY_KEY_PATTERN = /^graph:([^:]+)$/;
+// Keys per SCAN call of the backfill
+const SCAN_COUNT = 500;
+
+// IDs of new graphs (and branches) - they end up in Redis keys and channel names
+export const GRAPH_ID_PATTERN = /^[A-Za-z0-9_-]{1,64}$/;
+
+class GraphCatalogService {
+  /**
+   * Get Redis key of a user's catalog
+   */
+  getRedisKey(userId) {
+    return `catalog:${userId}`;
+  }
+
+  /**
+   * Get Redis key of the save fields of a user's graphs
+   */
+  getSavesKey(userId) {
+    return `catalog:${userId}:saves`;
+  }
+
+  /**
+   * Get catalog entry
+   * @returns {Object|null}
+   */
+  async get(userId, graphId) {
+    const [data, saves] = await Promise.all([
+      redis.hget(this.getRedisKey(userId), graphId),
+      redis.hget(this.getSavesKey(userId), graphId)
+    ]);
+    return data ? { ...JSON.parse(data), ...(saves ? JSON.parse(saves) : {}) } : null;
+  }
+
+  /**
+   * Keys and arguments for recording a save in the catalog inside the save script
+   * @param {Object} graph - Graph as saved (lastUpdated set)
+   * @returns {Object} - { keys: [entries, saves, users], args: [graphId, userId, new entry JSON, save fields JSON] }
+   */
+  saveArguments(userId, graphId, graph) {
+    const updatedAt = graph.lastUpdated || new Date().toISOString();
+    const entry = {
+      graphId,
+      title: graph.origin?.name || graphId,
+      createdAt: updatedAt,
+      archived: false
+    };
+    if (graph.origin?.graphId) {
+      entry.originGraphId = graph.origin.graphId;
+    }
+    const saves = { updatedAt, nodeCount: countNodes(graph.nodes || []) };
+
+    return {
+      keys: [this.getRedisKey(userId), this.getSavesKey(userId), USERS_KEY],
+      args: [graphId, userId, JSON.stringify(entry), JSON.stringify(saves)]
+    };
+  }
+
+  /**
+   * Change title / archived flag
+   * @param {Object} fields - { title, archived }
+   * @returns {Object|null} - Updated entry or null if the graph isn't in the catalog
+   */
+  async update(userId, graphId, fields) {
+    const entry = await this.get(userId, graphId);
+    if (!entry) return null;
+
+    if (fields.title !== undefined) entry.title = fields.title;
+    if (fields.archived !== undefined) entry.archived = Boolean(fields.archived);
+
+    await this.write(userId, entry);
+    return entry;
+  }
+
+  /**
+   * Remove graph from the catalog
+   * @returns {boolean} - false if it wasn't there
+   */
+  async remove(userId, graphId) {
+    const removed = await redis.hdel(this.getRedisKey(userId), graphId);
+    await redis.hdel(this.getSavesKey(userId), graphId);
+    return removed > 0;
+  }
+
+  /**
+   * List a user's graphs, most recently updated first
+   * @param {Object} options - { includeArchived }
+   */
+  async list(userId, options = {}) {
+    const [data, saves] = await Promise.all([
+      redis.hvals(this.getRedisKey(userId)),
+      redis.hgetall(this.getSavesKey(userId))
+    ]);
+    return data
+      .map((item) => {
+        const entry = JSON.parse(item);
+        return saves[entry.graphId] ? { ...entry, ...JSON.parse(saves[entry.graphId]) } : entry;
+      })
+      .filter(entry => options.includeArchived || !entry.archived)
+      .sort((a, b) => (b.updatedAt || '').localeCompare(a.updatedAt || ''));
+  }
+
+  /**
+   * Every user's non-archived graphs (for daily jobs)
+   * @returns {Object[]} - [{ userId, graphId }]
+   */
+  async listAll() {
+    const userIds = await redis.smembers(USERS_KEY);
+    const result = [];
+    for (const userId of userIds) {
+      const entries = await this.list(userId);
+      entries.forEach(entry => result.push({ userId, graphId: entry.graphId }));
+    }
+    return result;
+  }
+
+  /**
+   * Add graphs stored before the catalog existed
+   * Walks the keyspace with SCAN - KEYS would block Redis on a large database
+   * @returns {number} - Number of entries added
+   */
+  async backfill() {
+    let added = 0;
+
+    for (const pattern of ['user:*:graph:*', 'graph:*']) {
+      let cursor = '0';
+      do {
+        const [next, keys] = await redis.scan(cursor, 'MATCH', pattern, 'COUNT', SCAN_COUNT);
+        cursor = next;
+
+        for (const key of keys) {
+          if (await this.backfillKey(key)) added++;
+        }
+      } while (cursor !== '0');
+    }
+
+    if (added > 0) {
+      logger.success(`📚 Graph catalog backfilled with ${added} graphs`);
+    }
+    return added;
+  }
+
+  /**
+   * Add the graph stored under a key unless it's listed already
+   * @returns {boolean} - Whether an entry was added
+   */
+  async backfillKey(key) {
+    const match = key.match(GRAPH_KEY_PATTERN);
+    const legacy = key.match(LEGACY_KEY_PATTERN);
+    if ((!match && !legacy) || key.endsWith(':version')) return false;
+
+    const data = await redis.get(key);
+    if (!data) return false;
+
+    const graph = JSON.parse(data);
+    // A legacy graph is listed under its owner, whose first save moves it to a per-user key
+    const [userId, graphId] = match ? [match[1], match[2]] : [graph.userId || DEFAULT_USER_ID, legacy[1]];
+    if (await redis.hexists(this.getRedisKey(userId), graphId)) return false;
+
+    const createdAt = graph.lastUpdated || new Date().toISOString();
+    const entry = {
+      graphId,
+      title: graph.origin?.name || graphId,
+      createdAt,
+      updatedAt: createdAt,
+      nodeCount: countNodes(graph.nodes || []),
+      archived: false
+    };
+    if (graph.origin?.graphId) {
+      entry.originGraphId = graph.origin.graphId;
+    }
+    await this.write(userId, entry);
+    return true;
+  }
+
+  /**
+   * Store entry and register the user
+   */
+  async write(userId, entry) {
+    await redis.hset(this.getRedisKey(userId), entry.graphId, JSON.stringify(entry));
+    await redis.sadd(USERS_KEY, userId);
+  }
+}
+
+/**
+ * Count nodes in hierarchy
+ * Skips broken children (IDs, non-arrays) - see graphIntegrity.js
+ */
+function countNodes(nodes) {
+  if (!Array.isArray(nodes)) return 0;
+  return nodes.reduce((count, node) => (
+    node && typeof node === 'object' ? count + 1 + countNodes(node.children) : count
+  ), 0);
+}
+
+// Export singleton instance
+export default new GraphCatalogService();
@@ -0,0 +1,218 @@
+/**
+ * Graph Diff - Structural comparison of two graph states
+ * Nodes and edges are matched by ID across the whole hierarchy
+ *
+ * Entries (in this order):
+ *   { type: 'graph_changed', changes: { viewport|settings: { from, to } } }
+ *   { type: 'node_removed', nodeId, parentId }
+ *   { type: 'node_added', nodeId, parentId, index, node }       (node without children,
+ *                                                                parents before children)
+ *   { type: 'node_moved', nodeId, from: { parentId, index }, to: { parentId, index } }
+ *   { type: 'node_changed', nodeId, changes: { field: { from, to } } }
+ *   { type: 'edge_removed', edgeId, edge }
+ *   { type: 'edge_added', edgeId, edge }
+ *
+ * An edge whose ID stays but whose content changes is reported as removed + added.
+ * node_moved covers both a new parent and a new place among the siblings that exist in
+ * both states (siblings shifted by adds/removes are not reported as moved).
+ */
+
+const GRAPH_FIELDS = ['viewport', 'settings'];
+
+/**
+ * Compare two graphs
+ * @param {Object} from - Old graph state
+ * @param {Object} to - New graph state
+ * @returns {Object[]} - Diff entries (empty if the states are equal)
+ */
+export function diffGraphs(from, to) {
+  const entries = [];
+
+  const graphChanges = diffFields(from, to, GRAPH_FIELDS);
+  if (graphChanges) {
+    entries.push({ type: 'graph_changed', changes: graphChanges });
+  }
+
+  const fromNodes = flattenNodes(from.nodes || []);
+  const toNodes = flattenNodes(to.nodes || []);
+
+  fromNodes.forEach((entry, nodeId) => {
+    if (!toNodes.has(nodeId)) {
+      entries.push({ type: 'node_removed', nodeId, parentId: entry.parentId });
+    }
+  });
+
+  // flattenNodes is pre-order, so parents are added before their children
+  toNodes.forEach((entry, nodeId) => {
+    if (!fromNodes.has(nodeId)) {
+      entries.push({
+        type: 'node_added',
+        nodeId,
+        parentId: entry.parentId,
+        index: entry.index,
+        node: withoutChildren(entry.node)
+      });
+    }
+  });
+
+  const moved = findMovedNodes(fromNodes, toNodes);
+  toNodes.forEach((entry, nodeId) => {
+    if (!moved.has(nodeId)) return;
+    const previous = fromNodes.get(nodeId);
+    entries.push({
+      type: 'node_moved',
+      nodeId,
+      from: { parentId: previous.parentId, index: previous.index },
+      to: { parentId: entry.parentId, index: entry.index }
+    });
+  });
+
+  toNodes.forEach((entry, nodeId) => {
+    const previous = fromNodes.get(nodeId);
+    if (!previous) return;
+
+    const fields = new Set([...Object.keys(previous.node), ...Object.keys(entry.node)]);
+    fields.delete('children');
+    const changes = diffFields(previous.node, entry.node, [...fields]);
+    if (changes) {
+      entries.push({ type: 'node_changed', nodeId, changes });
+    }
+  });
+
+  const fromEdges = new Map((from.edges || []).map(edge => [edge.id, edge]));
+  const toEdges = new Map((to.edges || []).map(edge => [edge.id, edge]));
+
+  fromEdges.forEach((edge, edgeId) => {
+    const next = toEdges.get(edgeId);
+    if (!next || !isEqual(edge, next)) {
+      entries.push({ type: 'edge_removed', edgeId, edge });
+    }
+  });
+  toEdges.forEach((edge, edgeId) => {
+    const previous = fromEdges.get(edgeId);
+    if (!previous || !isEqual(previous, edge)) {
+      entries.push({ type: 'edge_added', edgeId, edge });
+    }
+  });
+
+  return entries;
+}
+
+/**
+ * Count diff entries per type
+ * @returns {Object} - { node_added: 2, edge_removed: 1, ... }
+ */
+export function summarizeDiff(entries) {
+  const summary = {};
+  for (const entry of entries) {
+    summary[entry.type] = (summary[entry.type] || 0) + 1;
+  }
+  return summary;
+}
+
+/**
+ * Flatten hierarchy in pre-order
+ * Skips broken children (IDs, non-arrays) so broken graphs can still be diffed and repaired
+ * @returns {Map<string, Object>} - nodeId → { node, parentId, index }
+ */
+export function flattenNodes(nodes, parentId = null, result = new Map()) {
+  if (!Array.isArray(nodes)) return result;
+  nodes.forEach((node, index) => {
+    if (!node || typeof node !== 'object') return;
+    result.set(node.id, { node, parentId, index });
+    if (node.children && node.children.length > 0) {
+      flattenNodes(node.children, node.id, result);
+    }
+  });
+  return result;
+}
+
+/**
+ * Nodes with a new parent, or out of order among siblings present in both states
+ * Within one parent the longest run of children that kept their relative order
+ * stays put - everything else moved
+ */
+function findMovedNodes(fromNodes, toNodes) {
+  const moved = new Set();
+  const keptByParent = new Map();
+
+  toNodes.forEach((entry, nodeId) => {
+    const previous = fromNodes.get(nodeId);
+    if (!previous) return;
+
+    if (previous.parentId !== entry.parentId) {
+      moved.add(nodeId);
+      return;
+    }
+    if (!keptByParent.has(entry.parentId)) keptByParent.set(entry.parentId, []);
+    keptByParent.get(entry.parentId).push({ nodeId, oldIndex: previous.index, newIndex: entry.index });
+  });
+
+  keptByParent.forEach((siblings) => {
+    siblings.sort((a, b) => a.newIndex - b.newIndex);
+    const stable = longestIncreasingRun(siblings.map(sibling => sibling.oldIndex));
+    siblings.forEach((sibling, i) => {
+      if (!stable.has(i)) moved.add(sibling.nodeId);
+    });
+  });
+
+  return moved;
+}
+
+/**
+ * Positions of a longest strictly increasing subsequence (O(n log n))
+ * @returns {Set<number>}
+ */
+function longestIncreasingRun(values) {
+  const tails = [];        // index into values of the smallest tail for each length
+  const previous = [];     // back-pointers
+
+  values.forEach((value, i) => {
+    let low = 0;
+    let high = tails.length;
+    while (low < high) {
+      const mid = (low + high) >> 1;
+      if (values[tails[mid]] < value) low = mid + 1;
+      else high = mid;
+    }
+    previous[i] = low > 0 ? tails[low - 1] : -1;
+    tails[low] = i;
+  });
+
+  const result = new Set();
+  for (let i = tails.length > 0 ? tails[tails.length - 1] : -1; i !== -1; i = previous[i]) {
+    result.add(i);
+  }
+  return result;
+}
+
+/**
+ * Changed fields between two objects
+ * @returns {Object|null} - { field: { from, to } } or null if nothing changed
+ */
+function diffFields(from, to, fields) {
+  const changes = {};
+  for (const field of fields) {
+    if (!isEqual(from[field], to[field])) {
+      changes[field] = { from: from[field] ?? null, to: to[field] ?? null };
+    }
+  }
+  return Object.keys(changes).length > 0 ? changes : null;
+}
+
+/**
+ * Deep equality for JSON data
+ */
+function isEqual(a, b) {
+  return JSON.stringify(a) === JSON.stringify(b);
+}
+
+/**
+ * Shallow copy of a node without its subtree
+ */
+function withoutChildren(node) {
+  const { children, ...fields } = node;
+  return fields;
+}
+
+export default { diffGraphs, summarizeDiff, flattenNodes };
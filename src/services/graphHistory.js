@@ -0,0 +1,211 @@
+/**
+ * Graph History Service
+ * Full copies of every saved graph version, thinned out as they get older
+ *
+ * Redis Structure:
+ *   Key: history:{userId}:{graphId}:{timestamp}
+ *   Type: String (graph JSON as saved)
+ *   timestamp is the save time in ms, moved on by a few ms if another version of the
+ *   graph already has it (saves within the same millisecond)
+ *
+ *   Key: history:{userId}:{graphId}
+ *   Type: Sorted Set (score = timestamp)
+ *   Value: JSON { timestamp, version, nodeCount }
+ *
+ * Retention (default, override with HISTORY_RETENTION env as JSON array of
+ * { maxAgeHours, intervalHours }): every version for an hour, the last version
+ * of each hour for a day, the last version of each day for 30 days.
+ */
+
+import redis from '../redis.js';
+import { logger } from '../utils/logger.js';
+
+const HOUR = 60 * 60 * 1000;
+
+const DEFAULT_RETENTION = [
+  { maxAgeHours: 1, intervalHours: 0 },
+  { maxAgeHours: 24, intervalHours: 1 },
+  { maxAgeHours: 30 * 24, intervalHours: 24 }
+];
+
+// Thinning scans the whole index - don't run it on every save
+const THIN_INTERVAL_MS = 5 * 60 * 1000;
+
+/**
+ * Read retention tiers from HISTORY_RETENTION, falling back to the defaults
+ */
+function loadRetention() {
+  if (!process.env.HISTORY_RETENTION) return DEFAULT_RETENTION;
+
+  try {
+    const tiers = JSON.parse(process.env.HISTORY_RETENTION);
+    const valid = Array.isArray(tiers) && tiers.length > 0 && tiers.every(tier =>
+      Number.isFinite(tier.maxAgeHours) && Number.isFinite(tier.intervalHours)
+    );
+    if (valid) {
+      return [...tiers].sort((a, b) => a.maxAgeHours - b.maxAgeHours);
+    }
+  } catch (error) {
+    // fall through to defaults
+  }
+  logger.warn('Invalid HISTORY_RETENTION, using default retention');
+  return DEFAULT_RETENTION;
+}
+
+class GraphHistoryService {
+  constructor() {
+    this.retention = loadRetention();
+
+    /** @type {Map<string, number>} index key → last thinning time */
+    this.lastThinned = new Map();
+  }
+
+  /**
+   * Get Redis key of the version index
+   */
+  getIndexKey(userId, graphId) {
+    return `history:${userId}:${graphId}`;
+  }
+
+  /**
+   * Get Redis key of one stored version
+   */
+  getVersionKey(userId, graphId, timestamp) {
+    return `history:${userId}:${graphId}:${timestamp}`;
+  }
+
+  /**
+   * Longest retention - stored versions expire after it even if thinning never runs
+   */
+  getMaxAgeSeconds() {
+    const maxAgeHours = this.retention[this.retention.length - 1].maxAgeHours;
+    return Math.ceil(maxAgeHours * HOUR / 1000);
+  }
+
+  /**
+   * Store a saved graph version
+   * @param {Object} graph - Graph as saved (version already bumped)
+   * @param {string} graphData - JSON the graph was saved as
+   */
+  async record(userId, graphId, graph, graphData) {
+    try {
+      const timestamp = await this.store(userId, graphId, graphData);
+      const indexKey = this.getIndexKey(userId, graphId);
+      const entry = JSON.stringify({
+        timestamp,
+        version: graph.version,
+        nodeCount: countNodes(graph.nodes || [])
+      });
+
+      await redis.zadd(indexKey, timestamp, entry);
+      await redis.expire(indexKey, this.getMaxAgeSeconds());
+
+      const lastThinned = this.lastThinned.get(indexKey) || 0;
+      if (timestamp - lastThinned > THIN_INTERVAL_MS) {
+        this.lastThinned.set(indexKey, timestamp);
+        await this.thin(userId, graphId, timestamp);
+      }
+      return true;
+    } catch (error) {
+      logger.error('Failed to record graph history:', error);
+      return false;
+    }
+  }
+
+  /**
+   * Store graph JSON under the first free timestamp from now on (SET NX, so instances can't collide)
+   * @returns {number} - Timestamp the version is stored under
+   */
+  async store(userId, graphId, graphData) {
+    for (let timestamp = Date.now(); ; timestamp++) {
+      const key = this.getVersionKey(userId, graphId, timestamp);
+      if (await redis.set(key, graphData, 'EX', this.getMaxAgeSeconds(), 'NX')) {
+        return timestamp;
+      }
+    }
+  }
+
+  /**
+   * Delete versions the retention tiers don't keep
+   * Within a tier the newest version of every interval survives
+   * @returns {number} - Number of versions deleted
+   */
+  async thin(userId, graphId, now = Date.now()) {
+    const indexKey = this.getIndexKey(userId, graphId);
+    const entries = (await redis.zrange(indexKey, 0, -1)).map(item => ({ raw: item, ...JSON.parse(item) }));
+
+    // Newest first, so the first version seen in a bucket is the one kept
+    const keptBuckets = new Set();
+    const expired = [];
+
+    for (const entry of entries.reverse()) {
+      const age = now - entry.timestamp;
+      const tierIndex = this.retention.findIndex(tier => age <= tier.maxAgeHours * HOUR);
+
+      if (tierIndex === -1) {
+        expired.push(entry);
+        continue;
+      }
+
+      const { intervalHours } = this.retention[tierIndex];
+      if (intervalHours <= 0) continue;
+
+      const bucket = `${tierIndex}:${Math.floor(entry.timestamp / (intervalHours * HOUR))}`;
+      if (keptBuckets.has(bucket)) {
+        expired.push(entry);
+      } else {
+        keptBuckets.add(bucket);
+      }
+    }
+
+    if (expired.length > 0) {
+      await redis.zrem(indexKey, ...expired.map(entry => entry.raw));
+      await redis.del(...expired.map(entry => this.getVersionKey(userId, graphId, entry.timestamp)));
+      logger.debug(`🗂️ History of ${graphId} thinned: ${expired.length} versions removed`);
+    }
+    return expired.length;
+  }
+
+  /**
+   * List stored versions, newest first
+   * @returns {Object[]} - [{ timestamp, version, nodeCount }]
+   */
+  async list(userId, graphId, limit = 100) {
+    const data = await redis.zrevrange(this.getIndexKey(userId, graphId), 0, limit - 1);
+    return data.map(item => JSON.parse(item));
+  }
+
+  /**
+   * Get one stored version
+   * @returns {Object|null} - Graph or null if it doesn't exist (anymore)
+   */
+  async get(userId, graphId, timestamp) {
+    const data = await redis.get(this.getVersionKey(userId, graphId, timestamp));
+    return data ? JSON.parse(data) : null;
+  }
+
+  /**
+   * Delete all stored versions (graph deleted)
+   */
+  async clear(userId, graphId) {
+    const indexKey = this.getIndexKey(userId, graphId);
+    const entries = (await redis.zrange(indexKey, 0, -1)).map(item => JSON.parse(item));
+    const keys = entries.map(entry => this.getVersionKey(userId, graphId, entry.timestamp));
+    await redis.del(indexKey, ...keys);
+    this.lastThinned.delete(indexKey);
+  }
+}
+
+/**
+ * Count nodes in hierarchy
+ * Skips broken children (IDs, non-arrays) - see graphIntegrity.js
+ */
+function countNodes(nodes) {
+  if (!Array.isArray(nodes)) return 0;
+  return nodes.reduce((count, node) => (
+    node && typeof node === 'object' ? count + 1 + countNodes(node.children) : count
+  ), 0);
+}
+
+// Export singleton instance
+export default new GraphHistoryService();
@@ -0,0 +1,394 @@
+/**
+ * Graph Integrity - Finds and repairs broken graph data
+ * Replaces the one-off fixer scripts (duplicate edges, children stored as IDs, ...)
+ *
+ * Finding: { type, message, nodeId?, edgeId?, linkedNodeId?, direction?, fix }
+ *   fix: what repair does about it
+ *
+ * Types, in the order repair handles them (structure first, derived fields last):
+ *   invalid_children            children is not an array
+ *   children_as_ids             children holds node IDs instead of node objects
+ *   duplicate_node_id           the same node ID appears more than once in the tree
+ *   duplicate_edge_id           the same edge ID appears more than once
+ *   dangling_edge               edge source/target doesn't exist
+ *   dangling_link               linkedNodeIds points at a missing node or the node itself
+ *   asymmetric_link             A links B downstream but B lacks A upstream (or vice versa)
+ *   subtype_mismatch            simple node with children, or container subtype without any
+ *   missing_calculated_progress node has no calculatedProgress (snapshots skip it)
+ */
+
+import { calculateNodeProgress, promoteParentSubtype, demoteParentSubtype } from './graphService.js';
+
+const MIRROR = { upstream: 'downstream', downstream: 'upstream' };
+const CONTAINER_SUBTYPES = { dao: 'withChildren', fundamental: 'category' };
+
+/**
+ * Call visit for every node object in the tree (pre-order)
+ * Tolerates broken children (IDs, non-arrays)
+ */
+function walk(nodes, visit) {
+  if (!Array.isArray(nodes)) return;
+  for (const node of nodes) {
+    if (!node || typeof node !== 'object') continue;
+    visit(node);
+    walk(node.children, visit);
+  }
+}
+
+/**
+ * First node object per ID
+ * @returns {Map<string, Object>}
+ */
+function indexNodes(graph) {
+  const nodes = new Map();
+  walk(graph.nodes, (node) => {
+    if (!nodes.has(node.id)) nodes.set(node.id, node);
+  });
+  return nodes;
+}
+
+function getLinks(node, direction) {
+  const links = node.linkedNodeIds?.[direction];
+  return Array.isArray(links) ? links : [];
+}
+
+/**
+ * Checks - detect(graph) returns findings, repair(graph) fixes them in place
+ */
+const CHECKS = [
+  {
+    type: 'invalid_children',
+    detect(graph) {
+      const findings = [];
+      walk(graph.nodes, (node) => {
+        if (node.children !== undefined && !Array.isArray(node.children)) {
+          findings.push({
+            nodeId: node.id,
+            message: `Node ${node.id} has ${typeof node.children} children instead of a list`,
+            fix: 'Reset children to an empty list'
+          });
+        }
+      });
+      return findings;
+    },
+    repair(graph) {
+      walk(graph.nodes, (node) => {
+        if (node.children !== undefined && !Array.isArray(node.children)) node.children = [];
+      });
+    }
+  },
+  {
+    type: 'children_as_ids',
+    detect(graph) {
+      const nodes = indexNodes(graph);
+      const findings = [];
+      walk(graph.nodes, (node) => {
+        (Array.isArray(node.children) ? node.children : [])
+          .filter(child => typeof child === 'string')
+          .forEach((childId) => {
+            findings.push({
+              nodeId: node.id,
+              linkedNodeId: childId,
+              message: `Node ${node.id} lists child ${childId} by ID instead of the node itself`,
+              fix: nodes.has(childId) ? `Move node ${childId} under ${node.id}` : 'Remove the reference'
+            });
+          });
+      });
+      return findings;
+    },
+    repair(graph) {
+      // Collect first - moving nodes reshapes the arrays a walk would be iterating
+      const parents = [];
+      walk(graph.nodes, (node) => {
+        if (Array.isArray(node.children) && node.children.some(child => typeof child === 'string')) {
+          parents.push(node);
+        }
+      });
+
+      const claimed = new Set();
+      parents.forEach((node) => {
+        node.children = node.children.flatMap((child) => {
+          if (typeof child !== 'string') return [child];
+          const target = indexNodes(graph).get(child);
+          // A node is moved once, and never under itself or its own descendant
+          if (!target || claimed.has(child) || isInSubtree(target, node)) return [];
+          claimed.add(child);
+          detach(graph, target);
+          return [target];
+        });
+      });
+    }
+  },
+  {
+    type: 'duplicate_node_id',
+    detect(graph) {
+      const counts = new Map();
+      walk(graph.nodes, node => counts.set(node.id, (counts.get(node.id) || 0) + 1));
+      return [...counts]
+        .filter(([, count]) => count > 1)
+        .map(([nodeId, count]) => ({
+          nodeId,
+          message: `Node ID ${nodeId} appears ${count} times`,
+          fix: 'Keep the first copy; children of the other copies take their place'
+        }));
+    },
+    repair(graph) {
+      const seen = new Set();
+      // Pre-order, so a parent is kept over a copy among its descendants
+      const dedupe = nodes => nodes.flatMap((node) => {
+        if (!node || typeof node !== 'object') return [node];
+        const isCopy = seen.has(node.id);
+        seen.add(node.id);
+        const children = Array.isArray(node.children) ? dedupe(node.children) : node.children;
+        if (isCopy) return Array.isArray(children) ? children : [];
+        if (Array.isArray(children)) node.children = children;
+        return [node];
+      });
+      graph.nodes = dedupe(graph.nodes || []);
+    }
+  },
+  {
+    type: 'duplicate_edge_id',
+    detect(graph) {
+      const counts = new Map();
+      (graph.edges || []).forEach(edge => counts.set(edge.id, (counts.get(edge.id) || 0) + 1));
+      return [...counts]
+        .filter(([, count]) => count > 1)
+        .map(([edgeId, count]) => ({
+          edgeId,
+          message: `Edge ID ${edgeId} appears ${count} times`,
+          fix: 'Keep the first copy'
+        }));
+    },
+    repair(graph) {
+      const seen = new Set();
+      graph.edges = (graph.edges || []).filter(edge => !seen.has(edge.id) && seen.add(edge.id));
+    }
+  },
+  {
+    type: 'dangling_edge',
+    detect(graph) {
+      const nodes = indexNodes(graph);
+      return (graph.edges || []).flatMap((edge) => {
+        const missing = [edge.source, edge.target].find(id => !nodes.has(id));
+        return missing === undefined ? [] : [{
+          edgeId: edge.id,
+          nodeId: missing,
+          message: `Edge ${edge.id} points to missing node ${missing}`,
+          fix: 'Remove the edge'
+        }];
+      });
+    },
+    repair(graph) {
+      const nodes = indexNodes(graph);
+      graph.edges = (graph.edges || []).filter(edge => nodes.has(edge.source) && nodes.has(edge.target));
+    }
+  },
+  {
+    type: 'dangling_link',
+    detect(graph) {
+      const nodes = indexNodes(graph);
+      const findings = [];
+      walk(graph.nodes, (node) => {
+        for (const direction of Object.keys(MIRROR)) {
+          getLinks(node, direction)
+            .filter(linkedId => linkedId === node.id || !nodes.has(linkedId))
+            .forEach(linkedId => findings.push({
+              nodeId: node.id,
+              linkedNodeId: linkedId,
+              direction,
+              message: linkedId === node.id
+                ? `Node ${node.id} links to itself (${direction})`
+                : `Node ${node.id} links to missing node ${linkedId} (${direction})`,
+              fix: 'Remove the link'
+            }));
+        }
+      });
+      return findings;
+    },
+    repair(graph) {
+      const nodes = indexNodes(graph);
+      walk(graph.nodes, (node) => {
+        for (const direction of Object.keys(MIRROR)) {
+          if (!node.linkedNodeIds?.[direction]) continue;
+          node.linkedNodeIds[direction] = getLinks(node, direction)
+            .filter(linkedId => linkedId !== node.id && nodes.has(linkedId));
+        }
+      });
+    }
+  },
+  {
+    type: 'asymmetric_link',
+    detect(graph) {
+      const nodes = indexNodes(graph);
+      const findings = [];
+      walk(graph.nodes, (node) => {
+        for (const [direction, mirror] of Object.entries(MIRROR)) {
+          getLinks(node, direction).forEach((linkedId) => {
+            const other = nodes.get(linkedId);
+            if (!other || other === node || getLinks(other, mirror).includes(node.id)) return;
+            findings.push({
+              nodeId: node.id,
+              linkedNodeId: linkedId,
+              direction,
+              message: `Node ${node.id} has ${linkedId} in ${direction}, but ${linkedId} lacks ${node.id} in ${mirror}`,
+              fix: `Add ${node.id} to ${linkedId}'s ${mirror}`
+            });
+          });
+        }
+      });
+      return findings;
+    },
+    repair(graph) {
+      const nodes = indexNodes(graph);
+      walk(graph.nodes, (node) => {
+        for (const [direction, mirror] of Object.entries(MIRROR)) {
+          getLinks(node, direction).forEach((linkedId) => {
+            const other = nodes.get(linkedId);
+            if (!other || other === node || getLinks(other, mirror).includes(node.id)) return;
+            other.linkedNodeIds = { ...other.linkedNodeIds, [mirror]: [...getLinks(other, mirror), node.id] };
+          });
+        }
+      });
+    }
+  },
+  {
+    type: 'subtype_mismatch',
+    detect(graph) {
+      const findings = [];
+      walk(graph.nodes, (node) => {
+        const expected = expectedSubtype(node);
+        if (expected) {
+          findings.push({
+            nodeId: node.id,
+            message: `Node ${node.id} is ${node.nodeType}/${node.nodeSubtype} with ${node.children?.length || 0} children`,
+            fix: `Set nodeSubtype to ${expected}`
+          });
+        }
+      });
+      return findings;
+    },
+    repair(graph) {
+      walk(graph.nodes, (node) => {
+        if (expectedSubtype(node)) {
+          promoteParentSubtype(node) || demoteParentSubtype(node);
+        }
+      });
+    }
+  },
+  {
+    type: 'missing_calculated_progress',
+    detect(graph) {
+      const findings = [];
+      walk(graph.nodes, (node) => {
+        if (typeof node.calculatedProgress !== 'number') {
+          findings.push({
+            nodeId: node.id,
+            message: `Node ${node.id} has no calculatedProgress`,
+            fix: 'Calculate it from completions / children'
+          });
+        }
+      });
+      return findings;
+    },
+    repair(graph) {
+      walk(graph.nodes, (node) => {
+        if (typeof node.calculatedProgress !== 'number') {
+          node.calculatedProgress = calculateNodeProgress(node) / 100;
+        }
+      });
+    }
+  }
+];
+
+export const FindingTypes = CHECKS.map(check => check.type);
+
+/**
+ * Find every integrity problem of a graph
+ * @returns {Object[]} - Findings (see header), grouped by type in repair order
+ */
+export function checkGraph(graph) {
+  return CHECKS.flatMap(check => check.detect(graph).map(finding => ({ type: check.type, ...finding })));
+}
+
+/**
+ * Repair a copy of the graph
+ * @param {string[]} types - Finding types to repair (default: all)
+ * @returns {Object} - { graph, repaired: findings that were fixed, remaining: findings left }
+ */
+export function repairGraph(graph, types = FindingTypes) {
+  const before = checkGraph(graph);
+  const repaired = structuredClone(graph);
+
+  CHECKS
+    .filter(check => types.includes(check.type))
+    .forEach(check => check.repair(repaired));
+
+  const remaining = checkGraph(repaired);
+  const remainingKeys = new Set(remaining.map(findingKey));
+  return {
+    graph: repaired,
+    repaired: before.filter(finding => !remainingKeys.has(findingKey(finding))),
+    remaining
+  };
+}
+
+/**
+ * Count findings per type
+ * @returns {Object} - { dangling_edge: 2, ... }
+ */
+export function summarizeFindings(findings) {
+  const summary = {};
+  for (const finding of findings) {
+    summary[finding.type] = (summary[finding.type] || 0) + 1;
+  }
+  return summary;
+}
+
+/**
+ * Identity of a finding across two checks
+ */
+function findingKey(finding) {
+  return [finding.type, finding.nodeId, finding.edgeId, finding.linkedNodeId, finding.direction].join('|');
+}
+
+/**
+ * Subtype a node should have given its children, null if it's fine
+ */
+function expectedSubtype(node) {
+  const container = CONTAINER_SUBTYPES[node.nodeType];
+  if (!container) return null;
+  const hasChildren = Array.isArray(node.children) && node.children.length > 0;
+  if (hasChildren && node.nodeSubtype === 'simple') return container;
+  if (!hasChildren && node.nodeSubtype === container) return 'simple';
+  return null;
+}
+
+/**
+ * Whether node is target or inside target's subtree
+ */
+function isInSubtree(target, node) {
+  let found = false;
+  walk([target], (current) => {
+    if (current === node) found = true;
+  });
+  return found;
+}
+
+/**
+ * Remove a node object from wherever it sits in the tree
+ */
+function detach(graph, target) {
+  const remove = (nodes) => {
+    if (!Array.isArray(nodes)) return false;
+    const index = nodes.indexOf(target);
+    if (index !== -1) {
+      nodes.splice(index, 1);
+      return true;
+    }
+    return nodes.some(node => node && typeof node === 'object' && remove(node.children));
+  };
+  remove(graph.nodes);
+}
+
+export default { checkGraph, repairGraph, summarizeFindings, FindingTypes };
@@ -3,6 +3,8 @@
  * All graph-related business logic
  */
 
+import { calculateProgress, rollupProgress } from './progressRollup.js';
+
 // Default user ID for testing (matches frontend)
 export const DEFAULT_USER_ID = '1';
 
@@ -51,6 +53,7 @@ export function resetAllProgress(graph) {
   };
   
   graph.nodes.forEach(resetNode);
+  rollupProgress(graph);
   
   // Update settings
   if (!graph.settings) graph.settings = {};
@@ -59,6 +62,44 @@ export function resetAllProgress(graph) {
   console.log('✅ Progress reset for all nodes');
 }
 
+/**
+ * Update parent subtype after it gains a child
+ * dao: simple → withChildren, fundamental: simple → category
+ * @returns {boolean} - Whether the subtype changed
+ */
+export function promoteParentSubtype(parentNode) {
+  if (parentNode.nodeSubtype !== 'simple') return false;
+  
+  if (parentNode.nodeType === 'dao') {
+    parentNode.nodeSubtype = 'withChildren';
+    return true;
+  }
+  if (parentNode.nodeType === 'fundamental') {
+    parentNode.nodeSubtype = 'category';
+    return true;
+  }
+  return false;
+}
+
+/**
+ * Update parent subtype after it loses its last child
+ * Reverse of promoteParentSubtype
+ * @returns {boolean} - Whether the subtype changed
+ */
+export function demoteParentSubtype(parentNode) {
+  if (parentNode.children && parentNode.children.length > 0) return false;
+  
+  if (parentNode.nodeType === 'dao' && parentNode.nodeSubtype === 'withChildren') {
+    parentNode.nodeSubtype = 'simple';
+    return true;
+  }
+  if (parentNode.nodeType === 'fundamental' && parentNode.nodeSubtype === 'category') {
+    parentNode.nodeSubtype = 'simple';
+    return true;
+  }
+  return false;
+}
+
 /**
  * Helper: Find category parent for a node
  * Copied from simple-server.js lines 497-512
@@ -99,28 +140,12 @@ export function getNodePath(nodes, targetNodeId, currentPath = []) {
 }
 
 /**
- * Calculate node progress (handles both DAO and Fundamental nodes)
- * Copied from simple-server.js lines 534-553
+ * Calculate node progress as a percentage (rules in services/progressRollup.js)
+ * Progress that comes through links is the stored calculatedProgress
+ * @param {string} weighting - Weighting mode of the graph (equal by default)
  */
-export function calculateNodeProgress(node) {
-  if (node.nodeType === 'dao') {
-    if (node.isDone) return 100;
-    if (node.requiredCompletions > 0) {
-      return (node.currentCompletions / node.requiredCompletions) * 100;
-    }
-    return 0;
-  } else if (node.nodeType === 'fundamental') {
-    // For fundamental nodes, calculate from children
-    if (node.nodeSubtype === 'category' && node.children) {
-      const childProgress = node.children.map(child => calculateNodeProgress(child));
-      if (childProgress.length > 0) {
-        return childProgress.reduce((a, b) => a + b, 0) / childProgress.length;
-      }
-    }
-    // Use calculatedProgress if available
-    return (node.calculatedProgress || 0) * 100;
-  }
-  return 0;
+export function calculateNodeProgress(node, weighting) {
+  return calculateProgress(node, weighting) * 100;
 }
 
 /**
@@ -11,7 +11,8 @@ import { logger } from '../utils/logger.js';
  * 1. buildIndex() called when graph is loaded
  * 2. addNode() called on ADD_NODE operation
  * 3. removeNode() called on DELETE_NODE operation
- * 4. getNode() called for O(1) lookup
+ * 4. moveNode() called on MOVE_NODE operation
+ * 5. getNode() called for O(1) lookup
  */
 class NodeIndex {
   constructor() {
@@ -170,6 +171,24 @@ class NodeIndex {
     logger.debug(`NodeIndex: Removed node ${id}`);
   }
 
+  /**
+   * Re-point a node (and its subtree) at a new parent
+   * Call this after MOVE_NODE operation
+   * @param {string} id - Moved node ID
+   * @param {string|null} newParentId - New parent ID or null for root
+   */
+  moveNode(id, newParentId = null) {
+    if (!this.nodeMap.has(id)) {
+      logger.warn(`NodeIndex: Node ${id} not found for move`);
+      return;
+    }
+    
+    this.parentMap.set(id, newParentId);
+    this.updatePath(id);
+    
+    logger.debug(`NodeIndex: Moved node ${id} (parent: ${newParentId})`);
+  }
+
   /**
    * Update node's path in cache (call after title change)
    * @param {string} id - Node ID
@@ -0,0 +1,90 @@
+/**
+ * Operation Log Service
+ * Versioned log of applied operations per user and graph, so a reconnecting
+ * client can replay only what it missed instead of reloading the whole graph
+ *
+ * Redis Structure:
+ *   Key: oplog:{userId}:{graphId}
+ *   Type: Sorted Set (score = graph version the operation produced)
+ *   Value: JSON { version, type, payload, userId, timestamp }
+ *   TTL: 7 days since last operation
+ *
+ * Saves that don't go through operations (REST saves, daily reset, habit job)
+ * leave a gap in the versions - callers get null and must send the full graph.
+ */
+
+import redis from '../redis.js';
+import { logger } from '../utils/logger.js';
+
+const MAX_ENTRIES = 1000;
+const TTL_SECONDS = 7 * 24 * 60 * 60;
+
+class OperationLogService {
+  /**
+   * Get Redis key for a graph's log
+   */
+  getRedisKey(userId, graphId) {
+    return `oplog:${userId}:${graphId}`;
+  }
+
+  /**
+   * Append an applied operation, trimming to MAX_ENTRIES
+   * @param {number} version - Graph version after the operation was saved
+   */
+  async append(userId, graphId, version, operation) {
+    try {
+      const key = this.getRedisKey(userId, graphId);
+      const entry = {
+        version,
+        type: operation.type,
+        payload: operation.payload,
+        userId,
+        timestamp: Date.now()
+      };
+
+      await redis.zadd(key, version, JSON.stringify(entry));
+      await redis.zremrangebyrank(key, 0, -(MAX_ENTRIES + 1));
+      await redis.expire(key, TTL_SECONDS);
+      return true;
+    } catch (error) {
+      logger.error('Failed to append to operation log:', error);
+      return false;
+    }
+  }
+
+  /**
+   * Get operations that bring a client from sinceVersion to currentVersion
+   * @returns {Object[]|null} - Entries in version order, or null if the log can't cover the range
+   */
+  async getSince(userId, graphId, sinceVersion, currentVersion) {
+    if (!Number.isInteger(sinceVersion) || sinceVersion < 0 || sinceVersion > currentVersion) {
+      return null;
+    }
+    if (sinceVersion === currentVersion) return [];
+
+    try {
+      const data = await redis.zrangebyscore(
+        this.getRedisKey(userId, graphId),
+        sinceVersion + 1,
+        currentVersion
+      );
+      const entries = data.map(item => JSON.parse(item));
+
+      // Every version in between must be an operation we logged
+      const complete = entries.length === currentVersion - sinceVersion &&
+        entries.every((entry, i) => entry.version === sinceVersion + 1 + i);
+
+      if (!complete) {
+        logger.debug(`📜 Operation log for ${graphId} can't cover ${sinceVersion} → ${currentVersion}`);
+        return null;
+      }
+      return entries;
+    } catch (error) {
+      logger.error('Failed to read operation log:', error);
+      return null;
+    }
+  }
+}
+
+// Export singleton instance
+export default new OperationLogService();
@@ -0,0 +1,78 @@
+/**
+ * Operation Receipts Service
+ * Remembers the outcome of client operations by opId, so a retry sent
+ * after a reconnect gets the original ACK/REJECTED instead of being applied twice
+ *
+ * Redis Structure:
+ *   Key: opreceipt:{userId}:{graphId}:{opId}
+ *   Type: String (JSON receipt)
+ *   Value: { status: 'pending' } while applying, then the ACK/REJECTED message
+ *   TTL: 10 minutes
+ */
+
+import redis from '../redis.js';
+import { logger } from '../utils/logger.js';
+
+const TTL_SECONDS = 10 * 60;
+const PENDING = JSON.stringify({ status: 'pending' });
+
+class OperationReceiptsService {
+  /**
+   * Get Redis key for a receipt
+   */
+  getRedisKey(userId, graphId, opId) {
+    return `opreceipt:${userId}:${graphId}:${opId}`;
+  }
+
+  /**
+   * Claim an opId before applying it
+   * @returns {Object|null} - null if claimed (apply the operation), otherwise the existing receipt
+   */
+  async claim(userId, graphId, opId) {
+    try {
+      const key = this.getRedisKey(userId, graphId, opId);
+      const claimed = await redis.set(key, PENDING, 'EX', TTL_SECONDS, 'NX');
+
+      if (claimed) return null;
+
+      const existing = await redis.get(key);
+      logger.debug(`🧾 Duplicate operation ${opId} for user ${userId}`);
+      return existing ? JSON.parse(existing) : { status: 'pending' };
+    } catch (error) {
+      // Without Redis we can't dedupe - apply rather than drop the operation
+      logger.error('Failed to claim operation receipt:', error);
+      return null;
+    }
+  }
+
+  /**
+   * Store the final ACK/REJECTED message for an opId
+   */
+  async complete(userId, graphId, opId, receipt) {
+    try {
+      const key = this.getRedisKey(userId, graphId, opId);
+      await redis.set(key, JSON.stringify({ status: 'done', receipt }), 'EX', TTL_SECONDS);
+      return true;
+    } catch (error) {
+      logger.error('Failed to store operation receipt:', error);
+      return false;
+    }
+  }
+
+  /**
+   * Forget an opId so a retry is applied again
+   * Used for internal failures that a retry may not hit
+   */
+  async release(userId, graphId, opId) {
+    try {
+      await redis.del(this.getRedisKey(userId, graphId, opId));
+      return true;
+    } catch (error) {
+      logger.error('Failed to release operation receipt:', error);
+      return false;
+    }
+  }
+}
+
+// Export singleton instance
+export default new OperationReceiptsService();
@@ -0,0 +1,276 @@
+/**
+ * Progress Rollup - Server-side progress of every node (0..1, stored as calculatedProgress)
+ *
+ * Rules per type (see PROGRESS_ANALYTICS_ARCHITECTURE.md):
+ *   dao simple              isDone ? 1 : currentCompletions / requiredCompletions
+ *   dao withChildren        average of its task children, own completion without any
+ *   fundamental category    average of its task children, 0 without any
+ *   fundamental upstream    average of every task up the chain of upstream links
+ *   fundamental downstream  average of every task down the chain of downstream links
+ *                           (fundamental nodes on the way are passed through, not counted)
+ *   fundamental simple      average of its task children, 0 without any
+ *   repeatable simple       like dao simple
+ *   repeatable infinity     isDone ? 1 : 0 - done for today (dailyHabitCounter.js counts the days)
+ * Task nodes are dao and repeatable nodes.
+ *
+ * progressMode picks where the value comes from (see ProgressModes); unknown modes count as
+ * children. Operations and whole-graph saves roll the graph up before saving, so what
+ * clients send as calculatedProgress is overwritten unless the node is manual.
+ *
+ * Averages are weighted per graph (settings.weighting, see WeightingModes).
+ */
+
+import { flattenNodes } from './graphDiff.js';
+import { hasEstimate, getDurationDays } from './estimates.js';
+
+export const ProgressModes = {
+  CHILDREN: 'children',     // the type rule above (default)
+  UPSTREAM: 'upstream',     // average of the directly linked upstream nodes
+  DOWNSTREAM: 'downstream', // average of the directly linked downstream nodes
+  MANUAL: 'manual'          // calculatedProgress as the client set it
+};
+
+/**
+ * How much each node counts in the averages
+ */
+export const WeightingModes = {
+  EQUAL: 'equal',      // all the same (default)
+  MANUAL: 'manual',    // node.weight, 1 if not set
+  ESTIMATE: 'estimate' // estimated days (see estimates.js) - a parent without one counts the
+                       // estimates in its subtree, nodes without any the average of the others
+};
+
+/**
+ * Weighting mode of a graph
+ */
+export function getWeightingMode(graph) {
+  const mode = graph?.settings?.weighting;
+  return Object.values(WeightingModes).includes(mode) ? mode : WeightingModes.EQUAL;
+}
+
+/**
+ * Weight of a node
+ * @returns {number|null} - null if it has none in estimate mode (see weightedAverage)
+ */
+export function getNodeWeight(node, weighting = WeightingModes.EQUAL) {
+  if (weighting === WeightingModes.MANUAL) {
+    return typeof node.weight === 'number' ? node.weight : 1;
+  }
+  if (weighting === WeightingModes.ESTIMATE) {
+    if (hasEstimate(node)) return getDurationDays(node);
+    const children = Array.isArray(node.children) ? node.children : [];
+    const estimates = children.map(child => getNodeWeight(child, weighting)).filter(weight => weight !== null);
+    return estimates.length > 0 ? estimates.reduce((sum, weight) => sum + weight, 0) : null;
+  }
+  return 1;
+}
+
+/**
+ * Weighted mean
+ * Entries without a weight count as the average of the others (1 if none has one);
+ * if all weights are 0 every entry counts the same
+ * @param {Object[]} entries - [{ value, weight: number|null }]
+ * @returns {number|null} - null without entries
+ */
+export function weightedAverage(entries) {
+  if (entries.length === 0) return null;
+
+  const known = entries.filter(({ weight }) => weight !== null).map(({ weight }) => weight);
+  const fallback = known.length > 0 ? known.reduce((sum, weight) => sum + weight, 0) / known.length : 1;
+  const weighted = entries.map(({ value, weight }) => ({ value, weight: weight ?? fallback }));
+
+  const total = weighted.reduce((sum, { weight }) => sum + weight, 0);
+  if (total <= 0) {
+    return entries.reduce((sum, { value }) => sum + value, 0) / entries.length;
+  }
+  return weighted.reduce((sum, { value, weight }) => sum + value * weight, 0) / total;
+}
+
+/**
+ * Progress of a node with the rules above, memoized per graph state
+ * Create a new calculator after changing the graph
+ * @returns {Function} - node => progress (0..1)
+ */
+export function createProgressCalculator(graph) {
+  const flat = flattenNodes(graph.nodes || []);
+  const findNode = id => flat.get(id)?.node || null;
+  const weighting = getWeightingMode(graph);
+  const memo = new Map();
+  const pending = new Set();
+
+  const progressOf = (node) => {
+    if (memo.has(node.id)) return memo.get(node.id);
+    // Nodes reading each other through links (e.g. an upstream mode node and its prerequisite
+    // in downstream mode) - take the stored value instead of looping
+    if (pending.has(node.id)) return storedProgress(node);
+
+    pending.add(node.id);
+    const progress = computeProgress(node, {
+      progressOf,
+      weighting,
+      linked: (current, direction, transitive) => collectLinked(current, direction, transitive, findNode)
+    });
+    pending.delete(node.id);
+    memo.set(node.id, progress);
+    return progress;
+  };
+
+  return progressOf;
+}
+
+/**
+ * Progress of a node from its own subtree
+ * Without the graph, progress that comes through links is the stored calculatedProgress
+ * @param {string} weighting - Weighting mode of the graph (see getWeightingMode)
+ * @returns {number} - 0..1
+ */
+export function calculateProgress(node, weighting = WeightingModes.EQUAL) {
+  const progressOf = child => calculateProgress(child, weighting);
+  return computeProgress(node, { progressOf, weighting, linked: null });
+}
+
+/**
+ * Recompute calculatedProgress of every node in place
+ * One pass covers the ancestors and link aggregates of whatever changed
+ * @returns {string[]} - IDs of the nodes whose calculatedProgress changed
+ */
+export function rollupProgress(graph) {
+  const progressOf = createProgressCalculator(graph);
+  const changed = [];
+
+  flattenNodes(graph.nodes || []).forEach(({ node }, id) => {
+    const progress = progressOf(node);
+    if (node.calculatedProgress !== progress) {
+      node.calculatedProgress = progress;
+      changed.push(id);
+    }
+  });
+
+  return changed;
+}
+
+/**
+ * Progress of one node
+ * @param {Object} context - { progressOf: node => number, weighting,
+ *   linked: (node, direction, transitive) => nodes | null }
+ */
+function computeProgress(node, context) {
+  const mode = node.progressMode;
+
+  if (mode === ProgressModes.MANUAL && typeof node.calculatedProgress === 'number') {
+    return clamp(node.calculatedProgress);
+  }
+  if (mode === ProgressModes.UPSTREAM || mode === ProgressModes.DOWNSTREAM) {
+    // Without links of that direction the type rule applies
+    const progress = linkedProgress(node, mode, false, context);
+    if (progress !== null) return progress;
+  }
+
+  switch (node.nodeType) {
+    case 'dao':
+      if (node.nodeSubtype === 'withChildren') {
+        return childrenProgress(node, context) ?? completionProgress(node);
+      }
+      return completionProgress(node);
+
+    case 'fundamental':
+      if (node.nodeSubtype === 'upstream' || node.nodeSubtype === 'downstream') {
+        return linkedProgress(node, node.nodeSubtype, true, context) ?? 0;
+      }
+      return childrenProgress(node, context) ?? 0;
+
+    case 'repeatable':
+      if (node.nodeSubtype === 'infinity') return node.isDone ? 1 : 0;
+      return completionProgress(node);
+
+    default:
+      return completionProgress(node);
+  }
+}
+
+/**
+ * Share of the required completions done
+ */
+function completionProgress(node) {
+  if (node.isDone) return 1;
+  const required = node.requiredCompletions > 0 ? node.requiredCompletions : 1;
+  return clamp((node.currentCompletions || 0) / required);
+}
+
+/**
+ * Weighted progress of the task children
+ * @returns {number|null} - null without task children
+ */
+function childrenProgress(node, context) {
+  const children = Array.isArray(node.children) ? node.children.filter(isTaskNode) : [];
+  return averageProgress(children, context);
+}
+
+/**
+ * Weighted progress of the linked nodes in one direction
+ * @param {boolean} transitive - Every task along the chain of links, else the linked nodes
+ * @returns {number|null} - null without linked nodes
+ */
+function linkedProgress(node, direction, transitive, context) {
+  if (!context.linked) {
+    return typeof node.calculatedProgress === 'number' ? clamp(node.calculatedProgress) : null;
+  }
+  return averageProgress(context.linked(node, direction, transitive), context);
+}
+
+/**
+ * Linked nodes in one direction
+ * Transitive collection follows the chain to its end and keeps the task nodes on it
+ * Links to missing nodes are ignored (see graphIntegrity.js dangling_link)
+ */
+function collectLinked(node, direction, transitive, findNode) {
+  const linkedIds = current => current.linkedNodeIds?.[direction] || [];
+  if (!transitive) {
+    return linkedIds(node).filter(id => id !== node.id).map(findNode).filter(Boolean);
+  }
+
+  const visited = new Set([node.id]);
+  const collected = [];
+  const queue = [node];
+  for (let i = 0; i < queue.length; i++) {
+    for (const id of linkedIds(queue[i])) {
+      if (visited.has(id)) continue;
+      visited.add(id);
+      const linked = findNode(id);
+      if (!linked) continue;
+      if (isTaskNode(linked)) collected.push(linked);
+      queue.push(linked);
+    }
+  }
+  return collected;
+}
+
+function isTaskNode(node) {
+  return node?.nodeType === 'dao' || node?.nodeType === 'repeatable';
+}
+
+function storedProgress(node) {
+  return typeof node.calculatedProgress === 'number' ? clamp(node.calculatedProgress) : 0;
+}
+
+function averageProgress(nodes, context) {
+  return weightedAverage(nodes.map(node => ({
+    value: context.progressOf(node),
+    weight: getNodeWeight(node, context.weighting)
+  })));
+}
+
+function clamp(progress) {
+  return Math.min(Math.max(progress, 0), 1);
+}
+
+export default {
+  ProgressModes,
+  WeightingModes,
+  getWeightingMode,
+  getNodeWeight,
+  weightedAverage,
+  createProgressCalculator,
+  calculateProgress,
+  rollupProgress
+};
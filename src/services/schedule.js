@@ -0,0 +1,158 @@
+/**
+ * Schedule - Earliest start/finish, slack and critical paths of the remaining work
+ *
+ * Dependencies are the arcs of services/dependencyGraph.js (links and edges).
+ * Durations (days) come from the node's estimate (see estimates.js), 0 without one
+ * (milestones, goals, unestimated tasks).
+ * Only the remaining part counts: done nodes take 0, partly done ones (1 - progress) of it.
+ *
+ * Times are in days from now. Slack is how long a node can slip without moving the end of
+ * the whole plan; open nodes without slack are critical.
+ */
+
+import { flattenNodes } from './graphDiff.js';
+import { calculateNodeProgress } from './graphService.js';
+import { buildDependencyGraph, findAnyCycle } from './dependencyGraph.js';
+import { isNodeDone } from './taskDependencies.js';
+import { DEFAULT_HOURS_PER_DAY, getDurationDays } from './estimates.js';
+
+export { DEFAULT_HOURS_PER_DAY, getDurationDays };
+
+// Subtypes the UI shows as milestones / goal (see ai-planning.js)
+const MILESTONE_KINDS = { upstream: 'milestone', downstream: 'goal' };
+
+// Floating point tolerance for "no slack"
+const EPSILON = 1e-9;
+
+/**
+ * Days of work left on a node
+ */
+export function getRemainingDays(node, hoursPerDay = DEFAULT_HOURS_PER_DAY) {
+  if (isNodeDone(node)) return 0;
+  const progress = Math.min(Math.max(calculateNodeProgress(node) / 100, 0), 1);
+  return getDurationDays(node, hoursPerDay) * (1 - progress);
+}
+
+/**
+ * Schedule the remaining work of a graph
+ * @returns {Object} - { finish, criticalPath, tasks, milestones } or { cycle } if the
+ *   dependencies loop (see dependencyGraph.js) and can't be ordered
+ *   tasks: { [nodeId]: { duration, remaining, earliestStart, earliestFinish,
+ *            latestStart, latestFinish, slack, critical } }
+ *   milestones: [{ nodeId, title, kind, earliestFinish, criticalPath }]
+ */
+export function computeSchedule(graph, hoursPerDay = DEFAULT_HOURS_PER_DAY) {
+  const flat = flattenNodes(graph.nodes || []);
+  const successors = buildDependencyGraph(graph);
+
+  // Arcs to nodes that don't exist are ignored (see graphIntegrity.js)
+  const predecessors = new Map([...flat.keys()].map(id => [id, []]));
+  successors.forEach((targets, from) => {
+    if (!flat.has(from)) return;
+    targets.forEach(to => predecessors.get(to)?.push(from));
+  });
+
+  const order = topologicalOrder(flat, successors, predecessors);
+  if (!order) {
+    return { cycle: findAnyCycle(successors) };
+  }
+
+  // Forward pass: a node starts when all its prerequisites are finished
+  const tasks = {};
+  for (const id of order) {
+    const { node } = flat.get(id);
+    const remaining = getRemainingDays(node, hoursPerDay);
+    const earliestStart = Math.max(0, ...predecessors.get(id).map(pred => tasks[pred].earliestFinish));
+    tasks[id] = {
+      duration: getDurationDays(node, hoursPerDay),
+      remaining,
+      earliestStart,
+      earliestFinish: earliestStart + remaining
+    };
+  }
+  const finish = Math.max(0, ...Object.values(tasks).map(task => task.earliestFinish));
+
+  // Backward pass: a node must finish before its dependents have to start
+  for (const id of [...order].reverse()) {
+    const task = tasks[id];
+    const dependents = [...(successors.get(id) || [])].filter(next => tasks[next]);
+    task.latestFinish = Math.min(finish, ...dependents.map(next => tasks[next].latestStart));
+    task.latestStart = task.latestFinish - task.remaining;
+    task.slack = task.latestStart - task.earliestStart;
+    task.critical = task.slack < EPSILON && !isNodeDone(flat.get(id).node);
+  }
+
+  // The chain to whatever finishes last (on ties the latest in order, e.g. the goal)
+  const last = order.reduce((latest, id) => (
+    latest === null || tasks[id].earliestFinish > tasks[latest].earliestFinish - EPSILON ? id : latest
+  ), null);
+  const criticalPath = last === null ? [] : tracePath(last, tasks, predecessors);
+
+  const milestones = [];
+  flat.forEach(({ node }, id) => {
+    const kind = node.nodeType === 'fundamental' ? MILESTONE_KINDS[node.nodeSubtype] : null;
+    if (!kind) return;
+    milestones.push({
+      nodeId: id,
+      title: node.title || node.name,
+      kind,
+      earliestFinish: round(tasks[id].earliestFinish),
+      criticalPath: tracePath(id, tasks, predecessors)
+    });
+  });
+
+  Object.values(tasks).forEach((task) => {
+    for (const field of ['duration', 'remaining', 'earliestStart', 'earliestFinish', 'latestStart', 'latestFinish', 'slack']) {
+      task[field] = round(task[field]);
+    }
+  });
+
+  return {
+    finish: round(finish),
+    criticalPath,
+    tasks,
+    milestones
+  };
+}
+
+/**
+ * Nodes in dependency order (Kahn's algorithm)
+ * @returns {string[]|null} - null if the dependencies loop
+ */
+function topologicalOrder(flat, successors, predecessors) {
+  const waiting = new Map([...predecessors].map(([id, preds]) => [id, preds.length]));
+  const order = [...flat.keys()].filter(id => waiting.get(id) === 0);
+
+  for (let i = 0; i < order.length; i++) {
+    (successors.get(order[i]) || []).forEach((next) => {
+      if (!waiting.has(next)) return;
+      waiting.set(next, waiting.get(next) - 1);
+      if (waiting.get(next) === 0) order.push(next);
+    });
+  }
+  return order.length === flat.size ? order : null;
+}
+
+/**
+ * Chain of driving prerequisites ending at a node
+ * Each step goes to the prerequisite that finishes last (the one the node waits for),
+ * until no prerequisite delays it (done or unestimated work)
+ * @returns {string[]} - Node IDs, first to last
+ */
+function tracePath(id, tasks, predecessors) {
+  const path = [id];
+  let current = id;
+  while (tasks[current].earliestStart > EPSILON) {
+    current = predecessors.get(current).reduce((driving, pred) => (
+      tasks[pred].earliestFinish > tasks[driving].earliestFinish ? pred : driving
+    ));
+    path.unshift(current);
+  }
+  return path;
+}
+
+function round(days) {
+  return Math.round(days * 100) / 100;
+}
+
+export default { computeSchedule, getDurationDays, getRemainingDays, DEFAULT_HOURS_PER_DAY };
@@ -0,0 +1,155 @@
+/**
+ * Task Dependencies - Blocked / available / done states from linkedNodeIds
+ *
+ * A node's prerequisites are its linkedNodeIds.upstream (links are kept symmetric,
+ * see handlers/operations/links.js). A node is
+ *   done       isDone, or its progress is complete (see calculateNodeProgress)
+ *   blocked    not done and some prerequisite is not done
+ *   available  not done and every prerequisite is done (or it has none)
+ *
+ * Completing a blocked node is allowed, warned about or rejected per graph
+ * (settings.dependencyMode, see DependencyModes).
+ */
+
+import { calculateNodeProgress } from './graphService.js';
+import { flattenNodes } from './graphDiff.js';
+
+export const TaskStates = {
+  DONE: 'done',
+  AVAILABLE: 'available',
+  BLOCKED: 'blocked'
+};
+
+/**
+ * What happens when a client completes a blocked node
+ */
+export const DependencyModes = {
+  OFF: 'off',       // nothing (default)
+  WARN: 'warn',     // applied, OPERATION_ACK carries warnings
+  REJECT: 'reject'  // OPERATION_REJECTED with NODE_BLOCKED
+};
+
+/**
+ * Dependency mode of a graph
+ */
+export function getDependencyMode(graph) {
+  const mode = graph.settings?.dependencyMode;
+  return Object.values(DependencyModes).includes(mode) ? mode : DependencyModes.OFF;
+}
+
+/**
+ * Whether a node counts as done for the nodes depending on it
+ */
+export function isNodeDone(node) {
+  return node.isDone === true || calculateNodeProgress(node) >= 100;
+}
+
+/**
+ * Prerequisites of a node that are not done yet
+ * Links to missing nodes are ignored (see graphIntegrity.js dangling_link)
+ * @param {Function} findNode - id => node | null
+ * @param {Set<string>} doneIds - Nodes to treat as done regardless of their state
+ * @returns {string[]}
+ */
+export function findOpenPrerequisites(node, findNode, doneIds = new Set()) {
+  return (node.linkedNodeIds?.upstream || []).filter((id) => {
+    if (id === node.id || doneIds.has(id)) return false;
+    const prerequisite = findNode(id);
+    return prerequisite !== null && !isNodeDone(prerequisite);
+  });
+}
+
+/**
+ * State of every node
+ * @returns {Object} - { [nodeId]: { state, blockedBy } } - blockedBy: open prerequisites
+ */
+export function computeTaskStates(graph) {
+  const flat = flattenNodes(graph.nodes || []);
+  const findNode = id => flat.get(id)?.node || null;
+  const states = {};
+
+  flat.forEach(({ node }, id) => {
+    if (isNodeDone(node)) {
+      states[id] = { state: TaskStates.DONE, blockedBy: [] };
+      return;
+    }
+    const blockedBy = findOpenPrerequisites(node, findNode);
+    states[id] = { state: blockedBy.length > 0 ? TaskStates.BLOCKED : TaskStates.AVAILABLE, blockedBy };
+  });
+
+  return states;
+}
+
+/**
+ * Count nodes per state
+ * @returns {Object} - { done, available, blocked }
+ */
+export function summarizeTaskStates(states) {
+  const summary = { [TaskStates.DONE]: 0, [TaskStates.AVAILABLE]: 0, [TaskStates.BLOCKED]: 0 };
+  Object.values(states).forEach(({ state }) => summary[state]++);
+  return summary;
+}
+
+/**
+ * Nodes that become available once node is done
+ * (downstream nodes whose only open prerequisite is node)
+ * @param {Object} states - Result of computeTaskStates
+ * @returns {string[]} - Node IDs
+ */
+export function findUnlockedBy(node, states) {
+  return (node.linkedNodeIds?.downstream || []).filter((id) => {
+    const dependent = states[id];
+    return dependent?.state === TaskStates.BLOCKED
+      && dependent.blockedBy.length === 1
+      && dependent.blockedBy[0] === node.id;
+  });
+}
+
+/**
+ * Blocked nodes an operation would complete
+ * Nodes completed earlier in the same batch count as done for later ones
+ * @param {Function} findNode - id => node | null
+ * @returns {Object[]} - [{ nodeId, blockedBy }]
+ */
+export function findBlockedCompletions(operation, findNode) {
+  const completed = new Set();
+  const blocked = [];
+
+  const check = ({ type, payload = {} }) => {
+    if (type === 'BATCH_UPDATE') {
+      // Batch payload is { operations } or the bare array
+      const operations = Array.isArray(payload) ? payload : payload.operations || [];
+      operations.forEach(sub => sub && check(sub));
+      return;
+    }
+
+    let current = null;
+    let next = null;
+    if (type === 'UPDATE_NODE' && payload.updates) {
+      current = findNode(payload.id || payload.nodeId);
+      next = current && { ...current, ...payload.updates };
+    } else if (type === 'ADD_NODE') {
+      next = payload;
+    }
+    if (!next || (current && isNodeDone(current)) || !isNodeDone(next)) return;
+
+    const blockedBy = findOpenPrerequisites(next, findNode, completed);
+    if (blockedBy.length > 0) blocked.push({ nodeId: next.id, blockedBy });
+    completed.add(next.id);
+  };
+
+  check(operation);
+  return blocked;
+}
+
+export default {
+  TaskStates,
+  DependencyModes,
+  getDependencyMode,
+  isNodeDone,
+  findOpenPrerequisites,
+  computeTaskStates,
+  summarizeTaskStates,
+  findUnlockedBy,
+  findBlockedCompletions
+};
@@ -0,0 +1,107 @@
+/**
+ * Undo History Service
+ * Per-user, per-graph undo/redo stacks of inverse operations
+ * userId is the graph owner; collaborators on a shared graph get their own stacks (actorId)
+ *
+ * Redis Structure:
+ *   Key: undo:{userId}:{graphId} / redo:{userId}:{graphId}
+ *        undo:{userId}:{graphId}:{actorId} / redo:... (collaborator's stacks)
+ *   Type: List (LPUSH/LPOP, newest first)
+ *   Value: JSON operation { type, payload }
+ *   TTL: 24 hours since last change
+ */
+
+import redis from '../redis.js';
+import { logger } from '../utils/logger.js';
+
+const MAX_DEPTH = 50;
+const TTL_SECONDS = 24 * 60 * 60;
+
+class UndoHistoryService {
+  /**
+   * Get Redis key for a stack
+   * @param {'undo'|'redo'} stack
+   * @param {string} actorId - Who made the changes (defaults to the owner)
+   */
+  getRedisKey(stack, userId, graphId, actorId = userId) {
+    const key = `${stack}:${userId}:${graphId}`;
+    return actorId === userId ? key : `${key}:${actorId}`;
+  }
+
+  /**
+   * Record inverse of a regular operation
+   * A new change invalidates everything that could be redone
+   */
+  async record(userId, graphId, inverse, actorId = userId) {
+    const pushed = await this.push('undo', userId, graphId, inverse, actorId);
+    if (pushed) {
+      await redis.del(this.getRedisKey('redo', userId, graphId, actorId)).catch(error => {
+        logger.error('Failed to clear redo stack:', error);
+      });
+    }
+    return pushed;
+  }
+
+  /**
+   * Push operation onto a stack, trimming to MAX_DEPTH
+   * @param {'undo'|'redo'} stack
+   */
+  async push(stack, userId, graphId, operation, actorId = userId) {
+    try {
+      const key = this.getRedisKey(stack, userId, graphId, actorId);
+      
+      await redis.lpush(key, JSON.stringify(operation));
+      await redis.ltrim(key, 0, MAX_DEPTH - 1);
+      await redis.expire(key, TTL_SECONDS);
+      
+      logger.debug(`↩️ Pushed ${operation.type} onto ${stack} stack for user ${actorId}`);
+      return true;
+    } catch (error) {
+      logger.error(`Failed to push onto ${stack} stack:`, error);
+      return false;
+    }
+  }
+
+  /**
+   * Pop newest operation from a stack
+   * @returns {Object|null} - Operation or null if stack is empty
+   */
+  async pop(stack, userId, graphId, actorId = userId) {
+    try {
+      const data = await redis.lpop(this.getRedisKey(stack, userId, graphId, actorId));
+      return data ? JSON.parse(data) : null;
+    } catch (error) {
+      logger.error(`Failed to pop ${stack} stack:`, error);
+      return null;
+    }
+  }
+
+  /**
+   * Drop both stacks of a user
+   */
+  async clear(userId, graphId, actorId = userId) {
+    await redis.del(
+      this.getRedisKey('undo', userId, graphId, actorId),
+      this.getRedisKey('redo', userId, graphId, actorId)
+    );
+  }
+
+  /**
+   * Get stack depths (for UI enable/disable of undo/redo buttons)
+   */
+  async getDepths(userId, graphId, actorId = userId) {
+    try {
+      const [undo, redo] = await Promise.all([
+        redis.llen(this.getRedisKey('undo', userId, graphId, actorId)),
+        redis.llen(this.getRedisKey('redo', userId, graphId, actorId))
+      ]);
+      return { undo, redo };
+    } catch (error) {
+      logger.error('Failed to get undo depths:', error);
+      return { undo: 0, redo: 0 };
+    }
+  }
+}
+
+// Export singleton instance
+export default new UndoHistoryService();
@@ -0,0 +1,117 @@
+/**
+ * User Store Service
+ * Accounts with scrypt password hashes
+ *
+ * Redis Structure:
+ *   Key: auth:user:{userId}
+ *   Type: String (JSON { userId, email, name, passwordHash, salt, createdAt })
+ *
+ *   Key: auth:email:{email}
+ *   Type: String (userId - email lookup, lowercase)
+ */
+
+import { randomBytes, randomUUID, scrypt, timingSafeEqual } from 'crypto';
+import { promisify } from 'util';
+import redis from '../redis.js';
+import { logger } from '../utils/logger.js';
+
+const scryptAsync = promisify(scrypt);
+const KEY_LENGTH = 64;
+
+class UserStoreService {
+  /**
+   * Get Redis key of a user record
+   */
+  getUserKey(userId) {
+    return `auth:user:${userId}`;
+  }
+
+  /**
+   * Get Redis key of the email lookup
+   */
+  getEmailKey(email) {
+    return `auth:email:${email.toLowerCase()}`;
+  }
+
+  /**
+   * Create account
+   * @param {Object} fields - { email, password, name, userId (optional - claims existing data, scripts only) }
+   * @returns {Object|null} - Public user, or null if the email or userId is taken
+   */
+  async create({ email, password, name, userId = randomUUID() }) {
+    // Claim the email first so two signups with the same address can't both win
+    const claimed = await redis.set(this.getEmailKey(email), userId, 'NX');
+    if (!claimed) return null;
+
+    const salt = randomBytes(16).toString('hex');
+    const passwordHash = (await scryptAsync(password, salt, KEY_LENGTH)).toString('hex');
+    const user = {
+      userId,
+      email: email.toLowerCase(),
+      name: name || email.split('@')[0],
+      passwordHash,
+      salt,
+      createdAt: new Date().toISOString()
+    };
+
+    const created = await redis.set(this.getUserKey(userId), JSON.stringify(user), 'NX');
+    if (!created) {
+      await redis.del(this.getEmailKey(email));
+      return null;
+    }
+
+    logger.success(`👤 User ${userId} registered (${user.email})`);
+    return toPublic(user);
+  }
+
+  /**
+   * Check email + password
+   * @returns {Object|null} - Public user, or null if the credentials don't match
+   */
+  async verifyPassword(email, password) {
+    const userId = await redis.get(this.getEmailKey(email));
+    const user = userId ? await this.load(userId) : null;
+    if (!user) return null;
+
+    const expected = Buffer.from(user.passwordHash, 'hex');
+    const actual = await scryptAsync(password, user.salt, KEY_LENGTH);
+    return timingSafeEqual(expected, actual) ? toPublic(user) : null;
+  }
+
+  /**
+   * Get public user
+   * @returns {Object|null}
+   */
+  async get(userId) {
+    const user = await this.load(userId);
+    return user ? toPublic(user) : null;
+  }
+
+  /**
+   * Find public user by email
+   * @returns {Object|null}
+   */
+  async findByEmail(email) {
+    const userId = await redis.get(this.getEmailKey(email));
+    return userId ? this.get(userId) : null;
+  }
+
+  /**
+   * Load full record (with password hash)
+   */
+  async load(userId) {
+    const data = await redis.get(this.getUserKey(userId));
+    return data ? JSON.parse(data) : null;
+  }
+}
+
+/**
+ * User without credentials
+ */
+function toPublic(user) {
+  const { passwordHash, salt, ...fields } = user;
+  return fields;
+}
+
+// Export singleton instance
+export default new UserStoreService();
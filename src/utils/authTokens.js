@@ -0,0 +1,98 @@
+/**
+ * Auth Tokens - HMAC-SHA256 signed JWTs (HS256)
+ * Verifiable by any instance sharing AUTH_SECRET, no Redis lookup needed
+ *
+ * Payload: { sub: userId, iat, exp } (seconds since epoch)
+ */
+
+import { createHmac, randomBytes, timingSafeEqual } from 'crypto';
+import { logger } from './logger.js';
+
+const DEFAULT_TTL_SECONDS = 7 * 24 * 60 * 60;
+
+/**
+ * Signing secret - without AUTH_SECRET tokens only survive until restart
+ * and are not accepted by other instances, so production refuses to start
+ */
+function loadSecret() {
+  if (process.env.AUTH_SECRET) return process.env.AUTH_SECRET;
+  if (process.env.NODE_ENV === 'production') {
+    throw new Error('AUTH_SECRET must be set in production');
+  }
+  logger.warn('AUTH_SECRET not set - using a random secret, tokens expire on restart');
+  return randomBytes(32).toString('hex');
+}
+
+const secret = loadSecret();
+const ttlSeconds = parseInt(process.env.AUTH_TOKEN_TTL_SECONDS) || DEFAULT_TTL_SECONDS;
+
+/**
+ * Base64url encode a string or buffer
+ */
+function encode(data) {
+  return Buffer.from(data).toString('base64url');
+}
+
+/**
+ * Signature of header.payload
+ */
+function sign(content) {
+  return createHmac('sha256', secret).update(content).digest('base64url');
+}
+
+/**
+ * Issue a token for a user
+ * @returns {Object} - { token, expiresAt } (expiresAt in ms)
+ */
+export function signToken(userId) {
+  const iat = Math.floor(Date.now() / 1000);
+  const exp = iat + ttlSeconds;
+  const content = `${encode(JSON.stringify({ alg: 'HS256', typ: 'JWT' }))}.${encode(JSON.stringify({ sub: userId, iat, exp }))}`;
+  return {
+    token: `${content}.${sign(content)}`,
+    expiresAt: exp * 1000
+  };
+}
+
+/**
+ * Verify signature and expiry
+ * @returns {Object|null} - Payload, or null if the token is malformed, forged or expired
+ */
+export function verifyToken(token) {
+  if (typeof token !== 'string') return null;
+
+  const parts = token.split('.');
+  if (parts.length !== 3) return null;
+
+  const [header, payload, signature] = parts;
+  const expected = Buffer.from(sign(`${header}.${payload}`));
+  const actual = Buffer.from(signature);
+  if (expected.length !== actual.length || !timingSafeEqual(expected, actual)) return null;
+
+  try {
+    const { alg } = JSON.parse(Buffer.from(header, 'base64url').toString());
+    const claims = JSON.parse(Buffer.from(payload, 'base64url').toString());
+    if (alg !== 'HS256' || typeof claims.sub !== 'string') return null;
+    if (!Number.isFinite(claims.exp) || claims.exp * 1000 <= Date.now()) return null;
+    return claims;
+  } catch (error) {
+    return null;
+  }
+}
+
+/**
+ * Read the token from an HTTP request
+ * Authorization: Bearer <token>, or ?token= (browsers can't set headers on a WebSocket upgrade)
+ * @returns {string|null}
+ */
+export function getRequestToken(req) {
+  const header = req.headers.authorization;
+  if (header && header.startsWith('Bearer ')) {
+    return header.slice('Bearer '.length).trim();
+  }
+
+  const url = new URL(req.url, 'http://localhost');
+  return url.searchParams.get('token');
+}
+
+export default { signToken, verifyToken, getRequestToken };
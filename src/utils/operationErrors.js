@@ -0,0 +1,66 @@
+/**
+ * Operation Errors - Structured failures for graph operations
+ * Codes are sent to the client in OPERATION_REJECTED so it can roll back
+ */
+
+/**
+ * Error codes sent to clients
+ */
+export const ErrorCodes = {
+  NODE_NOT_FOUND: 'NODE_NOT_FOUND',
+  EDGE_NOT_FOUND: 'EDGE_NOT_FOUND',
+  VALIDATION_FAILED: 'VALIDATION_FAILED',
+  NODE_BLOCKED: 'NODE_BLOCKED',
+  DEPENDENCY_CYCLE: 'DEPENDENCY_CYCLE',
+  VERSION_CONFLICT: 'VERSION_CONFLICT',
+  GRAPH_NOT_FOUND: 'GRAPH_NOT_FOUND',
+  UNKNOWN_OPERATION: 'UNKNOWN_OPERATION',
+  NOT_SUBSCRIBED: 'NOT_SUBSCRIBED',
+  ACCESS_DENIED: 'ACCESS_DENIED',
+  HISTORY_EMPTY: 'HISTORY_EMPTY',
+  OPERATION_FAILED: 'OPERATION_FAILED'
+};
+
+// Failures that may pass if the same operation is tried again (lost a save race, Redis error)
+const RETRYABLE_CODES = new Set([
+  ErrorCodes.VERSION_CONFLICT,
+  ErrorCodes.OPERATION_FAILED
+]);
+
+/**
+ * Error thrown by operation handlers and the operation pipeline
+ */
+export class OperationError extends Error {
+  /**
+   * @param {string} code - One of ErrorCodes
+   * @param {string} message - Human readable reason
+   * @param {Object|null} details - Extra data for the client (optional)
+   */
+  constructor(code, message, details = null) {
+    super(message);
+    this.name = 'OperationError';
+    this.code = code;
+    this.details = details;
+  }
+}
+
+/**
+ * Convert any error to { code, reason, details } for OPERATION_REJECTED
+ * Unexpected errors are reported as OPERATION_FAILED
+ */
+export function toRejection(error) {
+  if (error instanceof OperationError) {
+    return { code: error.code, reason: error.message, details: error.details };
+  }
+  return { code: ErrorCodes.OPERATION_FAILED, reason: error.message, details: null };
+}
+
+/**
+ * Whether trying the same operation again may succeed
+ * Rejections of the operation itself or of the graph's state (validation, missing nodes) are final
+ */
+export function isRetryable(error) {
+  return !(error instanceof OperationError) || RETRYABLE_CODES.has(error.code);
+}
+
+export default { ErrorCodes, OperationError, toRejection, isRetryable };
@@ -0,0 +1,39 @@
+/**
+ * REST Versioning - Optimistic concurrency helpers for REST writes
+ * Clients send the version they edited; a stale one gets 409 VERSION_CONFLICT
+ */
+
+/**
+ * Read the version the client based its save on
+ * body.baseVersion wins over an If-Match header ("12", W/"12" or 12)
+ * @returns {number|null} - null if the client sent none
+ */
+export function getBaseVersion(req) {
+  if (req.body?.baseVersion !== undefined && req.body?.baseVersion !== null) {
+    const version = Number(req.body.baseVersion);
+    return Number.isInteger(version) ? version : null;
+  }
+  
+  const ifMatch = req.headers['if-match'];
+  if (ifMatch) {
+    const version = Number(ifMatch.replace(/^W\//, '').replace(/"/g, ''));
+    return Number.isInteger(version) ? version : null;
+  }
+  
+  return null;
+}
+
+/**
+ * Respond 409 to a save based on an outdated version
+ */
+export function sendConflict(res, graphId, error) {
+  console.warn(`⚠️ REST API: Version conflict saving ${graphId}: ${error.message}`);
+  return res.status(409).json({
+    success: false,
+    error: error.message,
+    code: error.code,
+    currentVersion: error.details.currentVersion
+  });
+}
+
+export default { getBaseVersion, sendConflict };
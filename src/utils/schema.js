@@ -0,0 +1,106 @@
+/**
+ * Schema - Small declarative validator for operation payloads
+ *
+ * Keywords (a subset of JSON Schema):
+ *   type: 'string' | 'number' | 'integer' | 'boolean' | 'object' | 'array'
+ *   nullable, enum, minimum, maximum, minLength, maxLength
+ *   properties, required, additionalProperties (false or a schema for every other key)
+ *   items, maxItems
+ *   check: (value) => message | null - extra rule on a valid value
+ */
+
+/**
+ * Validate value against schema
+ * @param {*} value
+ * @param {Object} schema
+ * @param {string} path - Path of value in the payload (for messages)
+ * @returns {Object[]} - [{ path, message }], empty if valid
+ */
+export function validate(value, schema, path = '') {
+  const errors = [];
+  const fail = (message, at = path) => errors.push({ path: at, message });
+
+  if (value === null) {
+    if (!schema.nullable) fail('must not be null');
+    return errors;
+  }
+
+  if (schema.type && !hasType(value, schema.type)) {
+    fail(`must be ${article(schema.type)} ${schema.type}`);
+    return errors;
+  }
+
+  if (schema.enum && !schema.enum.includes(value)) {
+    fail(`must be one of: ${schema.enum.join(', ')}`);
+  }
+  if (schema.minimum !== undefined && value < schema.minimum) {
+    fail(`must be at least ${schema.minimum}`);
+  }
+  if (schema.maximum !== undefined && value > schema.maximum) {
+    fail(`must be at most ${schema.maximum}`);
+  }
+  if (schema.minLength !== undefined && value.length < schema.minLength) {
+    fail(schema.minLength === 1 ? 'must not be empty' : `must have at least ${schema.minLength} characters`);
+  }
+  if (schema.maxLength !== undefined && value.length > schema.maxLength) {
+    fail(`must have at most ${schema.maxLength} characters`);
+  }
+
+  if (schema.type === 'object') {
+    const properties = schema.properties || {};
+    for (const key of schema.required || []) {
+      if (value[key] === undefined) fail('is required', join(path, key));
+    }
+    for (const [key, item] of Object.entries(value)) {
+      if (item === undefined) continue;
+      if (properties[key]) {
+        errors.push(...validate(item, properties[key], join(path, key)));
+      } else if (schema.additionalProperties === false) {
+        fail('is not an allowed field', join(path, key));
+      } else if (schema.additionalProperties) {
+        errors.push(...validate(item, schema.additionalProperties, join(path, key)));
+      }
+    }
+  }
+
+  if (schema.type === 'array') {
+    if (schema.maxItems !== undefined && value.length > schema.maxItems) {
+      fail(`must have at most ${schema.maxItems} items`);
+    }
+    if (schema.items) {
+      value.forEach((item, i) => errors.push(...validate(item, schema.items, `${path}[${i}]`)));
+    }
+  }
+
+  if (errors.length === 0 && schema.check) {
+    const message = schema.check(value);
+    if (message) fail(message);
+  }
+
+  return errors;
+}
+
+/**
+ * Check JSON type
+ */
+function hasType(value, type) {
+  switch (type) {
+    case 'string': return typeof value === 'string';
+    case 'number': return typeof value === 'number' && Number.isFinite(value);
+    case 'integer': return Number.isInteger(value);
+    case 'boolean': return typeof value === 'boolean';
+    case 'object': return typeof value === 'object' && !Array.isArray(value);
+    case 'array': return Array.isArray(value);
+    default: return true;
+  }
+}
+
+function article(type) {
+  return /^[aeiou]/.test(type) ? 'an' : 'a';
+}
+
+function join(path, key) {
+  return path ? `${path}.${key}` : key;
+}
+
+export default { validate };
@@ -0,0 +1,54 @@
+/**
+ * Audit log - what an operation is recorded to have changed
+ * Captures around the real operation handlers, like operationHandler.js does
+ */
+
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { routeOperation } from '../src/handlers/operations/index.js';
+import { findTouched, captureTouched, compareCaptured } from '../src/services/auditLog.js';
+
+function createGraph() {
+  return {
+    nodes: [
+      {
+        id: 'a',
+        title: 'A',
+        nodeType: 'dao',
+        nodeSubtype: 'container',
+        children: [{ id: 'a1', title: 'A1', nodeType: 'dao', nodeSubtype: 'simple' }]
+      },
+      { id: 'b', title: 'B', nodeType: 'dao', nodeSubtype: 'simple' }
+    ],
+    edges: [{ id: 'e1', source: 'a', target: 'b' }]
+  };
+}
+
+/**
+ * Apply the operation and return the audited changes
+ */
+function audit(graph, type, payload) {
+  const touched = findTouched(graph, { type, payload });
+  const before = captureTouched(graph, touched);
+  routeOperation(type, graph, payload, 'g1', null, null, 'u1', null, null);
+  return compareCaptured(before, captureTouched(graph, touched));
+}
+
+test('DELETE_NODE records its descendants and edges as removed', () => {
+  const changes = audit(createGraph(), 'DELETE_NODE', { nodeId: 'a' });
+
+  assert.deepEqual(changes.map(change => [change.nodeId || change.edgeId, change.after]), [
+    ['a', null],
+    ['a1', null],
+    ['e1', null]
+  ]);
+});
+
+test('MOVE_NODE records the new parent whose subtype changes', () => {
+  const changes = audit(createGraph(), 'MOVE_NODE', { nodeId: 'a1', newParentId: 'b' });
+
+  assert.deepEqual(changes.map(({ nodeId, after }) => [nodeId, after]), [
+    ['a1', { parentId: 'b' }],
+    ['b', { nodeSubtype: 'withChildren' }]
+  ]);
+});
@@ -0,0 +1,43 @@
+/**
+ * Auth tokens - signing, verification and the production secret requirement
+ */
+
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { spawnSync } from 'node:child_process';
+import { signToken, verifyToken } from '../src/utils/authTokens.js';
+
+const DAY = 24 * 60 * 60 * 1000;
+
+test('a signed token verifies to its user', () => {
+  const { token, expiresAt } = signToken('u1');
+
+  assert.equal(verifyToken(token).sub, 'u1');
+  assert.ok(expiresAt > Date.now());
+});
+
+test('forged, malformed and expired tokens are refused', (t) => {
+  const { token } = signToken('u1');
+  const [header, , signature] = token.split('.');
+  const payload = Buffer.from(JSON.stringify({ sub: 'u2', iat: 0, exp: 9999999999 })).toString('base64url');
+
+  assert.equal(verifyToken(`${header}.${payload}.${signature}`), null);
+  assert.equal(verifyToken('not-a-token'), null);
+  assert.equal(verifyToken(undefined), null);
+
+  t.mock.method(Date, 'now', () => Date.now.mock.original() + 30 * DAY);
+  assert.equal(verifyToken(token), null);
+});
+
+test('production refuses to start without AUTH_SECRET', () => {
+  const env = { ...process.env, NODE_ENV: 'production' };
+  delete env.AUTH_SECRET;
+
+  const { status, stderr } = spawnSync(process.execPath, ['--input-type=module', '-e', "import './src/utils/authTokens.js';"], {
+    env,
+    encoding: 'utf8'
+  });
+
+  assert.notEqual(status, 0);
+  assert.match(stderr, /AUTH_SECRET must be set in production/);
+});
@@ -0,0 +1,132 @@
+/**
+ * Three-way merge of a branch into its origin
+ */
+
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { mergeBranch } from '../src/services/graphBranches.js';
+
+function createBase() {
+  return {
+    nodes: [
+      { id: 'a', title: 'A', isDone: false, children: [{ id: 'a1', title: 'A1' }] },
+      { id: 'b', title: 'B', isDone: false }
+    ],
+    edges: [{ id: 'e1', source: 'a', target: 'b' }],
+    settings: { weighting: 'equal' }
+  };
+}
+
+const findNode = (nodes, id) => {
+  for (const node of nodes) {
+    if (node.id === id) return node;
+    const found = findNode(node.children || [], id);
+    if (found) return found;
+  }
+  return null;
+};
+
+test('changes to different fields and nodes merge cleanly', () => {
+  const base = createBase();
+  const origin = createBase();
+  const branch = createBase();
+  origin.nodes[0].title = 'A (origin)';
+  branch.nodes[0].isDone = true;
+  branch.nodes[1].title = 'B (branch)';
+  branch.nodes.push({ id: 'c', title: 'C' });
+
+  const { graph, conflicts } = mergeBranch(base, origin, branch);
+
+  assert.deepEqual(conflicts, []);
+  assert.equal(findNode(graph.nodes, 'a').title, 'A (origin)');
+  assert.equal(findNode(graph.nodes, 'a').isDone, true);
+  assert.equal(findNode(graph.nodes, 'b').title, 'B (branch)');
+  assert.ok(findNode(graph.nodes, 'c'));
+  assert.ok(findNode(graph.nodes, 'a1'));
+});
+
+test('the same field changed on both sides is a conflict until resolved', () => {
+  const base = createBase();
+  const origin = createBase();
+  const branch = createBase();
+  origin.nodes[1].title = 'B (origin)';
+  branch.nodes[1].title = 'B (branch)';
+
+  const { conflicts } = mergeBranch(base, origin, branch);
+  assert.deepEqual(conflicts, [{ nodeId: 'b', field: 'title', base: 'B', origin: 'B (origin)', branch: 'B (branch)' }]);
+
+  const toBranch = mergeBranch(base, origin, branch, { nodes: { b: { title: 'branch' } } });
+  assert.deepEqual(toBranch.conflicts, []);
+  assert.equal(findNode(toBranch.graph.nodes, 'b').title, 'B (branch)');
+
+  const toOrigin = mergeBranch(base, origin, branch, { nodes: { b: { title: 'origin' } } });
+  assert.equal(findNode(toOrigin.graph.nodes, 'b').title, 'B (origin)');
+});
+
+test('deleting a node the other side changed is a conflict', () => {
+  const base = createBase();
+  const origin = createBase();
+  const branch = createBase();
+  origin.nodes[1].title = 'B (origin)';
+  branch.nodes.splice(1, 1);
+
+  const { conflicts } = mergeBranch(base, origin, branch);
+  assert.deepEqual(conflicts.map(({ nodeId, field }) => [nodeId, field]), [['b', '*']]);
+
+  const { graph } = mergeBranch(base, origin, branch, { nodes: { b: { '*': 'branch' } } });
+  assert.equal(findNode(graph.nodes, 'b'), null);
+  assert.deepEqual(graph.edges, []);
+});
+
+test('deleting an unchanged node takes the deletion', () => {
+  const base = createBase();
+  const origin = createBase();
+  const branch = createBase();
+  branch.nodes[0].children = [];
+
+  const { graph, conflicts } = mergeBranch(base, origin, branch);
+
+  assert.deepEqual(conflicts, []);
+  assert.equal(findNode(graph.nodes, 'a1'), null);
+});
+
+test('settings changed on both sides are a conflict', () => {
+  const base = createBase();
+  const origin = createBase();
+  const branch = createBase();
+  origin.settings = { weighting: 'manual' };
+  branch.settings = { weighting: 'estimate' };
+
+  const { conflicts } = mergeBranch(base, origin, branch);
+  assert.deepEqual(conflicts.map(({ field }) => field), ['settings']);
+
+  const { graph } = mergeBranch(base, origin, branch, { settings: 'branch' });
+  assert.deepEqual(graph.settings, { weighting: 'estimate' });
+});
+
+test('derived progress changed on both sides is not a conflict', () => {
+  const base = createBase();
+  const origin = createBase();
+  const branch = createBase();
+  base.nodes[0].calculatedProgress = 0;
+  origin.nodes[0].calculatedProgress = 50;
+  branch.nodes[0].calculatedProgress = 100;
+
+  const { conflicts } = mergeBranch(base, origin, branch);
+
+  assert.deepEqual(conflicts, []);
+});
+
+test('values that only differ in key order are equal', () => {
+  const base = createBase();
+  const origin = createBase();
+  const branch = createBase();
+  base.nodes[1].position = { x: 1, y: 2 };
+  origin.nodes[1].position = { x: 5, y: 5 };
+  branch.nodes[1].position = { y: 2, x: 1 };
+
+  const { graph, conflicts } = mergeBranch(base, origin, branch);
+
+  assert.deepEqual(conflicts, []);
+  assert.deepEqual(findNode(graph.nodes, 'b').position, { x: 5, y: 5 });
+});
@@ -0,0 +1,39 @@
+/**
+ * Graph catalog - backfill of graphs saved before the catalog existed
+ * Graphs and entries live in the mocked Redis (see support/redis.js)
+ */
+
+import { test, beforeEach } from 'node:test';
+import assert from 'node:assert/strict';
+import graphCatalog from '../src/services/graphCatalog.js';
+import { DEFAULT_USER_ID } from '../src/services/graphService.js';
+import redis from '../src/redis.js';
+
+const storeGraph = (key, graph) => redis.set(key, JSON.stringify({ edges: [], ...graph }));
+
+beforeEach(async () => {
+  await redis.flushall();
+});
+
+test('backfill lists per-user and legacy graphs under their owners', async () => {
+  await storeGraph('user:u1:graph:g1', { nodes: [{ id: 'a', children: [{ id: 'b' }] }] });
+  await redis.set('user:u1:graph:g1:version', '3');
+  await storeGraph('graph:old', { userId: 'u2', nodes: [] });
+  await storeGraph('graph:main', { nodes: [{ id: 'a' }] });
+
+  assert.equal(await graphCatalog.backfill(), 3);
+
+  assert.equal((await graphCatalog.get('u1', 'g1')).nodeCount, 2);
+  assert.ok(await graphCatalog.get('u2', 'old'));
+  assert.ok(await graphCatalog.get(DEFAULT_USER_ID, 'main'));
+  assert.deepEqual((await graphCatalog.listAll()).map(({ userId, graphId }) => `${userId}/${graphId}`).sort(),
+    [`${DEFAULT_USER_ID}/main`, 'u1/g1', 'u2/old']);
+});
+
+test('backfill keeps entries that are already listed', async () => {
+  await storeGraph('user:u1:graph:g1', { nodes: [] });
+  await graphCatalog.write('u1', { graphId: 'g1', title: 'Renamed', archived: false });
+
+  assert.equal(await graphCatalog.backfill(), 0);
+  assert.equal((await graphCatalog.get('u1', 'g1')).title, 'Renamed');
+});
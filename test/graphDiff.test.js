@@ -0,0 +1,52 @@
+/**
+ * Graph diff - structural comparison of two graph states
+ */
+
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { diffGraphs, summarizeDiff } from '../src/services/graphDiff.js';
+
+function createGraph() {
+  return {
+    viewport: { x: 0, y: 0, zoom: 1 },
+    nodes: [
+      { id: 'a', title: 'A', children: [{ id: 'b', title: 'B' }, { id: 'c', title: 'C' }] },
+      { id: 'd', title: 'D' }
+    ],
+    edges: [{ id: 'e1', source: 'a', target: 'd' }]
+  };
+}
+
+test('equal graphs have no diff', () => {
+  assert.deepEqual(diffGraphs(createGraph(), createGraph()), []);
+});
+
+test('reports removed, added, moved and changed nodes in order', () => {
+  const from = createGraph();
+  const to = createGraph();
+  const [b] = to.nodes[0].children.splice(0, 1);
+  to.nodes[1].children = [b];
+  to.nodes[0].children = [];
+  to.nodes.push({ id: 'f', title: 'F', children: [{ id: 'g', title: 'G' }] });
+  to.nodes[1].title = 'D2';
+
+  assert.deepEqual(diffGraphs(from, to), [
+    { type: 'node_removed', nodeId: 'c', parentId: 'a' },
+    { type: 'node_added', nodeId: 'f', parentId: null, index: 2, node: { id: 'f', title: 'F' } },
+    { type: 'node_added', nodeId: 'g', parentId: 'f', index: 0, node: { id: 'g', title: 'G' } },
+    { type: 'node_moved', nodeId: 'b', from: { parentId: 'a', index: 0 }, to: { parentId: 'd', index: 0 } },
+    { type: 'node_changed', nodeId: 'd', changes: { title: { from: 'D', to: 'D2' } } }
+  ]);
+});
+
+test('an edge that changes under the same ID is removed and added', () => {
+  const from = createGraph();
+  const to = createGraph();
+  to.edges[0].target = 'b';
+  to.viewport = { x: 5, y: 0, zoom: 1 };
+
+  const diff = diffGraphs(from, to);
+
+  assert.deepEqual(diff.map(entry => entry.type), ['graph_changed', 'edge_removed', 'edge_added']);
+  assert.deepEqual(summarizeDiff(diff), { graph_changed: 1, edge_removed: 1, edge_added: 1 });
+});
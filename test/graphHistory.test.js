@@ -0,0 +1,65 @@
+/**
+ * Graph history - stored versions and retention thinning
+ * Versions live in the mocked Redis (see support/redis.js); Date.now is mocked per test
+ */
+
+import { test, beforeEach } from 'node:test';
+import assert from 'node:assert/strict';
+import graphHistory from '../src/services/graphHistory.js';
+import redis from '../src/redis.js';
+
+const USER = 'u1';
+const GRAPH = 'g1';
+
+const MINUTE = 60 * 1000;
+const HOUR = 60 * MINUTE;
+const DAY = 24 * HOUR;
+// Noon today - the mocked Redis expires keys by the real clock
+const NOW = Math.floor(Date.now() / DAY) * DAY + 12 * HOUR;
+
+/**
+ * Record a version as if it was saved at the given time
+ */
+async function recordAt(t, timestamp, version) {
+  t.mock.method(Date, 'now', () => timestamp);
+  const graph = { version, nodes: [{ id: 'a', title: `v${version}` }], edges: [] };
+  await graphHistory.record(USER, GRAPH, graph, JSON.stringify(graph));
+  t.mock.restoreAll();
+}
+
+beforeEach(async () => {
+  await redis.flushall();
+});
+
+test('thinning keeps every recent version and the newest one per hour and per day', async (t) => {
+  const saves = [
+    NOW - 40 * DAY,              // past the longest tier
+    NOW - 3 * DAY - 2 * HOUR,    // same day as the next one
+    NOW - 3 * DAY - HOUR,
+    NOW - 2 * HOUR - 40 * MINUTE, // same hour as the next one
+    NOW - 2 * HOUR - 10 * MINUTE,
+    NOW - 30 * MINUTE,
+    NOW - 10 * MINUTE
+  ];
+  for (const [index, timestamp] of saves.entries()) {
+    await recordAt(t, timestamp, index + 1);
+  }
+
+  // Saves thin as they go (at most every 5 minutes) - run it once more as of now
+  await graphHistory.thin(USER, GRAPH, NOW);
+
+  assert.deepEqual((await graphHistory.list(USER, GRAPH)).map(entry => entry.version), [7, 6, 5, 3]);
+  assert.equal(await graphHistory.get(USER, GRAPH, saves[0]), null);
+  assert.equal((await graphHistory.get(USER, GRAPH, saves[2])).version, 3);
+});
+
+test('versions saved in the same millisecond are both kept', async (t) => {
+  await recordAt(t, NOW, 1);
+  await recordAt(t, NOW, 2);
+
+  const entries = await graphHistory.list(USER, GRAPH);
+
+  assert.deepEqual(entries.map(entry => entry.version), [2, 1]);
+  assert.equal((await graphHistory.get(USER, GRAPH, entries[0].timestamp)).version, 2);
+  assert.equal((await graphHistory.get(USER, GRAPH, entries[1].timestamp)).version, 1);
+});
@@ -0,0 +1,64 @@
+/**
+ * Graph integrity - finding and repairing broken graph data
+ */
+
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { checkGraph, repairGraph, summarizeFindings } from '../src/services/graphIntegrity.js';
+
+const task = (id, fields = {}) => ({ id, title: id.toUpperCase(), nodeType: 'dao', nodeSubtype: 'simple', calculatedProgress: 0, ...fields });
+
+/**
+ * Graph with one problem of several kinds
+ */
+function createBrokenGraph() {
+  return {
+    nodes: [
+      task('a', { children: ['b'], linkedNodeIds: { downstream: ['c'] } }),
+      task('b'),
+      task('c', { linkedNodeIds: { upstream: [] } })
+    ],
+    edges: [
+      { id: 'e1', source: 'a', target: 'c' },
+      { id: 'e1', source: 'a', target: 'c' },
+      { id: 'e2', source: 'a', target: 'missing' }
+    ]
+  };
+}
+
+test('check finds every problem and leaves the graph alone', () => {
+  const graph = createBrokenGraph();
+
+  const findings = checkGraph(graph);
+
+  assert.deepEqual(summarizeFindings(findings), {
+    children_as_ids: 1,
+    duplicate_edge_id: 1,
+    dangling_edge: 1,
+    asymmetric_link: 1,
+    subtype_mismatch: 1
+  });
+  assert.deepEqual(graph, createBrokenGraph());
+});
+
+test('repair fixes a copy of the graph', () => {
+  const graph = createBrokenGraph();
+
+  const { graph: repaired, repaired: fixed, remaining } = repairGraph(graph);
+
+  assert.equal(fixed.length, 5);
+  assert.deepEqual(remaining, []);
+  assert.deepEqual(repaired.nodes.map(node => node.id), ['a', 'c']);
+  assert.equal(repaired.nodes[0].children[0].id, 'b');
+  assert.equal(repaired.nodes[0].nodeSubtype, 'withChildren');
+  assert.deepEqual(repaired.nodes[1].linkedNodeIds.upstream, ['a']);
+  assert.deepEqual(repaired.edges, [{ id: 'e1', source: 'a', target: 'c' }]);
+  assert.deepEqual(graph, createBrokenGraph());
+});
+
+test('repair can be limited to some finding types', () => {
+  const { repaired, remaining } = repairGraph(createBrokenGraph(), ['dangling_edge']);
+
+  assert.deepEqual(summarizeFindings(repaired), { dangling_edge: 1 });
+  assert.equal(remaining.length, 4);
+});
@@ -0,0 +1,124 @@
+/**
+ * Graph REST routes - conditional saves
+ * Served by a throwaway express app on a random port, graphs live in memory
+ */
+
+import { test, before, after } from 'node:test';
+import assert from 'node:assert/strict';
+import express from 'express';
+import { setupGraphRoutes } from '../src/routes/graphRoutes.js';
+import { createBroadcaster } from '../src/handlers/broadcastHandler.js';
+import { createPositionBuffer } from '../src/handlers/positionBuffer.js';
+import { createGraphWriter } from '../src/handlers/graphWriter.js';
+import redis from '../src/redis.js';
+import graphCatalog from '../src/services/graphCatalog.js';
+import { requireAuth } from '../src/middleware/auth.js';
+import { signToken } from '../src/utils/authTokens.js';
+import { OperationError, ErrorCodes } from '../src/utils/operationErrors.js';
+
+const USER = 'u1';
+const { token } = signToken(USER);
+
+const store = { graph: null, saves: 0 };
+
+async function getGraph() {
+  return structuredClone(store.graph);
+}
+
+async function saveGraph(graphId, next, userId, { expectedVersion }) {
+  const current = store.graph.version;
+  if (current !== expectedVersion) {
+    throw new OperationError(ErrorCodes.VERSION_CONFLICT, 'Graph was modified', { expectedVersion, currentVersion: current });
+  }
+  next.version = current + 1;
+  store.graph = structuredClone(next);
+  store.saves++;
+  return true;
+}
+
+// The routes log each save to stdout; written from inside a request it garbles the
+// results node:test reads from this process's stdout (Node 20), so keep it quiet
+console.log = () => {};
+
+let server;
+let baseUrl;
+
+before(async () => {
+  const app = express();
+  app.use(express.json());
+  app.use(requireAuth);
+  const broadcaster = createBroadcaster({ redis, clients: new Map() });
+  const positionBuffer = createPositionBuffer({ applyOperation: async () => {}, broadcaster });
+  const { replaceGraph } = createGraphWriter({ getGraph, saveGraph, broadcaster, positionBuffer });
+  app.use('/api', setupGraphRoutes({ getGraph, replaceGraph }));
+  server = app.listen(0);
+  await new Promise(resolve => server.once('listening', resolve));
+  baseUrl = `http://127.0.0.1:${server.address().port}/api`;
+});
+
+after(() => {
+  server.close();
+});
+
+async function reset() {
+  store.graph = { version: 4, nodes: [{ id: 'a', title: 'A' }], edges: [] };
+  store.saves = 0;
+  await redis.flushall();
+  await graphCatalog.write(USER, { graphId: 'g1', title: 'g1', archived: false });
+}
+
+const save = (body, headers = {}) => fetch(`${baseUrl}/graphs/g1`, {
+  method: 'POST',
+  headers: { 'Content-Type': 'application/json', Authorization: `Bearer ${token}`, ...headers },
+  body: JSON.stringify(body)
+});
+
+test('GET sends the version as an ETag', async () => {
+  await reset();
+
+  const response = await fetch(`${baseUrl}/graphs/g1`, { headers: { Authorization: `Bearer ${token}` } });
+
+  assert.equal(response.headers.get('etag'), '"4"');
+});
+
+test('a save based on the stored version goes through', async () => {
+  await reset();
+
+  const response = await save({ nodes: [{ id: 'a', title: 'B' }], baseVersion: 4 });
+
+  assert.equal(response.status, 200);
+  assert.deepEqual(await response.json(), { success: true, version: 5 });
+  assert.equal(store.graph.nodes[0].title, 'B');
+});
+
+test('a save based on an older version is answered with 409', async () => {
+  await reset();
+
+  const response = await save({ nodes: [{ id: 'a', title: 'B' }] }, { 'If-Match': '"3"' });
+
+  assert.equal(response.status, 409);
+  const body = await response.json();
+  assert.equal(body.code, ErrorCodes.VERSION_CONFLICT);
+  assert.equal(body.currentVersion, 4);
+  assert.equal(store.saves, 0);
+});
+
+test('a save to a graph that is not in the catalog is answered with 404', async () => {
+  await reset();
+  await graphCatalog.remove(USER, 'g1');
+
+  const response = await save({ nodes: [{ id: 'a', title: 'B' }], baseVersion: 4 });
+
+  assert.equal(response.status, 404);
+  assert.equal((await response.json()).code, ErrorCodes.GRAPH_NOT_FOUND);
+  assert.equal(store.saves, 0);
+});
+
+test('requests without a valid token are answered with 401', async () => {
+  await reset();
+
+  const response = await save({ nodes: [], baseVersion: 4 }, { Authorization: 'Bearer forged' });
+
+  assert.equal(response.status, 401);
+  assert.equal(store.saves, 0);
+});
@@ -0,0 +1,149 @@
+/**
+ * Operation handler - version conflicts and undo/redo
+ * Graphs live in memory; undo/redo stacks in the mocked Redis (see support/redis.js)
+ */
+
+import { test, beforeEach } from 'node:test';
+import assert from 'node:assert/strict';
+import { createOperationHandler } from '../src/handlers/operationHandler.js';
+import undoHistory from '../src/services/undoHistory.js';
+import redis from '../src/redis.js';
+import { OperationError, ErrorCodes } from '../src/utils/operationErrors.js';
+
+const USER = 'u1';
+const GRAPH = 'g1';
+
+/**
+ * In-memory graph store with the compare-and-set save of server.js
+ * conflicts: how many of the next saves fail as if someone else saved first
+ */
+function createStore(graph) {
+  const store = { graph: structuredClone(graph), saves: 0, loads: 0, conflicts: 0 };
+
+  store.getGraph = async () => {
+    store.loads++;
+    return structuredClone(store.graph);
+  };
+
+  store.saveGraph = async (graphId, next, userId, { expectedVersion }) => {
+    if (store.conflicts > 0) {
+      store.conflicts--;
+      store.graph.version++;
+    }
+    const current = store.graph.version;
+    if (current !== expectedVersion) {
+      throw new OperationError(ErrorCodes.VERSION_CONFLICT, 'Graph was modified', { expectedVersion, currentVersion: current });
+    }
+    next.version = current + 1;
+    store.graph = structuredClone(next);
+    store.saves++;
+    return true;
+  };
+
+  return store;
+}
+
+function createHandler(store) {
+  return createOperationHandler({
+    getGraph: store.getGraph,
+    saveGraph: store.saveGraph,
+    operationLog: { append: async () => {} },
+    undoHistory
+  });
+}
+
+function baseGraph() {
+  return {
+    version: 1,
+    nodes: [{ id: 'a', title: 'A', nodeType: 'dao', nodeSubtype: 'simple', isDone: false }],
+    edges: []
+  };
+}
+
+const findNode = (graph, id) => graph.nodes.find(node => node.id === id);
+
+beforeEach(async () => {
+  await redis.flushall();
+});
+
+test('re-applies the operation on a fresh graph after a version conflict', async () => {
+  const store = createStore(baseGraph());
+  store.conflicts = 1;
+  const applyOperation = createHandler(store);
+
+  const result = await applyOperation(GRAPH, { type: 'UPDATE_NODE', payload: { id: 'a', updates: { title: 'B' } } }, USER);
+
+  assert.equal(store.loads, 2);
+  assert.equal(store.saves, 1);
+  assert.equal(result.version, 3);
+  assert.equal(findNode(store.graph, 'a').title, 'B');
+});
+
+test('gives up with VERSION_CONFLICT when every attempt conflicts', async () => {
+  const store = createStore(baseGraph());
+  store.conflicts = 10;
+  const applyOperation = createHandler(store);
+
+  await assert.rejects(
+    applyOperation(GRAPH, { type: 'UPDATE_NODE', payload: { id: 'a', updates: { title: 'B' } } }, USER),
+    { code: ErrorCodes.VERSION_CONFLICT }
+  );
+  assert.equal(store.loads, 3);
+  assert.equal(store.saves, 0);
+  assert.equal(findNode(store.graph, 'a').title, 'A');
+});
+
+test('undo restores the previous state and redo applies the change again', async () => {
+  const store = createStore(baseGraph());
+  const applyOperation = createHandler(store);
+
+  await applyOperation(GRAPH, { type: 'UPDATE_NODE', payload: { id: 'a', updates: { title: 'B' } } }, USER);
+  assert.deepEqual(await undoHistory.getDepths(USER, GRAPH), { undo: 1, redo: 0 });
+
+  const undo = await undoHistory.pop('undo', USER, GRAPH);
+  await applyOperation(GRAPH, undo, USER, { history: 'undo' });
+  assert.equal(findNode(store.graph, 'a').title, 'A');
+  assert.deepEqual(await undoHistory.getDepths(USER, GRAPH), { undo: 0, redo: 1 });
+
+  const redo = await undoHistory.pop('redo', USER, GRAPH);
+  await applyOperation(GRAPH, redo, USER, { history: 'redo' });
+  assert.equal(findNode(store.graph, 'a').title, 'B');
+  assert.deepEqual(await undoHistory.getDepths(USER, GRAPH), { undo: 1, redo: 0 });
+});
+
+test('undo of an added node deletes it, and a new change clears redo', async () => {
+  const store = createStore(baseGraph());
+  const applyOperation = createHandler(store);
+
+  await applyOperation(GRAPH, { type: 'ADD_NODE', payload: { id: 'b', title: 'B', parentId: null } }, USER);
+  assert.ok(findNode(store.graph, 'b'));
+
+  await applyOperation(GRAPH, await undoHistory.pop('undo', USER, GRAPH), USER, { history: 'undo' });
+  assert.equal(findNode(store.graph, 'b'), undefined);
+  assert.deepEqual(await undoHistory.getDepths(USER, GRAPH), { undo: 0, redo: 1 });
+
+  await applyOperation(GRAPH, { type: 'UPDATE_NODE', payload: { id: 'a', updates: { title: 'C' } } }, USER);
+  assert.deepEqual(await undoHistory.getDepths(USER, GRAPH), { undo: 1, redo: 0 });
+});
+
+test('collaborators get their own undo stacks', async () => {
+  const store = createStore(baseGraph());
+  const applyOperation = createHandler(store);
+
+  await applyOperation(GRAPH, { type: 'UPDATE_NODE', payload: { id: 'a', updates: { title: 'B' } } }, USER, { actorId: 'u2' });
+
+  assert.deepEqual(await undoHistory.getDepths(USER, GRAPH), { undo: 0, redo: 0 });
+  assert.deepEqual(await undoHistory.getDepths(USER, GRAPH, 'u2'), { undo: 1, redo: 0 });
+});
+
+test('a failed operation leaves the stacks alone', async () => {
+  const store = createStore(baseGraph());
+  const applyOperation = createHandler(store);
+
+  await assert.rejects(
+    applyOperation(GRAPH, { type: 'UPDATE_NODE', payload: { id: 'missing', updates: { title: 'X' } } }, USER),
+    { code: ErrorCodes.NODE_NOT_FOUND }
+  );
+  assert.equal(store.saves, 0);
+  assert.deepEqual(await undoHistory.getDepths(USER, GRAPH), { undo: 0, redo: 0 });
+});
@@ -0,0 +1,45 @@
+/**
+ * Operation log - replaying what a client missed
+ * Entries live in the mocked Redis (see support/redis.js)
+ */
+
+import { test, beforeEach } from 'node:test';
+import assert from 'node:assert/strict';
+import operationLog from '../src/services/operationLog.js';
+import redis from '../src/redis.js';
+
+const USER = 'u1';
+const GRAPH = 'g1';
+
+const rename = title => ({ type: 'UPDATE_NODE', payload: { id: 'a', updates: { title } } });
+
+beforeEach(async () => {
+  await redis.flushall();
+  await operationLog.append(USER, GRAPH, 3, rename('B'));
+  await operationLog.append(USER, GRAPH, 4, rename('C'));
+  await operationLog.append(USER, GRAPH, 5, rename('D'));
+});
+
+test('returns the operations after sinceVersion in version order', async () => {
+  const entries = await operationLog.getSince(USER, GRAPH, 3, 5);
+
+  assert.deepEqual(entries.map(entry => [entry.version, entry.payload.updates.title]), [[4, 'C'], [5, 'D']]);
+});
+
+test('a client that is up to date gets no operations', async () => {
+  assert.deepEqual(await operationLog.getSince(USER, GRAPH, 5, 5), []);
+});
+
+test('a range the log does not reach back to is not covered', async () => {
+  assert.equal(await operationLog.getSince(USER, GRAPH, 1, 5), null);
+});
+
+test('a version saved without an operation leaves a gap that is not covered', async () => {
+  await operationLog.append(USER, GRAPH, 7, rename('E'));
+
+  assert.equal(await operationLog.getSince(USER, GRAPH, 5, 7), null);
+});
+
+test('a sinceVersion ahead of the graph is not covered', async () => {
+  assert.equal(await operationLog.getSince(USER, GRAPH, 6, 5), null);
+});
@@ -0,0 +1,137 @@
+/**
+ * Graph operations - batch rollback, undo and dependency cycles
+ */
+
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { routeOperation } from '../src/handlers/operations/index.js';
+import { ErrorCodes } from '../src/utils/operationErrors.js';
+
+function createGraph() {
+  return {
+    nodes: [
+      { id: 'a', title: 'A', nodeType: 'dao', nodeSubtype: 'simple' },
+      { id: 'b', title: 'B', nodeType: 'dao', nodeSubtype: 'simple' },
+      { id: 'c', title: 'C', nodeType: 'dao', nodeSubtype: 'simple' }
+    ],
+    edges: []
+  };
+}
+
+const apply = (graph, type, payload, { inverses = null, effects = null } = {}) =>
+  routeOperation(type, graph, payload, 'g1', null, null, 'u1', inverses, effects);
+
+test('batch applies every sub-operation', () => {
+  const graph = createGraph();
+
+  const success = apply(graph, 'BATCH_UPDATE', {
+    operations: [
+      { type: 'UPDATE_NODE', payload: { id: 'a', updates: { title: 'A2' } } },
+      { type: 'ADD_EDGE', payload: { id: 'e1', source: 'a', target: 'b' } }
+    ]
+  });
+
+  assert.equal(success, true);
+  assert.equal(graph.nodes[0].title, 'A2');
+  assert.deepEqual(graph.edges.map(edge => edge.id), ['e1']);
+});
+
+test('batch rolls back everything when a sub-operation fails', () => {
+  const graph = createGraph();
+  const before = structuredClone(graph);
+
+  assert.throws(
+    () => apply(graph, 'BATCH_UPDATE', {
+      operations: [
+        { type: 'UPDATE_NODE', payload: { id: 'a', updates: { title: 'A2' } } },
+        { type: 'DELETE_NODE', payload: { nodeId: 'b' } },
+        { type: 'UPDATE_NODE', payload: { id: 'missing', updates: { title: 'X' } } }
+      ]
+    }),
+    (error) => {
+      assert.equal(error.code, ErrorCodes.NODE_NOT_FOUND);
+      assert.equal(error.details.batchIndex, 2);
+      return true;
+    }
+  );
+
+  assert.deepEqual(graph, before);
+});
+
+test('batch rejects operations that are not allowed inside it', () => {
+  const graph = createGraph();
+
+  assert.throws(
+    () => apply(graph, 'BATCH_UPDATE', { operations: [{ type: 'UPDATE_VIEWPORT', payload: {} }] }),
+    { code: ErrorCodes.VALIDATION_FAILED }
+  );
+});
+
+test('completion tracking waits for the caller to save', () => {
+  const graph = createGraph();
+  const effects = [];
+
+  apply(graph, 'BATCH_UPDATE', {
+    operations: [{ type: 'UPDATE_NODE', payload: { id: 'a', updates: { isDone: true } } }]
+  }, { effects });
+
+  assert.equal(graph.nodes[0].isDone, true);
+  assert.equal(effects.length, 1);
+});
+
+test('batch inverse undoes the sub-operations in reverse order', () => {
+  const graph = createGraph();
+  const before = structuredClone(graph);
+  const inverses = [];
+
+  apply(graph, 'BATCH_UPDATE', {
+    operations: [
+      { type: 'UPDATE_NODE', payload: { id: 'a', updates: { title: 'A2' } } },
+      { type: 'MOVE_NODE', payload: { nodeId: 'c', newParentId: 'a' } }
+    ]
+  }, { inverses });
+
+  for (const operation of [...inverses].reverse().flat()) {
+    apply(graph, operation.type, operation.payload);
+  }
+
+  assert.deepEqual(graph.nodes.map(node => [node.id, node.title, node.children?.length || 0]),
+    before.nodes.map(node => [node.id, node.title, 0]));
+});
+
+test('an edge closing a loop is rejected with the cycle', () => {
+  const graph = createGraph();
+  apply(graph, 'ADD_EDGE', { id: 'e1', source: 'a', target: 'b' });
+  apply(graph, 'ADD_EDGE', { id: 'e2', source: 'b', target: 'c' });
+
+  assert.throws(
+    () => apply(graph, 'ADD_EDGE', { id: 'e3', source: 'c', target: 'a' }),
+    (error) => {
+      assert.equal(error.code, ErrorCodes.DEPENDENCY_CYCLE);
+      assert.ok(['a', 'b', 'c'].every(id => error.details.cycle.includes(id)));
+      return true;
+    }
+  );
+  assert.deepEqual(graph.edges.map(edge => edge.id), ['e1', 'e2']);
+});
+
+test('a link closing a loop through an edge is rejected', () => {
+  const graph = createGraph();
+  apply(graph, 'ADD_EDGE', { id: 'e1', source: 'a', target: 'b' });
+
+  // Upstream link b -> a: b must be done before a
+  assert.throws(
+    () => apply(graph, 'UPDATE_NODE', { id: 'a', updates: { linkedNodeIds: { upstream: ['b'] } } }),
+    { code: ErrorCodes.DEPENDENCY_CYCLE }
+  );
+  assert.equal(graph.nodes[0].linkedNodeIds, undefined);
+});
+
+test('a node linked to itself is rejected', () => {
+  const graph = createGraph();
+
+  assert.throws(
+    () => apply(graph, 'UPDATE_NODE', { id: 'a', updates: { linkedNodeIds: { downstream: ['a'] } } }),
+    { code: ErrorCodes.VALIDATION_FAILED }
+  );
+});
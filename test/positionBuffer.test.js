@@ -0,0 +1,105 @@
+/**
+ * Position buffer - write-behind saves of drag positions
+ * applyOperation answers with the given results in turn; flushes are triggered directly
+ */
+
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { createPositionBuffer } from '../src/handlers/positionBuffer.js';
+import { OperationError, ErrorCodes } from '../src/utils/operationErrors.js';
+
+const CLIENT = { graphId: 'g1', userId: 'u1', authUserId: 'u1', id: 1 };
+
+const conflict = () => new OperationError(ErrorCodes.VERSION_CONFLICT, 'Graph was modified');
+
+/**
+ * Buffer whose saves answer with results in turn (an Error is thrown), recording what was saved
+ */
+function createBuffer(...results) {
+  const saves = [];
+  const buffer = createPositionBuffer({
+    broadcaster: { broadcast: () => 0 },
+    applyOperation: async (graphId, operation, userId, { actorId }) => {
+      saves.push({ ...operation, actorId });
+      const result = results.shift() ?? { version: 2 };
+      if (result instanceof Error) throw result;
+      return result;
+    }
+  });
+  return { buffer, saves };
+}
+
+const savedPositions = operation => operation.type === 'BATCH_UPDATE'
+  ? operation.payload.operations.map(({ payload }) => [payload.nodeId, payload.position])
+  : [[operation.payload.nodeId, operation.payload.position]];
+
+test('positions of a save that hit a version conflict are saved with the next flush', async () => {
+  const { buffer, saves } = createBuffer(conflict());
+
+  await buffer.add(CLIENT, { nodeId: 'a', position: { x: 1, y: 1 } });
+  assert.equal(await buffer.flush('g1', 'u1'), null);
+
+  assert.deepEqual(await buffer.flush('g1', 'u1'), { version: 2 });
+  assert.equal(saves.length, 2);
+  assert.deepEqual(savedPositions(saves[1]), [['a', { x: 1, y: 1 }]]);
+});
+
+test('a position buffered after the failed save wins over the one put back', async () => {
+  const { buffer, saves } = createBuffer(conflict());
+
+  await buffer.add(CLIENT, { nodeId: 'a', position: { x: 1, y: 1 } });
+  await buffer.add(CLIENT, { nodeId: 'b', position: { x: 1, y: 1 } });
+  await buffer.flush('g1', 'u1');
+  await buffer.add(CLIENT, { nodeId: 'a', position: { x: 5, y: 5 } });
+  await buffer.flush('g1', 'u1');
+
+  assert.deepEqual(savedPositions(saves[1]), [['a', { x: 5, y: 5 }], ['b', { x: 1, y: 1 }]]);
+});
+
+test('positions rejected for good are dropped', async () => {
+  const { buffer, saves } = createBuffer(new OperationError(ErrorCodes.VALIDATION_FAILED, 'Bad position'));
+
+  await buffer.add(CLIENT, { nodeId: 'a', position: { x: 1, y: 1 } });
+  await buffer.flush('g1', 'u1');
+
+  assert.equal(await buffer.flush('g1', 'u1'), null);
+  assert.equal(saves.length, 1);
+});
+
+test('positions are dropped after three failed retries in a row', async () => {
+  const { buffer, saves } = createBuffer(conflict(), conflict(), conflict(), conflict());
+
+  await buffer.add(CLIENT, { nodeId: 'a', position: { x: 1, y: 1 } });
+  for (let flush = 0; flush < 4; flush++) {
+    await buffer.flush('g1', 'u1');
+  }
+
+  assert.equal(await buffer.flush('g1', 'u1'), null);
+  assert.equal(saves.length, 4);
+});
+
+test('positions are saved under the user who moved them', async () => {
+  const { buffer, saves } = createBuffer();
+
+  await buffer.add(CLIENT, { nodeId: 'a', position: { x: 1, y: 1 } });
+  await buffer.add({ ...CLIENT, authUserId: 'u2', id: 2 }, { nodeId: 'b', position: { x: 2, y: 2 } });
+  await buffer.flush('g1', 'u1');
+
+  assert.deepEqual(saves.map(save => [save.actorId, savedPositions(save)]), [
+    ['u1', [['a', { x: 1, y: 1 }]]],
+    ['u2', [['b', { x: 2, y: 2 }]]]
+  ]);
+});
+
+test('subscribers get a copy with the buffered positions, the graph stays as saved', async () => {
+  const { buffer } = createBuffer();
+  const graph = { nodes: [{ id: 'a', position: { x: 0, y: 0 }, children: [{ id: 'b', position: { x: 0, y: 0 } }] }] };
+
+  await buffer.add(CLIENT, { nodeId: 'b', position: { x: 3, y: 4, dragging: true } });
+  const state = buffer.overlay('g1', 'u1', graph);
+
+  assert.deepEqual(state.nodes[0].children[0].position, { x: 3, y: 4 });
+  assert.deepEqual(graph.nodes[0].children[0].position, { x: 0, y: 0 });
+  await buffer.flush('g1', 'u1');
+  assert.equal(buffer.overlay('g1', 'u1', graph), graph);
+});
@@ -0,0 +1,105 @@
+/**
+ * Progress rollup and weighting
+ */
+
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { rollupProgress, weightedAverage, WeightingModes } from '../src/services/progressRollup.js';
+
+const task = (id, fields = {}) => ({ id, nodeType: 'dao', nodeSubtype: 'simple', ...fields });
+
+function createGraph(weighting, children) {
+  return {
+    settings: weighting ? { weighting } : {},
+    nodes: [{ id: 'root', nodeType: 'fundamental', nodeSubtype: 'simple', children }],
+    edges: []
+  };
+}
+
+const progressOf = (graph, id) => {
+  const find = nodes => nodes.reduce((found, node) => found || (node.id === id ? node : find(node.children || [])), null);
+  return find(graph.nodes).calculatedProgress;
+};
+
+test('parents average their task children', () => {
+  const graph = createGraph(null, [
+    task('done', { isDone: true }),
+    task('half', { requiredCompletions: 4, currentCompletions: 2 }),
+    task('open')
+  ]);
+
+  const changed = rollupProgress(graph);
+
+  assert.equal(progressOf(graph, 'done'), 1);
+  assert.equal(progressOf(graph, 'half'), 0.5);
+  assert.equal(progressOf(graph, 'root'), 0.5);
+  assert.ok(changed.includes('root'));
+  assert.deepEqual(rollupProgress(graph), []);
+});
+
+test('progress rolls up through nested parents', () => {
+  const graph = createGraph(null, [
+    task('parent', { nodeSubtype: 'withChildren', children: [task('x', { isDone: true }), task('y')] }),
+    task('other', { isDone: true })
+  ]);
+
+  rollupProgress(graph);
+
+  assert.equal(progressOf(graph, 'parent'), 0.5);
+  assert.equal(progressOf(graph, 'root'), 0.75);
+});
+
+test('manual weighting uses node weights', () => {
+  const graph = createGraph(WeightingModes.MANUAL, [
+    task('heavy', { isDone: true, weight: 3 }),
+    task('light', { weight: 1 })
+  ]);
+
+  rollupProgress(graph);
+
+  assert.equal(progressOf(graph, 'root'), 0.75);
+});
+
+test('estimate weighting uses durations, unestimated nodes count as the average', () => {
+  const graph = createGraph(WeightingModes.ESTIMATE, [
+    task('long', { isDone: true, durationDays: 6 }),
+    task('short', { estimateHours: 16 }),
+    task('unknown')
+  ]);
+
+  rollupProgress(graph);
+
+  // Weights 6, 2 and (6 + 2) / 2 = 4
+  assert.equal(progressOf(graph, 'root'), 0.5);
+});
+
+test('manual progress mode keeps the client value', () => {
+  const graph = createGraph(null, [task('a', { progressMode: 'manual', calculatedProgress: 0.3 })]);
+
+  rollupProgress(graph);
+
+  assert.equal(progressOf(graph, 'a'), 0.3);
+  assert.equal(progressOf(graph, 'root'), 0.3);
+});
+
+test('fundamental downstream nodes average the tasks down the chain of links', () => {
+  const graph = {
+    nodes: [
+      { id: 'goal', nodeType: 'fundamental', nodeSubtype: 'downstream', linkedNodeIds: { downstream: ['a'] } },
+      task('a', { isDone: true, linkedNodeIds: { downstream: ['b'] } }),
+      task('b')
+    ],
+    edges: []
+  };
+
+  rollupProgress(graph);
+
+  assert.equal(progressOf(graph, 'goal'), 0.5);
+});
+
+test('weighted average', () => {
+  assert.equal(weightedAverage([]), null);
+  assert.equal(weightedAverage([{ value: 1, weight: 1 }, { value: 0, weight: 3 }]), 0.25);
+  assert.equal(weightedAverage([{ value: 1, weight: 0 }, { value: 0, weight: 0 }]), 0.5);
+  assert.equal(weightedAverage([{ value: 1, weight: null }, { value: 0, weight: null }]), 0.5);
+});
@@ -0,0 +1,68 @@
+/**
+ * Schedule - critical path of the remaining work
+ */
+
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { computeSchedule } from '../src/services/schedule.js';
+
+const task = (id, durationDays, fields = {}) => ({ id, title: id, nodeType: 'dao', nodeSubtype: 'simple', durationDays, ...fields });
+
+test('the longest chain of dependencies is critical', () => {
+  // a (2) -> b (3) -> d (1)
+  // a (2) -> c (1) -> d
+  const graph = {
+    nodes: [task('a', 2), task('b', 3), task('c', 1), task('d', 1)],
+    edges: [
+      { id: 'e1', source: 'a', target: 'b' },
+      { id: 'e2', source: 'a', target: 'c' },
+      { id: 'e3', source: 'b', target: 'd' },
+      { id: 'e4', source: 'c', target: 'd' }
+    ]
+  };
+
+  const { finish, criticalPath, tasks } = computeSchedule(graph);
+
+  assert.equal(finish, 6);
+  assert.deepEqual(criticalPath, ['a', 'b', 'd']);
+  assert.equal(tasks.c.slack, 2);
+  assert.equal(tasks.c.critical, false);
+  assert.equal(tasks.b.critical, true);
+  assert.equal(tasks.d.earliestStart, 5);
+});
+
+test('links count as dependencies and done work takes no time', () => {
+  // b depends on a through an upstream link; a is done
+  const graph = {
+    nodes: [task('a', 5, { isDone: true }), task('b', 2, { linkedNodeIds: { upstream: ['a'] } })],
+    edges: []
+  };
+
+  const { finish, criticalPath, tasks } = computeSchedule(graph);
+
+  assert.equal(finish, 2);
+  assert.equal(tasks.a.remaining, 0);
+  assert.equal(tasks.a.critical, false);
+  assert.deepEqual(criticalPath, ['b']);
+});
+
+test('partly done work counts what is left', () => {
+  const graph = { nodes: [task('a', 4, { requiredCompletions: 4, currentCompletions: 1 })], edges: [] };
+
+  assert.equal(computeSchedule(graph).tasks.a.remaining, 3);
+});
+
+test('dependencies that loop return the cycle instead of a schedule', () => {
+  const graph = {
+    nodes: [task('a', 1), task('b', 1)],
+    edges: [
+      { id: 'e1', source: 'a', target: 'b' },
+      { id: 'e2', source: 'b', target: 'a' }
+    ]
+  };
+
+  const result = computeSchedule(graph);
+
+  assert.ok(Array.isArray(result.cycle));
+  assert.equal(result.criticalPath, undefined);
+});
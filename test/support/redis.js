@@ -0,0 +1,8 @@
+/**
+ * Test setup - run the services against an in-memory Redis (ioredis-mock)
+ * Loaded with --import before the tests (see the test script in package.json)
+ */
+
+import { register } from 'node:module';
+
+register('./redisHooks.js', import.meta.url);
@@ -0,0 +1,7 @@
+/**
+ * Module resolution hook: `ioredis` resolves to `ioredis-mock`
+ */
+
+export async function resolve(specifier, context, nextResolve) {
+  return nextResolve(specifier === 'ioredis' ? 'ioredis-mock' : specifier, context);
+}
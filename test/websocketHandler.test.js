@@ -0,0 +1,229 @@
+/**
+ * WebSocket handler - message handling against a fake socket server
+ * Undo/redo stacks and receipts live in the mocked Redis (see support/redis.js)
+ */
+
+import { test, beforeEach } from 'node:test';
+import assert from 'node:assert/strict';
+import { EventEmitter } from 'node:events';
+import { setupWebSocketHandler } from '../src/handlers/websocketHandler.js';
+import { createPresenceHandler } from '../src/handlers/presenceHandler.js';
+import { createBroadcaster } from '../src/handlers/broadcastHandler.js';
+import { createPositionBuffer } from '../src/handlers/positionBuffer.js';
+import undoHistory from '../src/services/undoHistory.js';
+import operationReceipts from '../src/services/operationReceipts.js';
+import operationLog from '../src/services/operationLog.js';
+import graphCache from '../src/services/graphCache.js';
+import graphAcl, { Roles } from '../src/services/graphAcl.js';
+import redis from '../src/redis.js';
+import { OperationError, ErrorCodes } from '../src/utils/operationErrors.js';
+
+const USER = 'u1';
+const GRAPH = 'g1';
+
+/**
+ * Connect one client, authenticated as userId, to a handler set up with deps
+ * ws.receive(message) resolves once the handler is done with it
+ */
+function connect(deps, userId = USER) {
+  const wss = new EventEmitter();
+  const clients = new Map();
+  const broadcaster = createBroadcaster({ redis, clients });
+  setupWebSocketHandler({
+    wss,
+    clients,
+    getGraph: async () => ({ nodes: [], edges: [] }),
+    undoHistory,
+    operationReceipts,
+    operationLog,
+    presence: createPresenceHandler({ clients }),
+    broadcaster,
+    positionBuffer: createPositionBuffer({ applyOperation: deps.applyOperation, broadcaster }),
+    graphCache,
+    ...deps
+  });
+
+  const ws = new EventEmitter();
+  ws.readyState = 1;
+  ws.sent = [];
+  ws.send = message => ws.sent.push(JSON.parse(message));
+  wss.emit('connection', ws, { userId });
+
+  const [onMessage] = ws.listeners('message');
+  ws.receive = data => onMessage(JSON.stringify(data));
+  return ws;
+}
+
+/**
+ * applyOperation that answers with the given results in turn (an Error is thrown)
+ */
+function applyInTurn(...results) {
+  const applyOperation = async () => {
+    applyOperation.calls++;
+    const result = results.shift();
+    if (result instanceof Error) throw result;
+    return result;
+  };
+  applyOperation.calls = 0;
+  return applyOperation;
+}
+
+const OPERATION = { type: 'UPDATE_NODE', payload: { id: 'a', updates: { title: 'B' } } };
+const UNDO_STEP = { type: 'UPDATE_NODE', payload: { id: 'a', updates: { title: 'A' } } };
+
+const replies = ws => ws.sent.filter(message => message.type.startsWith('OPERATION_')).map(({ type, opId, code }) => [type, opId, code]);
+
+beforeEach(async () => {
+  await redis.flushall();
+});
+
+test('a resent opId gets the original ACK without being applied again', async () => {
+  const applyOperation = applyInTurn({ version: 2 });
+  const ws = connect({ applyOperation });
+
+  await ws.receive({ type: 'SUBSCRIBE', graphId: GRAPH, userId: USER });
+  await ws.receive({ type: 'OPERATION', opId: 'op-1', payload: OPERATION });
+  await ws.receive({ type: 'OPERATION', opId: 'op-1', payload: OPERATION });
+
+  assert.equal(applyOperation.calls, 1);
+  assert.deepEqual(replies(ws), [
+    ['OPERATION_ACK', 'op-1', undefined],
+    ['OPERATION_APPLIED', 'op-1', undefined],
+    ['OPERATION_ACK', 'op-1', undefined]
+  ]);
+});
+
+test('a validation rejection is kept for the opId', async () => {
+  const applyOperation = applyInTurn(new OperationError(ErrorCodes.VALIDATION_FAILED, 'Bad payload'));
+  const ws = connect({ applyOperation });
+
+  await ws.receive({ type: 'SUBSCRIBE', graphId: GRAPH, userId: USER });
+  await ws.receive({ type: 'OPERATION', opId: 'op-1', payload: OPERATION });
+  await ws.receive({ type: 'OPERATION', opId: 'op-1', payload: OPERATION });
+
+  assert.equal(applyOperation.calls, 1);
+  assert.deepEqual(replies(ws), [
+    ['OPERATION_REJECTED', 'op-1', ErrorCodes.VALIDATION_FAILED],
+    ['OPERATION_REJECTED', 'op-1', ErrorCodes.VALIDATION_FAILED]
+  ]);
+});
+
+test('after any other rejection the same opId is applied again', async () => {
+  const applyOperation = applyInTurn(new OperationError(ErrorCodes.NODE_NOT_FOUND, 'Node a not found'), { version: 2 });
+  const ws = connect({ applyOperation });
+
+  await ws.receive({ type: 'SUBSCRIBE', graphId: GRAPH, userId: USER });
+  await ws.receive({ type: 'OPERATION', opId: 'op-1', payload: OPERATION });
+  await ws.receive({ type: 'OPERATION', opId: 'op-1', payload: OPERATION });
+
+  assert.equal(applyOperation.calls, 2);
+  assert.deepEqual(replies(ws), [
+    ['OPERATION_REJECTED', 'op-1', ErrorCodes.NODE_NOT_FOUND],
+    ['OPERATION_ACK', 'op-1', undefined],
+    ['OPERATION_APPLIED', 'op-1', undefined]
+  ]);
+});
+
+test('an operation before SUBSCRIBE is rejected', async () => {
+  const ws = connect({ applyOperation: applyInTurn() });
+
+  await ws.receive({ type: 'OPERATION', opId: 'op-1', payload: OPERATION });
+
+  assert.deepEqual(replies(ws), [['OPERATION_REJECTED', 'op-1', ErrorCodes.NOT_SUBSCRIBED]]);
+});
+
+test('an undo step that failed for a passing reason stays on the stack', async () => {
+  await undoHistory.record(USER, GRAPH, UNDO_STEP);
+  const ws = connect({ applyOperation: applyInTurn(new Error('Redis connection lost')) });
+
+  await ws.receive({ type: 'SUBSCRIBE', graphId: GRAPH, userId: USER });
+  await ws.receive({ type: 'UNDO', opId: 'undo-1' });
+
+  assert.deepEqual(replies(ws), [['OPERATION_REJECTED', 'undo-1', ErrorCodes.OPERATION_FAILED]]);
+  assert.deepEqual(await undoHistory.getDepths(USER, GRAPH), { undo: 1, redo: 0 });
+});
+
+test('an undo step that no longer applies is dropped', async () => {
+  await undoHistory.record(USER, GRAPH, UNDO_STEP);
+  const ws = connect({ applyOperation: applyInTurn(new OperationError(ErrorCodes.NODE_NOT_FOUND, 'Node a not found')) });
+
+  await ws.receive({ type: 'SUBSCRIBE', graphId: GRAPH, userId: USER });
+  await ws.receive({ type: 'UNDO', opId: 'undo-1' });
+
+  assert.deepEqual(replies(ws), [['OPERATION_REJECTED', 'undo-1', ErrorCodes.NODE_NOT_FOUND]]);
+  assert.deepEqual(await undoHistory.getDepths(USER, GRAPH), { undo: 0, redo: 0 });
+});
+
+test('a graph that fails to load is not subscribed to', async () => {
+  const applyOperation = applyInTurn({ version: 2 });
+  const ws = connect({ applyOperation, getGraph: async () => null });
+
+  await ws.receive({ type: 'SUBSCRIBE', graphId: GRAPH, userId: USER });
+  await ws.receive({ type: 'OPERATION', opId: 'op-1', payload: OPERATION });
+
+  assert.deepEqual(ws.sent.map(({ type, code }) => [type, code]), [
+    ['CONNECTION_ESTABLISHED', undefined],
+    ['SUBSCRIBE_REJECTED', ErrorCodes.OPERATION_FAILED],
+    ['OPERATION_REJECTED', ErrorCodes.NOT_SUBSCRIBED]
+  ]);
+  assert.equal(applyOperation.calls, 0);
+});
+
+test('SYNC since a logged version gets only the missed operations', async () => {
+  await operationLog.append(USER, GRAPH, 2, OPERATION);
+  const ws = connect({ getGraph: async () => ({ version: 2, nodes: [], edges: [] }) });
+
+  await ws.receive({ type: 'SUBSCRIBE', graphId: GRAPH, userId: USER });
+  await ws.receive({ type: 'SYNC', sinceVersion: 1 });
+
+  const response = ws.sent.find(message => message.type === 'SYNC_RESPONSE');
+  assert.equal(response.payload, undefined);
+  assert.deepEqual(response.operations.map(({ version, type }) => [version, type]), [[2, 'UPDATE_NODE']]);
+});
+
+test('SYNC past what the log covers gets the full graph', async () => {
+  const ws = connect({ getGraph: async () => ({ version: 2, nodes: [], edges: [] }) });
+
+  await ws.receive({ type: 'SUBSCRIBE', graphId: GRAPH, userId: USER });
+  await ws.receive({ type: 'SYNC', sinceVersion: 1 });
+
+  const response = ws.sent.find(message => message.type === 'SYNC_RESPONSE');
+  assert.equal(response.operations, undefined);
+  assert.equal(response.payload.version, 2);
+});
+
+test('a graph shared with nobody is not subscribed to by other users', async () => {
+  const ws = connect({ applyOperation: applyInTurn() }, 'u2');
+
+  await ws.receive({ type: 'SUBSCRIBE', graphId: GRAPH, ownerId: USER });
+
+  const rejection = ws.sent.find(message => message.type === 'SUBSCRIBE_REJECTED');
+  assert.equal(rejection.code, ErrorCodes.ACCESS_DENIED);
+  assert.equal(ws.sent.some(message => message.type === 'GRAPH_STATE'), false);
+});
+
+test('viewers may not write', async () => {
+  await graphAcl.grant(USER, GRAPH, 'u2', Roles.VIEWER);
+  const applyOperation = applyInTurn({ version: 2 });
+  const ws = connect({ applyOperation }, 'u2');
+
+  await ws.receive({ type: 'SUBSCRIBE', graphId: GRAPH, ownerId: USER });
+  await ws.receive({ type: 'OPERATION', opId: 'op-1', payload: OPERATION });
+
+  assert.deepEqual(replies(ws), [['OPERATION_REJECTED', 'op-1', ErrorCodes.ACCESS_DENIED]]);
+  assert.equal(applyOperation.calls, 0);
+});
+
+test('an editor whose access was revoked can no longer write', async () => {
+  await graphAcl.grant(USER, GRAPH, 'u2', Roles.EDITOR);
+  const applyOperation = applyInTurn({ version: 2 }, { version: 3 });
+  const ws = connect({ applyOperation }, 'u2');
+
+  await ws.receive({ type: 'SUBSCRIBE', graphId: GRAPH, ownerId: USER });
+  await ws.receive({ type: 'OPERATION', opId: 'op-1', payload: OPERATION });
+  await graphAcl.revoke(USER, GRAPH, 'u2');
+  await ws.receive({ type: 'OPERATION', opId: 'op-2', payload: OPERATION });
+
+  assert.equal(applyOperation.calls, 1);
+  assert.deepEqual(replies(ws).slice(-1), [['OPERATION_REJECTED', 'op-2', ErrorCodes.ACCESS_DENIED]]);
+});